@@ -73,6 +73,126 @@ describe('CLI Parser', () => {
       expect(result.flags).toEqual(['--detailed', '--json']);
     });
 
+    it('should parse --since and --staged options', () => {
+      // Arrange
+      const argv = ['review', '--since', 'origin/main', '--staged'];
+
+      // Act
+      const result = parseArguments(argv);
+
+      // Assert
+      expect(result.command).toBe('review');
+      expect(result.options.since).toBe('origin/main');
+      expect(result.options.staged).toBe(true);
+    });
+
+    it('should parse --graph format', () => {
+      // Arrange
+      const argv = ['review', '--graph', 'mermaid', '--output=.dev/graph.mmd'];
+
+      // Act
+      const result = parseArguments(argv);
+
+      // Assert
+      expect(result.options.graph).toBe('mermaid');
+      expect(result.options.output).toBe('.dev/graph.mmd');
+      expect(parseArguments(['review']).options.graph).toBeNull();
+    });
+
+    it('should parse --max-warnings threshold', () => {
+      // Act & Assert
+      expect(parseArguments(['review', '--max-warnings', '0']).options.maxWarnings).toBe('0');
+      expect(parseArguments(['review', '--max-warnings=10']).options.maxWarnings).toBe('10');
+      expect(parseArguments(['review']).options.maxWarnings).toBeNull();
+    });
+
+    it('should record value options given without a value', () => {
+      // Act
+      const bare = parseArguments(['review', '--max-warnings']);
+      const followed = parseArguments(['review', '--graph', '--fix', '--since=', '--format', '--json']);
+
+      // Assert
+      expect(bare.options.maxWarnings).toBeNull();
+      expect(bare.options.missingValues).toEqual(['--max-warnings']);
+      expect(followed.options.fix).toBe(true);
+      expect(followed.options.json).toBe(true);
+      expect(followed.options.missingValues).toEqual(['--graph', '--since', '--format']);
+      expect(parseArguments(['review', '--format', 'json']).options.missingValues).toEqual([]);
+    });
+
+    it('should take negative numbers as values so they can be rejected', () => {
+      // Act
+      const result = parseArguments(['review', '--max-warnings', '-1', '--concurrency=-2']);
+
+      // Assert
+      expect(result.options.maxWarnings).toBe('-1');
+      expect(result.options.concurrency).toBe('-2');
+      expect(result.options.missingValues).toEqual([]);
+    });
+
+    it('should parse --concurrency value', () => {
+      // Act & Assert
+      expect(parseArguments(['review', '--concurrency', '4']).options.concurrency).toBe('4');
+      expect(parseArguments(['review']).options.concurrency).toBeNull();
+    });
+
+    it('should parse --watch flag', () => {
+      // Act & Assert
+      expect(parseArguments(['review', '--watch']).options.watch).toBe(true);
+      expect(parseArguments(['review']).options.watch).toBe(false);
+    });
+
+    it('should parse --no-cache flag', () => {
+      // Act & Assert
+      expect(parseArguments(['review', '--no-cache']).options.noCache).toBe(true);
+      expect(parseArguments(['review']).options.noCache).toBe(false);
+    });
+
+    it('should parse --update-baseline flag', () => {
+      // Arrange
+      const argv = ['review', '--update-baseline'];
+
+      // Act
+      const result = parseArguments(argv);
+
+      // Assert
+      expect(result.options.updateBaseline).toBe(true);
+      expect(parseArguments(['review']).options.updateBaseline).toBe(false);
+    });
+
+    it('should parse --fix and --apply flags', () => {
+      // Arrange
+      const argv = ['review', '--fix', '--apply'];
+
+      // Act
+      const result = parseArguments(argv);
+
+      // Assert
+      expect(result.options.fix).toBe(true);
+      expect(result.options.apply).toBe(true);
+    });
+
+    it('should parse --format with a separate or inline value', () => {
+      // Act
+      const separate = parseArguments(['review', '--format', 'sarif']);
+      const inline = parseArguments(['review', '--format=json']);
+
+      // Assert
+      expect(separate.command).toBe('review');
+      expect(separate.options.format).toBe('sarif');
+      expect(inline.options.format).toBe('json');
+      expect(parseArguments(['review']).options.format).toBeNull();
+    });
+
+    it('should parse --output without treating its value as a command argument', () => {
+      // Act
+      const result = parseArguments(['review', '--format', 'html', '--output', 'report.html']);
+
+      // Assert
+      expect(result.command).toBe('review');
+      expect(result.options.output).toBe('report.html');
+    });
+
     it('should parse --help flag', () => {
       // Arrange
       const argv = ['--help'];
@@ -0,0 +1,102 @@
+/**
+ * Unit Tests for the Review Command
+ * Tests option validation and the Codex guide refresh that runs before each review
+ */
+
+jest.mock('../../../lib/language-detector', () => ({ detectLanguage: jest.fn() }));
+jest.mock('../../../lib/template-manager', () => ({ discoverRuleFiles: jest.fn() }));
+jest.mock('../../../lib/dev-workspace', () => ({
+  writeCodexManifestAndIndex: jest.fn(),
+  setupCodexGuide: jest.fn(),
+}));
+jest.mock('../../../scripts/review.js', () => jest.fn());
+
+const { detectLanguage } = require('../../../lib/language-detector');
+const { discoverRuleFiles } = require('../../../lib/template-manager');
+const { writeCodexManifestAndIndex, setupCodexGuide } = require('../../../lib/dev-workspace');
+const CodeReviewer = require('../../../scripts/review.js');
+const { executeReview } = require('../../../lib/commands/review-command');
+
+const ROOT = '/test-project';
+
+describe('Review Command', () => {
+  const discovered = { rules: ['.dev/rules/shared/clean-architecture.md'] };
+
+  beforeEach(() => {
+    detectLanguage.mockReturnValue('typescript');
+    discoverRuleFiles.mockReturnValue(discovered);
+    writeCodexManifestAndIndex.mockResolvedValue();
+    setupCodexGuide.mockResolvedValue();
+    CodeReviewer.mockImplementation(() => ({ analyze: jest.fn().mockResolvedValue({ errors: [], warnings: [] }) }));
+  });
+
+  describe('option validation', () => {
+    beforeEach(() => {
+      jest.spyOn(process, 'exit').mockImplementation((code) => {
+        throw new Error(`exit ${code}`);
+      });
+    });
+
+    it('should fail with a usage error when a value option has no value', async () => {
+      // Act & Assert
+      await expect(executeReview(ROOT, { missingValues: ['--max-warnings', '--graph'] })).rejects.toThrow('exit 1');
+      expect(console.error).toHaveBeenCalledWith(
+        '❌ Missing value for --max-warnings (usage: ai-dotfiles-manager review --max-warnings <count>)'
+      );
+      expect(console.error).toHaveBeenCalledWith(
+        '❌ Missing value for --graph (usage: ai-dotfiles-manager review --graph <dot|mermaid|json>)'
+      );
+      expect(CodeReviewer).not.toHaveBeenCalled();
+    });
+
+    it.each([
+      ['maxWarnings', '-1', '--max-warnings'],
+      ['maxWarnings', '1.5', '--max-warnings'],
+      ['maxWarnings', '', '--max-warnings'],
+      ['concurrency', '0', '--concurrency'],
+      ['concurrency', '2x', '--concurrency'],
+    ])('should reject %s %p', async (option, value, flag) => {
+      // Act & Assert
+      await expect(executeReview(ROOT, { [option]: value })).rejects.toThrow('exit 1');
+      expect(console.error).toHaveBeenCalledWith(expect.stringContaining(`Invalid ${flag} value: ${value}`));
+      expect(CodeReviewer).not.toHaveBeenCalled();
+    });
+
+    it('should accept whole numbers', async () => {
+      // Act
+      await executeReview(ROOT, { maxWarnings: '0', concurrency: '4', noCodexGuide: true });
+
+      // Assert
+      expect(CodeReviewer).toHaveBeenCalledWith(ROOT, expect.objectContaining({ concurrency: 4 }));
+    });
+  });
+
+  it('should refresh the Codex manifest and AGENTS.md guide before reviewing', async () => {
+    // Act
+    await executeReview(ROOT, {});
+
+    // Assert
+    expect(writeCodexManifestAndIndex).toHaveBeenCalledWith(ROOT, 'typescript', discovered, { log: console.log });
+    expect(setupCodexGuide).toHaveBeenCalledWith(ROOT, 'typescript', true, discovered, { log: console.log });
+    expect(CodeReviewer).toHaveBeenCalledTimes(1);
+  });
+
+  it('should log the refresh to stderr for machine-readable output', async () => {
+    // Act
+    await executeReview(ROOT, { json: true });
+
+    // Assert
+    expect(writeCodexManifestAndIndex).toHaveBeenCalledWith(ROOT, 'typescript', discovered, { log: console.error });
+    expect(setupCodexGuide).toHaveBeenCalledWith(ROOT, 'typescript', true, discovered, { log: console.error });
+  });
+
+  it('should skip the refresh with --no-codex-guide', async () => {
+    // Act
+    await executeReview(ROOT, { noCodexGuide: true });
+
+    // Assert
+    expect(writeCodexManifestAndIndex).not.toHaveBeenCalled();
+    expect(setupCodexGuide).not.toHaveBeenCalled();
+    expect(CodeReviewer).toHaveBeenCalledTimes(1);
+  });
+});
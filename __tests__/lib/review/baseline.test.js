@@ -0,0 +1,102 @@
+/**
+ * Unit Tests for Review Baseline
+ * Tests violation fingerprints and baseline comparison
+ */
+
+const path = require('path');
+const ts = require('typescript');
+const {
+  getAstAnchor,
+  getIndentAnchor,
+  fingerprintViolation,
+  createBaseline,
+  loadBaseline,
+  compareWithBaseline,
+} = require('../../../lib/review/baseline');
+
+const parse = content => ({ content, sourceFile: ts.createSourceFile('a.ts', content, ts.ScriptTarget.Latest, true) });
+
+describe('Review Baseline', () => {
+  describe('getAstAnchor', () => {
+    it('should anchor declarations by name and statements by text within their scope', () => {
+      // Arrange
+      const { sourceFile } = parse([
+        "import { db } from '../infrastructure/db';",
+        'export class UserRepository {',
+        '  save() {',
+        "    const legacy = require('../infrastructure/legacy');",
+        '  }',
+        '}',
+      ].join('\n'));
+
+      // Act & Assert
+      expect(getAstAnchor(sourceFile, 1)).toBe("import { db } from '../infrastructure/db';");
+      expect(getAstAnchor(sourceFile, 2)).toBe('UserRepository');
+      expect(getAstAnchor(sourceFile, 3)).toBe('UserRepository/save');
+      expect(getAstAnchor(sourceFile, 4)).toBe("UserRepository/save/const legacy = require('../infrastructure/legacy');");
+    });
+  });
+
+  describe('getIndentAnchor', () => {
+    it('should include enclosing Python classes and functions', () => {
+      // Act
+      const anchor = getIndentAnchor('class Repo:\n    def save(self):\n        import  infrastructure\n', 3);
+
+      // Assert
+      expect(anchor).toBe('Repo/save/import infrastructure');
+    });
+  });
+
+  describe('fingerprintViolation', () => {
+    it('should not change when the violation moves to another line', () => {
+      // Arrange
+      const before = parse("import { db } from '../infrastructure/db';\n");
+      const after = parse("// Moved down\n\nimport { db } from '../infrastructure/db';\n");
+      const violation = { code: 'LAYER_VIOLATION', file: 'src/domain/User.ts' };
+
+      // Act
+      const original = fingerprintViolation({ ...violation, line: 1 }, before);
+      const moved = fingerprintViolation({ ...violation, line: 3 }, after);
+
+      // Assert
+      expect(moved).toBe(original);
+      expect(fingerprintViolation({ ...violation, file: 'src/domain/Other.ts', line: 1 }, before)).not.toBe(original);
+    });
+  });
+
+  describe('compareWithBaseline', () => {
+    it('should split new, baselined and fixed violations, counting duplicates', () => {
+      // Arrange
+      const baseline = createBaseline([
+        { fingerprint: 'a', code: 'ANY_TYPE', file: 'src/a.ts', message: 'any' },
+        { fingerprint: 'b', code: 'SERVICE_DI', file: 'src/b.ts', message: 'di' },
+      ]);
+      const entries = [
+        { fingerprint: 'a', code: 'ANY_TYPE' },
+        { fingerprint: 'a', code: 'ANY_TYPE' },
+        { fingerprint: 'c', code: 'LAYER_VIOLATION' },
+      ];
+
+      // Act
+      const result = compareWithBaseline(entries, baseline);
+
+      // Assert
+      expect(result.baselined).toHaveLength(1);
+      expect(result.newEntries.map(e => e.fingerprint)).toEqual(['a', 'c']);
+      expect(result.fixed.map(e => e.fingerprint)).toEqual(['b']);
+    });
+  });
+
+  describe('loadBaseline', () => {
+    it('should return null without a baseline and reject malformed files', () => {
+      // Arrange
+      const baselinePath = path.join('/test-project', '.dev/review-baseline.json');
+      const missing = { existsSync: jest.fn(() => false) };
+      const malformed = { existsSync: jest.fn(p => p === baselinePath), readFileSync: jest.fn(() => '{"version":1}') };
+
+      // Act & Assert
+      expect(loadBaseline('/test-project', missing)).toBeNull();
+      expect(() => loadBaseline('/test-project', malformed)).toThrow('expected a "violations" array');
+    });
+  });
+});
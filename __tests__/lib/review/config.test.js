@@ -0,0 +1,334 @@
+/**
+ * Unit Tests for Review Configuration
+ * Tests loading the layer model from .dev/review.config.json
+ */
+
+const path = require('path');
+const {
+  DEFAULT_REVIEW_CONFIG,
+  DEFAULT_TEST_CONVENTIONS,
+  loadReviewConfig,
+  detectSourceRoot,
+  findLayer,
+  isDependencyAllowed,
+  getExternalModuleNames,
+  findExternalDependencyViolation,
+  getRuleLevel,
+  getConfiguredRuleCodes,
+} = require('../../../lib/review/config');
+const { matchesGlob } = require('../../../lib/review/glob');
+
+const ROOT = '/test-project';
+const CONFIG_PATH = path.join(ROOT, '.dev/review.config.json');
+
+function createFs(content) {
+  return {
+    existsSync: jest.fn(p => content !== undefined && p === CONFIG_PATH),
+    readFileSync: jest.fn(() => content),
+  };
+}
+
+/**
+ * Creates an fs mock for a project tree without .dev/review.config.json
+ * @param {Object} files - Map of project-relative file path to content
+ * @returns {Object}
+ */
+function createProjectFs(files) {
+  const paths = Object.keys(files);
+  const exists = relative => paths.some(file => file === relative || file.startsWith(`${relative}/`));
+  return {
+    existsSync: jest.fn(p => exists(path.relative(ROOT, p))),
+    readFileSync: jest.fn(p => files[path.relative(ROOT, p)]),
+    readdirSync: jest.fn(() => [...new Set(paths.map(file => file.split('/')[0]))].map(name => ({
+      name,
+      isDirectory: () => paths.some(file => file.startsWith(`${name}/`)),
+    }))),
+  };
+}
+
+describe('Review Config', () => {
+  describe('loadReviewConfig', () => {
+    it('should return the defaults when no config file exists', () => {
+      // Arrange
+      const fsMock = createFs(undefined);
+
+      // Act
+      const config = loadReviewConfig(ROOT, fsMock);
+
+      // Assert
+      expect(config.sourceRoot).toBe('src');
+      expect(config.layers.map(l => l.name)).toEqual(DEFAULT_REVIEW_CONFIG.layers.map(l => l.name));
+      expect(fsMock.readFileSync).not.toHaveBeenCalled();
+    });
+
+    it('should replace the layer model and source root from the config file', () => {
+      // Arrange
+      const fsMock = createFs(JSON.stringify({
+        sourceRoot: 'lib',
+        layers: [
+          { name: 'core', patterns: 'core/**', allowedDependencies: [] },
+          { name: 'adapters', patterns: ['adapters/**'] },
+        ],
+      }));
+
+      // Act
+      const config = loadReviewConfig(ROOT, fsMock);
+
+      // Assert
+      expect(config.sourceRoot).toBe('lib');
+      expect(config.layers).toEqual([
+        { name: 'core', patterns: ['core/**'], allowedDependencies: [], externalDependencies: null },
+        { name: 'adapters', patterns: ['adapters/**'], allowedDependencies: null, externalDependencies: null },
+      ]);
+    });
+
+    it('should throw a descriptive error for invalid JSON', () => {
+      // Arrange
+      const fsMock = createFs('{ nope');
+
+      // Act & Assert
+      expect(() => loadReviewConfig(ROOT, fsMock)).toThrow(/Invalid review config/);
+    });
+
+    it('should reject allowed dependencies on unknown layers', () => {
+      // Arrange
+      const fsMock = createFs(JSON.stringify({
+        layers: [{ name: 'core', patterns: ['core/**'], allowedDependencies: ['utlis'] }],
+      }));
+
+      // Act & Assert
+      expect(() => loadReviewConfig(ROOT, fsMock)).toThrow("layer 'core' allows unknown layer(s): utlis");
+    });
+
+    it('should validate external dependency allow and deny lists', () => {
+      // Arrange
+      const fsMock = createFs(JSON.stringify({
+        layers: [{ name: 'core', patterns: ['core/**'], externalDependencies: { deny: ['node:*', 'typeorm'] } }],
+      }));
+      const invalid = layers => createFs(JSON.stringify({ layers }));
+
+      // Act
+      const config = loadReviewConfig(ROOT, fsMock);
+
+      // Assert
+      expect(config.layers[0].externalDependencies).toEqual({ allow: null, deny: ['node:*', 'typeorm'] });
+      expect(() => loadReviewConfig(ROOT, invalid([{ name: 'core', patterns: ['core/**'], externalDependencies: ['fs'] }])))
+        .toThrow(`"externalDependencies" of layer 'core' must be an object with "allow" and/or "deny"`);
+      expect(() => loadReviewConfig(ROOT, invalid([{ name: 'core', patterns: ['core/**'], externalDependencies: { allow: 'uuid' } }])))
+        .toThrow("externalDependencies.allow of layer 'core' must be an array of package names");
+    });
+
+    it('should accept one or several DI registration modules, or none', () => {
+      // Act & Assert
+      expect(loadReviewConfig(ROOT, createFs(undefined)).diRegistration)
+        .toEqual(['src/infrastructure/di/DIRegistration.ts']);
+      expect(loadReviewConfig(ROOT, createFs('{ "diRegistration": "src/di/container.ts" }')).diRegistration)
+        .toEqual(['src/di/container.ts']);
+      expect(loadReviewConfig(ROOT, createFs('{ "diRegistration": null }')).diRegistration).toEqual([]);
+      expect(() => loadReviewConfig(ROOT, createFs('{ "diRegistration": [1] }')))
+        .toThrow('"diRegistration" must be a path or an array of paths');
+    });
+
+    it('should leave the test checks off unless the config turns them on', () => {
+      // Act & Assert
+      expect(loadReviewConfig(ROOT, createFs(undefined)).testConventions).toBeNull();
+      expect(loadReviewConfig(ROOT, createFs('{ "sourceRoot": "lib" }')).testConventions).toBeNull();
+      expect(loadReviewConfig(ROOT, createFs('{ "testConventions": true }')).testConventions).toEqual(DEFAULT_TEST_CONVENTIONS);
+      expect(loadReviewConfig(ROOT, createFs('{ "testConventions": {} }')).testConventions).toEqual(DEFAULT_TEST_CONVENTIONS);
+    });
+
+    it('should merge test conventions over the defaults, or turn them off', () => {
+      // Act
+      const config = loadReviewConfig(ROOT, createFs('{ "testConventions": { "patterns": "test/{name}.spec.ts", "minCoverage": 80 } }'));
+
+      // Assert
+      expect(config.testConventions).toEqual({
+        include: ['application/**', 'infrastructure/repositories/**'],
+        patterns: ['test/{name}.spec.ts'],
+        coverageSummary: 'coverage/coverage-summary.json',
+        minCoverage: 80,
+      });
+      expect(loadReviewConfig(ROOT, createFs('{ "testConventions": false }')).testConventions).toBeNull();
+      expect(() => loadReviewConfig(ROOT, createFs('{ "testConventions": { "include": [] } }')))
+        .toThrow('testConventions.include must be a non-empty array of globs');
+      expect(() => loadReviewConfig(ROOT, createFs('{ "testConventions": { "minCoverage": 120 } }')))
+        .toThrow('testConventions.minCoverage must be a percentage (0-100)');
+    });
+
+    it('should load rule plugin package names', () => {
+      // Arrange
+      const fsMock = createFs(JSON.stringify({ plugins: ['@acme/review-rules'] }));
+
+      // Act
+      const config = loadReviewConfig(ROOT, fsMock);
+
+      // Assert
+      expect(config.plugins).toEqual(['@acme/review-rules']);
+      expect(() => loadReviewConfig(ROOT, createFs('{ "plugins": "@acme/review-rules" }')))
+        .toThrow('"plugins" must be an array of package names');
+    });
+
+    it('should validate rule levels and overrides', () => {
+      // Arrange
+      const fsMock = createFs(JSON.stringify({
+        rules: { ANY_TYPE: 'error' },
+        overrides: [{ files: 'src/legacy/**', rules: { ANY_TYPE: 'off' } }],
+      }));
+
+      // Act
+      const config = loadReviewConfig(ROOT, fsMock);
+
+      // Assert
+      expect(config.rules).toEqual({ ANY_TYPE: 'error' });
+      expect(config.overrides).toEqual([{ files: ['src/legacy/**'], rules: { ANY_TYPE: 'off' } }]);
+      expect(() => loadReviewConfig(ROOT, createFs('{ "rules": { "ANY_TYPE": "warn" } }')))
+        .toThrow('rules.ANY_TYPE must be one of off, info, warning, error (got "warn")');
+      expect(() => loadReviewConfig(ROOT, createFs('{ "overrides": [{ "rules": {} }] }')))
+        .toThrow('overrides[0] needs glob "files"');
+    });
+  });
+
+  describe('detectSourceRoot', () => {
+    it('should keep src when it exists or the project is not a Python project', () => {
+      // Act & Assert
+      expect(detectSourceRoot(ROOT, createProjectFs({ 'pyproject.toml': '', 'src/app/__init__.py': '' }))).toBe('src');
+      expect(detectSourceRoot(ROOT, createProjectFs({ 'package.json': '{}', 'app/index.ts': '' }))).toBe('src');
+    });
+
+    it('should use the single top-level package of a Python project without src', () => {
+      // Arrange
+      const fsMock = createProjectFs({
+        'requirements.txt': '',
+        'shop/__init__.py': '',
+        'shop/domain/order.py': '',
+        'tests/__init__.py': '',
+        'tools/build.py': '',
+      });
+
+      // Act
+      const config = loadReviewConfig(ROOT, fsMock);
+
+      // Assert
+      expect(config.sourceRoot).toBe('shop');
+    });
+
+    it('should follow the package directory from pyproject.toml', () => {
+      // Act & Assert
+      expect(detectSourceRoot(ROOT, createProjectFs({
+        'pyproject.toml': '[tool.setuptools.packages.find]\nwhere = ["lib"]\n',
+        'lib/shop/__init__.py': '',
+      }))).toBe('lib');
+      expect(detectSourceRoot(ROOT, createProjectFs({
+        'pyproject.toml': '[tool.poetry]\npackages = [{ include = "shop", from = "python" }]\n',
+        'python/shop/__init__.py': '',
+      }))).toBe('python');
+    });
+
+    it('should fall back to the project root', () => {
+      // Act & Assert
+      expect(detectSourceRoot(ROOT, createProjectFs({ 'setup.py': '', 'domain/user.py': '', 'shop/__init__.py': '', 'billing/__init__.py': '' })))
+        .toBe('.');
+    });
+  });
+
+  describe('getRuleLevel', () => {
+    it('should apply the rules section, then matching overrides in order', () => {
+      // Arrange
+      const config = {
+        rules: { ANY_TYPE: 'error', MULTIPLE_INTERFACES: 'off' },
+        overrides: [
+          { files: ['src/legacy/**'], rules: { ANY_TYPE: 'warning' } },
+          { files: ['src/legacy/generated/**'], rules: { ANY_TYPE: 'off' } },
+        ],
+      };
+
+      // Act & Assert
+      expect(getRuleLevel(config, 'ANY_TYPE', 'src/domain/User.ts', 'warning')).toBe('error');
+      expect(getRuleLevel(config, 'ANY_TYPE', 'src/legacy/Old.ts', 'warning')).toBe('warning');
+      expect(getRuleLevel(config, 'ANY_TYPE', 'src/legacy/generated/api.ts', 'warning')).toBe('off');
+      expect(getRuleLevel(config, 'MULTIPLE_INTERFACES', 'src/domain/types.ts', 'info')).toBe('off');
+      expect(getRuleLevel(config, 'LAYER_VIOLATION', 'src/domain/User.ts', 'error')).toBe('error');
+      expect(getConfiguredRuleCodes(config)).toEqual(['ANY_TYPE', 'MULTIPLE_INTERFACES']);
+    });
+  });
+
+  describe('findExternalDependencyViolation', () => {
+    it('should name packages by their root and Node built-ins with and without node:', () => {
+      // Act & Assert
+      expect(getExternalModuleNames('lodash/fp')).toEqual({ name: 'lodash', builtin: false, names: ['lodash'] });
+      expect(getExternalModuleNames('@nestjs/core/testing').name).toBe('@nestjs/core');
+      expect(getExternalModuleNames('fs/promises')).toEqual({ name: 'fs', builtin: true, names: ['fs', 'node:fs'] });
+      expect(getExternalModuleNames('node:http').names).toEqual(['http', 'node:http']);
+    });
+
+    it('should forbid every external import in the default domain layer', () => {
+      // Arrange
+      const config = loadReviewConfig(ROOT, createFs(undefined));
+
+      // Act & Assert
+      expect(findExternalDependencyViolation(config, 'domain', 'node:fs')).toEqual({ name: 'fs', builtin: true });
+      expect(findExternalDependencyViolation(config, 'domain', 'typeorm')).toEqual({ name: 'typeorm', builtin: false });
+      expect(findExternalDependencyViolation(config, 'infrastructure', 'typeorm')).toBeNull();
+    });
+
+    it('should apply allow globs, with denied names winning', () => {
+      // Arrange
+      const config = {
+        layers: [
+          { name: 'domain', externalDependencies: { allow: ['uuid', '@acme/*'], deny: ['@acme/db'] } },
+          { name: 'application', externalDependencies: { allow: null, deny: ['node:*', 'axios'] } },
+        ],
+      };
+
+      // Act & Assert
+      expect(findExternalDependencyViolation(config, 'domain', 'uuid')).toBeNull();
+      expect(findExternalDependencyViolation(config, 'domain', '@acme/money/currency')).toBeNull();
+      expect(findExternalDependencyViolation(config, 'domain', '@acme/db')).toEqual({ name: '@acme/db', builtin: false });
+      expect(findExternalDependencyViolation(config, 'application', 'http')).toEqual({ name: 'http', builtin: true });
+      expect(findExternalDependencyViolation(config, 'application', 'axios/lib/core')).toEqual({ name: 'axios', builtin: false });
+      expect(findExternalDependencyViolation(config, 'application', 'zod')).toBeNull();
+    });
+  });
+
+  describe('findLayer', () => {
+    it('should return the first layer whose patterns match', () => {
+      // Arrange
+      const config = {
+        layers: [
+          { name: 'tests', patterns: ['**/*.test.ts'] },
+          { name: 'domain', patterns: ['domain/**'] },
+        ],
+      };
+
+      // Act & Assert
+      expect(findLayer(config, 'domain/User.test.ts')).toBe('tests');
+      expect(findLayer(config, 'domain/User.ts')).toBe('domain');
+      expect(findLayer(config, 'domainish/User.ts')).toBeNull();
+    });
+  });
+
+  describe('isDependencyAllowed', () => {
+    it('should follow the default clean architecture directions', () => {
+      // Arrange
+      const config = loadReviewConfig(ROOT, createFs(undefined));
+
+      // Act & Assert
+      expect(isDependencyAllowed(config, 'domain', 'utils')).toBe(true);
+      expect(isDependencyAllowed(config, 'domain', 'application')).toBe(false);
+      expect(isDependencyAllowed(config, 'application', 'infrastructure')).toBe(false);
+      expect(isDependencyAllowed(config, 'infrastructure', 'application')).toBe(true);
+      expect(isDependencyAllowed(config, 'domain', 'domain')).toBe(true);
+    });
+  });
+
+  describe('matchesGlob', () => {
+    it('should support **, *, ? and brace patterns', () => {
+      // Act & Assert
+      expect(matchesGlob('packages/api/src/core/a/b.ts', 'packages/*/src/{core,shared}/**')).toBe(true);
+      expect(matchesGlob('core/a.ts', '**/core/**')).toBe(true);
+      expect(matchesGlob('v1/a.ts', 'v?/*.ts')).toBe(true);
+      expect(matchesGlob('v1/nested/a.ts', 'v?/*.ts')).toBe(false);
+      expect(matchesGlob('src\\core\\a.ts', 'src/core/**')).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Unit Tests for Dependency Graph
+ * Tests strongly connected components and cycle paths used by the circular dependency check
+ */
+
+const {
+  createAdjacency,
+  findStronglyConnectedComponents,
+  findCyclePath,
+  findCycles,
+} = require('../../../lib/review/dependency-graph');
+
+const edge = (from, to) => ({ from, to });
+
+describe('Dependency Graph', () => {
+  describe('createAdjacency', () => {
+    it('should list sorted, unique successors for every node', () => {
+      // Arrange
+      const edges = [edge('b', 'c'), edge('b', 'a'), edge('b', 'a'), edge('d', 'a')];
+
+      // Act
+      const adjacency = createAdjacency(['c', 'b', 'a'], edges);
+
+      // Assert
+      expect([...adjacency.entries()]).toEqual([
+        ['a', []],
+        ['b', ['a', 'c']],
+        ['c', []],
+        ['d', ['a']],
+      ]);
+    });
+  });
+
+  describe('findStronglyConnectedComponents', () => {
+    it('should group mutually reachable nodes', () => {
+      // Arrange
+      const adjacency = createAdjacency(['a', 'b', 'c', 'd', 'e'], [
+        edge('a', 'b'), edge('b', 'c'), edge('c', 'a'),
+        edge('c', 'd'), edge('d', 'e'), edge('e', 'd'),
+      ]);
+
+      // Act
+      const components = findStronglyConnectedComponents(adjacency);
+
+      // Assert
+      expect(components).toEqual([['d', 'e'], ['a', 'b', 'c']]);
+    });
+
+    it('should handle long import chains without recursion', () => {
+      // Arrange
+      const nodes = Array.from({ length: 20000 }, (_, i) => `m${String(i).padStart(5, '0')}`);
+      const edges = nodes.slice(1).map((node, i) => edge(nodes[i], node));
+      edges.push(edge(nodes[nodes.length - 1], nodes[0]));
+
+      // Act
+      const components = findStronglyConnectedComponents(createAdjacency(nodes, edges));
+
+      // Assert
+      expect(components).toHaveLength(1);
+      expect(components[0]).toHaveLength(nodes.length);
+    });
+  });
+
+  describe('findCyclePath', () => {
+    it('should return the shortest cycle through the start node', () => {
+      // Arrange
+      const adjacency = createAdjacency(['a', 'b', 'c', 'd'], [
+        edge('a', 'b'), edge('b', 'c'), edge('c', 'd'), edge('d', 'a'), edge('b', 'a'),
+      ]);
+
+      // Act
+      const cyclePath = findCyclePath(adjacency, ['a', 'b', 'c', 'd'], 'a');
+
+      // Assert
+      expect(cyclePath).toEqual(['a', 'b', 'a']);
+    });
+  });
+
+  describe('findCycles', () => {
+    it('should report multi-file cycles and self-imports but not acyclic files', () => {
+      // Arrange
+      const edges = [
+        edge('x', 'y'), edge('y', 'z'), edge('z', 'x'),
+        edge('self', 'self'),
+        edge('leaf', 'x'),
+      ];
+
+      // Act
+      const cycles = findCycles(['leaf', 'self', 'x', 'y', 'z'], edges);
+
+      // Assert
+      expect(cycles).toEqual([
+        { members: ['self'], path: ['self', 'self'] },
+        { members: ['x', 'y', 'z'], path: ['x', 'y', 'z', 'x'] },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Unit Tests for Git Diff
+ * Tests changed-line detection for diff-aware reviews
+ */
+
+const { parseUnifiedDiff, getChangedLines, isChanged } = require('../../../lib/review/git-diff');
+
+const DIFF = [
+  'diff --git a/src/domain/User.ts b/src/domain/User.ts',
+  'index 1111111..2222222 100644',
+  '--- a/src/domain/User.ts',
+  '+++ b/src/domain/User.ts',
+  '@@ -3,0 +4,2 @@ export class User {',
+  "+import { db } from '../infrastructure/db';",
+  '+const x = 1;',
+  '@@ -10 +12 @@',
+  '-old',
+  '+new',
+  'diff --git a/src/old.ts b/src/old.ts',
+  'deleted file mode 100644',
+  '--- a/src/old.ts',
+  '+++ /dev/null',
+  '@@ -1 +0,0 @@',
+  '-gone',
+].join('\n');
+
+/**
+ * Creates an execSync stand-in answering by command prefix
+ * @param {Object} responses - Map of command prefix to output (Error instances are thrown)
+ * @returns {jest.Mock}
+ */
+function createExecMock(responses) {
+  return jest.fn((command) => {
+    const prefix = Object.keys(responses).find(key => command.startsWith(key));
+    const response = prefix === undefined ? '' : responses[prefix];
+    if (response instanceof Error) throw response;
+    return response;
+  });
+}
+
+describe('Git Diff', () => {
+  describe('parseUnifiedDiff', () => {
+    it('should collect added line numbers per file and skip deleted files', () => {
+      // Act
+      const changes = parseUnifiedDiff(DIFF);
+
+      // Assert
+      expect([...changes.keys()]).toEqual(['src/domain/User.ts']);
+      expect([...changes.get('src/domain/User.ts')]).toEqual([4, 5, 12]);
+    });
+  });
+
+  describe('getChangedLines', () => {
+    it('should diff against the merge base and include untracked files', () => {
+      // Arrange
+      const exec = createExecMock({
+        'git merge-base origin/main HEAD': 'abc123\n',
+        'git -c core.quotepath=off diff': DIFF,
+        'git -c core.quotepath=off ls-files --others': 'src/domain/New.ts\n',
+      });
+
+      // Act
+      const changes = getChangedLines('/test-project', { since: 'origin/main', exec });
+
+      // Assert
+      expect(exec).toHaveBeenCalledWith(
+        'git -c core.quotepath=off diff --relative --unified=0 --no-color --no-ext-diff abc123',
+        expect.objectContaining({ cwd: '/test-project' })
+      );
+      expect(changes.get('src/domain/New.ts')).toBeNull();
+      expect(changes.get('src/domain/User.ts').has(4)).toBe(true);
+    });
+
+    it('should diff the index for staged changes without untracked files', () => {
+      // Arrange
+      const exec = createExecMock({ 'git -c core.quotepath=off diff': DIFF });
+
+      // Act
+      getChangedLines('/test-project', { staged: true, exec });
+
+      // Assert
+      expect(exec).toHaveBeenCalledTimes(1);
+      expect(exec.mock.calls[0][0]).toBe('git -c core.quotepath=off diff --relative --unified=0 --no-color --no-ext-diff --cached');
+    });
+
+    it('should reject refs that are not plain git revisions', () => {
+      // Act & Assert
+      expect(() => getChangedLines('/test-project', { since: 'main; rm -rf /', exec: jest.fn() })).toThrow('Invalid git ref');
+    });
+  });
+
+  describe('isChanged', () => {
+    it('should match changed lines, new files and file-level violations', () => {
+      // Arrange
+      const changes = new Map([['src/a.ts', new Set([4])], ['src/new.ts', null]]);
+
+      // Act & Assert
+      expect(isChanged(changes, 'src/a.ts', 4)).toBe(true);
+      expect(isChanged(changes, 'src/a.ts', 5)).toBe(false);
+      expect(isChanged(changes, 'src/a.ts', null)).toBe(true);
+      expect(isChanged(changes, 'src/new.ts', 99)).toBe(true);
+      expect(isChanged(changes, 'src/b.ts', 1)).toBe(false);
+    });
+  });
+});
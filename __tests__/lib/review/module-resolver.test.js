@@ -0,0 +1,94 @@
+/**
+ * Unit Tests for Module Resolver
+ * Tests tsconfig-based resolution of aliased import specifiers
+ */
+
+const path = require('path');
+const { loadCompilerOptions, createModuleResolver } = require('../../../lib/review/module-resolver');
+
+const ROOT = path.resolve('/test-project');
+
+/**
+ * Builds an in-memory TypeScript system host
+ * @param {Object} files - Map of project-relative path to content
+ * @returns {Object}
+ */
+function createHost(files) {
+  const absolute = new Map(Object.entries(files).map(([file, content]) => [path.join(ROOT, file), content]));
+  const isDirectory = dir => [...absolute.keys()].some(file => file.startsWith(`${dir}${path.sep}`));
+
+  return {
+    useCaseSensitiveFileNames: true,
+    fileExists: file => absolute.has(path.resolve(file)),
+    readFile: file => absolute.get(path.resolve(file)),
+    directoryExists: dir => isDirectory(path.resolve(dir)),
+    readDirectory: () => [],
+    getCurrentDirectory: () => ROOT,
+  };
+}
+
+const TSCONFIG_FILES = {
+  'config/tsconfig.base.json': JSON.stringify({
+    compilerOptions: { baseUrl: '../src', paths: { '@domain/*': ['domain/*'], '~/*': ['*'] } },
+  }),
+  'tsconfig.json': '{\n  // Comments and trailing commas are allowed\n  "extends": "./config/tsconfig.base.json",\n}',
+  'src/domain/user.ts': 'export interface IUser {}',
+  'src/infrastructure/db/index.ts': 'export const db = {};',
+  'node_modules/lodash/package.json': JSON.stringify({ name: 'lodash', types: 'index.d.ts' }),
+  'node_modules/lodash/index.d.ts': 'export {};',
+};
+
+describe('Module Resolver', () => {
+  describe('loadCompilerOptions', () => {
+    it('should follow extends and resolve baseUrl relative to the base config', () => {
+      // Arrange
+      const host = createHost(TSCONFIG_FILES);
+
+      // Act
+      const options = loadCompilerOptions(ROOT, 'tsconfig.json', host);
+
+      // Assert
+      expect(path.resolve(options.baseUrl)).toBe(path.join(ROOT, 'src'));
+      expect(options.paths['@domain/*']).toEqual(['domain/*']);
+    });
+
+    it('should return empty options when the tsconfig does not exist', () => {
+      // Arrange
+      const host = createHost({});
+
+      // Act & Assert
+      expect(loadCompilerOptions(ROOT, 'tsconfig.json', host)).toEqual({});
+    });
+  });
+
+  describe('createModuleResolver', () => {
+    it('should resolve paths aliases to project files', () => {
+      // Arrange
+      const resolve = createModuleResolver(ROOT, { host: createHost(TSCONFIG_FILES) });
+      const from = path.join(ROOT, 'src/application/service.ts');
+
+      // Act & Assert
+      expect(resolve('@domain/user', from)).toEqual({ path: path.join(ROOT, 'src/domain/user.ts'), external: false });
+      expect(resolve('~/infrastructure/db', from).path).toBe(path.join(ROOT, 'src/infrastructure/db/index.ts'));
+    });
+
+    it('should flag packages from node_modules as external', () => {
+      // Arrange
+      const resolve = createModuleResolver(ROOT, { host: createHost(TSCONFIG_FILES) });
+
+      // Act
+      const resolved = resolve('lodash', path.join(ROOT, 'src/domain/user.ts'));
+
+      // Assert
+      expect(resolved.external).toBe(true);
+    });
+
+    it('should return null for modules that do not resolve', () => {
+      // Arrange
+      const resolve = createModuleResolver(ROOT, { host: createHost(TSCONFIG_FILES) });
+
+      // Act & Assert
+      expect(resolve('@domain/missing', path.join(ROOT, 'src/domain/user.ts'))).toBeNull();
+    });
+  });
+});
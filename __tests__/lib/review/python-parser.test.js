@@ -0,0 +1,106 @@
+/**
+ * Unit Tests for Python Parser
+ * Tests import and class extraction used by the Python review backend
+ */
+
+const path = require('path');
+const {
+  extractPythonImports,
+  extractPythonClasses,
+  getPythonModuleCandidates,
+} = require('../../../lib/review/python-parser');
+
+describe('Python Parser', () => {
+  describe('extractPythonImports', () => {
+    it('should extract import, from and dynamic import edges', () => {
+      // Arrange
+      const content = [
+        'import os, sys as system',
+        'from src.domain.user import User',
+        'from ..infrastructure import (',
+        '    db,  # database',
+        ')',
+        'from . import helpers, models as m',
+        "repo = importlib.import_module('src.infrastructure.repo')",
+      ].join('\n');
+
+      // Act
+      const imports = extractPythonImports(content);
+
+      // Assert
+      expect(imports).toEqual([
+        { module: 'os', line: 1, kind: 'import' },
+        { module: 'sys', line: 1, kind: 'import' },
+        { module: 'src.domain.user', line: 2, kind: 'from' },
+        { module: '..infrastructure', line: 3, kind: 'from' },
+        { module: '.helpers', line: 6, kind: 'from' },
+        { module: '.models', line: 6, kind: 'from' },
+        { module: 'src.infrastructure.repo', line: 7, kind: 'dynamic-import' },
+      ]);
+    });
+
+    it('should ignore imports inside comments and docstrings', () => {
+      // Arrange
+      const content = '"""\nimport infrastructure\n"""\n# from infrastructure import db\nx = "import y"\n';
+
+      // Act & Assert
+      expect(extractPythonImports(content)).toEqual([]);
+    });
+  });
+
+  describe('extractPythonClasses', () => {
+    it('should split Protocol/ABC classes into interfaces and detect __init__', () => {
+      // Arrange
+      const content = [
+        'class ProductRepositoryProtocol(Protocol):',
+        '    def save(self) -> None: ...',
+        '',
+        'class ProductRepository(BaseRepository, metaclass=Registry):',
+        '    """Stores products."""',
+        '    def __init__(self, db):',
+        '        self.db = db',
+        '',
+        'class ProductService:',
+        '    def run(self):',
+        '        pass',
+        'class Base(metaclass=ABCMeta):',
+        '    pass',
+      ].join('\n');
+
+      // Act
+      const { classes, interfaces } = extractPythonClasses(content);
+
+      // Assert
+      expect(classes).toEqual([
+        { name: 'ProductRepository', line: 4, hasConstructor: true, baseNames: ['BaseRepository'] },
+        { name: 'ProductService', line: 9, hasConstructor: false, baseNames: [] },
+      ]);
+      expect(interfaces.map(i => i.name)).toEqual(['ProductRepositoryProtocol', 'Base']);
+    });
+  });
+
+  describe('getPythonModuleCandidates', () => {
+    it('should resolve relative imports from the importing package', () => {
+      // Arrange
+      const file = path.join('/app', 'src', 'domain', 'user', 'entity.py');
+
+      // Act
+      const candidates = getPythonModuleCandidates('..errors', file, ['/app/src']);
+
+      // Assert
+      expect(candidates).toEqual([
+        path.join('/app', 'src', 'domain', 'errors.py'),
+        path.join('/app', 'src', 'domain', 'errors', '__init__.py'),
+      ]);
+    });
+
+    it('should try each root for absolute imports', () => {
+      // Act
+      const candidates = getPythonModuleCandidates('src.domain', '/app/src/a.py', ['/app/src', '/app']);
+
+      // Assert
+      expect(candidates).toContain(path.join('/app', 'src', 'domain', '__init__.py'));
+      expect(candidates[0]).toBe(path.join('/app', 'src', 'src', 'domain.py'));
+    });
+  });
+});
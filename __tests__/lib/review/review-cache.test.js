@@ -0,0 +1,99 @@
+/**
+ * Unit Tests for Review Cache
+ * Tests the on-disk per-file cache used for incremental reviews
+ */
+
+const path = require('path');
+const {
+  REVIEW_CACHE_DIR,
+  hashContent,
+  createCacheKey,
+  loadReviewCache,
+  writeReviewCache,
+  findInvalidatedFiles,
+} = require('../../../lib/review/review-cache');
+
+const ROOT = '/test-project';
+const CACHE_PATH = path.join(ROOT, REVIEW_CACHE_DIR, 'files.json');
+
+function createFs(files = {}) {
+  return {
+    files,
+    existsSync: jest.fn(p => p in files),
+    readFileSync: jest.fn(p => files[p]),
+    writeFileSync: jest.fn((p, content) => { files[p] = content; }),
+    mkdirSync: jest.fn(),
+  };
+}
+
+describe('Review Cache', () => {
+  describe('createCacheKey', () => {
+    it('should change when any input changes', () => {
+      // Act & Assert
+      expect(createCacheKey([{ sourceRoot: 'src' }])).toBe(createCacheKey([{ sourceRoot: 'src' }]));
+      expect(createCacheKey([{ sourceRoot: 'src' }])).not.toBe(createCacheKey([{ sourceRoot: 'lib' }]));
+      expect(hashContent('a')).not.toBe(hashContent('b'));
+    });
+  });
+
+  describe('loadReviewCache / writeReviewCache', () => {
+    it('should round-trip entries and ignore the cache from git', () => {
+      // Arrange
+      const fsMock = createFs();
+      const entries = { 'src/a.ts': { hash: hashContent('a'), imports: [] } };
+
+      // Act
+      writeReviewCache(ROOT, 'key-1', entries, fsMock);
+
+      // Assert
+      expect(fsMock.files[path.join(ROOT, REVIEW_CACHE_DIR, '.gitignore')]).toBe('*\n');
+      expect(loadReviewCache(ROOT, 'key-1', fsMock)).toEqual(entries);
+    });
+
+    it('should treat a missing, corrupt or outdated cache as empty', () => {
+      // Arrange
+      const outdated = createFs({ [CACHE_PATH]: JSON.stringify({ key: 'old', files: { 'src/a.ts': {} } }) });
+      const corrupt = createFs({ [CACHE_PATH]: '{ "key": ' });
+
+      // Act & Assert
+      expect(loadReviewCache(ROOT, 'new', createFs())).toEqual({});
+      expect(loadReviewCache(ROOT, 'new', outdated)).toEqual({});
+      expect(loadReviewCache(ROOT, 'new', corrupt)).toEqual({});
+    });
+  });
+
+  describe('findInvalidatedFiles', () => {
+    const entries = {
+      'src/a.ts': { dependencies: [{ to: 'src/b.ts' }] },
+      'src/b.ts': { dependencies: [{ to: 'src/c.ts' }] },
+      'src/c.ts': { dependencies: [] },
+    };
+    const files = Object.keys(entries);
+
+    it('should invalidate changed files and their direct dependents', () => {
+      // Act
+      const invalidated = findInvalidatedFiles(files, entries, new Set(['src/c.ts']));
+
+      // Assert
+      expect([...invalidated].sort()).toEqual(['src/b.ts', 'src/c.ts']);
+    });
+
+    it('should invalidate indirect dependents too when asked to', () => {
+      // Act
+      const invalidated = findInvalidatedFiles(files, entries, new Set(['src/c.ts']), { transitive: true });
+
+      // Assert
+      expect([...invalidated].sort()).toEqual(['src/a.ts', 'src/b.ts', 'src/c.ts']);
+    });
+
+    it('should invalidate every file when files were added or removed', () => {
+      // Act
+      const added = findInvalidatedFiles([...files, 'src/d.ts'], entries, new Set(['src/d.ts']));
+      const removed = findInvalidatedFiles(['src/a.ts', 'src/b.ts'], entries, new Set());
+
+      // Assert
+      expect(added.size).toBe(4);
+      expect([...removed].sort()).toEqual(['src/a.ts', 'src/b.ts']);
+    });
+  });
+});
@@ -0,0 +1,337 @@
+/**
+ * Unit Tests for Review Fixer
+ * Tests autofix planning for mechanical CodeReviewer violations
+ */
+
+const path = require('path');
+const ReviewFixer = require('../../../lib/review/review-fixer');
+
+const ROOT = '/test-project';
+
+/**
+ * Builds a minimal reviewer stand-in with cached file contents and violations
+ * @param {Object} files - Map of project-relative path to content
+ * @param {Array<Object>} violations - Violations ({ code, file })
+ * @param {string[]} otherFiles - Absolute paths of project files outside the source root
+ * @returns {Object}
+ */
+function createReviewer(files, violations, otherFiles = []) {
+  const fileCache = new Map(Object.entries(files).map(([file, content]) => [path.join(ROOT, file), { content }]));
+  return {
+    projectRoot: ROOT,
+    config: {},
+    fileCache,
+    violations: { errors: [], warnings: violations, info: [] },
+    collectSourceFiles: jest.fn(() => [...fileCache.keys(), ...otherFiles]),
+  };
+}
+
+/**
+ * @param {Object} files - Reviewed files (project-relative path -> content)
+ * @param {Array<Object>} violations - Violations ({ code, file })
+ * @param {string[]} existing - Absolute paths that exist on disk
+ * @param {Object} options - Options
+ * @param {Object} options.projectFiles - Files outside the source root (project-relative path -> content)
+ * @param {Object} options.compilerOptions - Compiler options
+ */
+function createFixer(files, violations, existing = [], { projectFiles = {}, compilerOptions = {} } = {}) {
+  const fsMock = {
+    existsSync: jest.fn(p => existing.includes(p)),
+    readFileSync: jest.fn(p => projectFiles[path.relative(ROOT, p)]),
+    mkdirSync: jest.fn(),
+    writeFileSync: jest.fn(),
+    unlinkSync: jest.fn(),
+  };
+  const reviewer = createReviewer(files, violations, Object.keys(projectFiles).map(file => path.join(ROOT, file)));
+  return { fixer: new ReviewFixer(reviewer, { fs: fsMock, compilerOptions }), fsMock };
+}
+
+const findChange = (changes, newPath) => changes.find(c => c.newPath === newPath);
+
+describe('ReviewFixer', () => {
+  describe('INTERFACE_NAMING', () => {
+    it('should rename the interface and references in importing files', () => {
+      // Arrange
+      const { fixer } = createFixer({
+        'src/domain/User.ts': 'export interface User {\n  name: string;\n}\n',
+        'src/domain/index.ts': "export * from './User';\n",
+        'src/application/UserService.ts': [
+          "import { User } from '../domain';",
+          '',
+          'export class UserService {',
+          '  find(user: User): User { return user; }',
+          '}',
+          '',
+        ].join('\n'),
+      }, [{ code: 'INTERFACE_NAMING', file: 'src/domain/User.ts' }]);
+
+      // Act
+      const changes = fixer.plan();
+
+      // Assert
+      expect(findChange(changes, 'src/domain/User.ts').newContent).toContain('export interface IUser {');
+      const service = findChange(changes, 'src/application/UserService.ts').newContent;
+      expect(service).toContain("import { IUser } from '../domain';");
+      expect(service).toContain('find(user: IUser): IUser');
+      expect(findChange(changes, 'src/domain/index.ts')).toBeUndefined();
+    });
+
+    it('should keep member names and aliased imports untouched', () => {
+      // Arrange
+      const { fixer } = createFixer({
+        'src/domain/User.ts': 'export interface User {\n  name: string;\n}\n',
+        'src/app.ts': [
+          "import { User as Person } from './domain/User';",
+          'const config = { User: 1 };',
+          'export const p: Person = { name: String(config.User) };',
+          '',
+        ].join('\n'),
+      }, [{ code: 'INTERFACE_NAMING', file: 'src/domain/User.ts' }]);
+
+      // Act
+      const changes = fixer.plan();
+
+      // Assert
+      const app = findChange(changes, 'src/app.ts').newContent;
+      expect(app).toContain("import { IUser as Person } from './domain/User';");
+      expect(app).toContain('const config = { User: 1 };');
+      expect(app).toContain('config.User');
+    });
+
+    it('should keep object keys and bindings that shadow the interface', () => {
+      // Arrange
+      const { fixer } = createFixer({
+        'src/domain/UserRepository.ts': 'export interface UserRepository {\n  find(id: string): string;\n}\n',
+        'src/infrastructure/registry.ts': [
+          "import { UserRepository } from '../domain/UserRepository';",
+          'const repository: UserRepository = { find: id => id };',
+          'export default { UserRepository: repository };',
+          'export const lookup = (UserRepository: number) => UserRepository + 1;',
+          '',
+        ].join('\n'),
+        'src/infrastructure/keys.ts': [
+          "import type { UserRepository } from '../domain/UserRepository';",
+          'export const make = (): { UserRepository: UserRepository } => ({ UserRepository: { find: id => id } });',
+          '',
+        ].join('\n'),
+        'src/infrastructure/user_repository.py': 'class UserRepository:\n    pass\n',
+      }, [{ code: 'INTERFACE_NAMING', file: 'src/domain/UserRepository.ts' }]);
+
+      // Act
+      const changes = fixer.plan();
+
+      // Assert
+      expect(findChange(changes, 'src/infrastructure/registry.ts').newContent).toBe([
+        "import { IUserRepository } from '../domain/UserRepository';",
+        'const repository: IUserRepository = { find: id => id };',
+        'export default { UserRepository: repository };',
+        'export const lookup = (UserRepository: number) => UserRepository + 1;',
+        '',
+      ].join('\n'));
+      expect(findChange(changes, 'src/infrastructure/keys.ts').newContent).toContain(
+        'export const make = (): { UserRepository: IUserRepository } => ({ UserRepository: { find: id => id } });'
+      );
+      expect(findChange(changes, 'src/infrastructure/user_repository.py')).toBeUndefined();
+    });
+
+    it('should keep the key of shorthand properties', () => {
+      // Arrange
+      const { fixer } = createFixer({
+        'src/domain/Timer.ts': 'export interface Timer {\n  start(): void;\n}\n',
+        'src/app.ts': "import { Timer } from './domain/Timer';\n\nexport default { Timer };\n",
+      }, [{ code: 'INTERFACE_NAMING', file: 'src/domain/Timer.ts' }]);
+
+      // Act
+      const changes = fixer.plan();
+
+      // Assert
+      expect(findChange(changes, 'src/app.ts').newContent).toBe("import { ITimer } from './domain/Timer';\n\nexport default { Timer: ITimer };\n");
+    });
+
+    it('should skip when the prefixed name is already in use', () => {
+      // Arrange
+      const { fixer } = createFixer({
+        'src/domain/User.ts': 'export interface User {}\nexport interface IUser extends User {}\n',
+      }, [{ code: 'INTERFACE_NAMING', file: 'src/domain/User.ts' }]);
+
+      // Act
+      const changes = fixer.plan();
+
+      // Assert
+      expect(changes).toHaveLength(0);
+      expect(fixer.skipped[0].code).toBe('INTERFACE_NAMING');
+    });
+  });
+
+  describe('FILE_NAMING', () => {
+    it('should rename the file and update relative imports', () => {
+      // Arrange
+      const { fixer } = createFixer({
+        'src/domain/types.ts': 'export interface IOrder {\n  id: string;\n}\n',
+        'src/application/OrderService.ts': "import { IOrder } from '../domain/types';\n",
+      }, [{ code: 'FILE_NAMING', file: 'src/domain/types.ts' }]);
+
+      // Act
+      const changes = fixer.plan();
+
+      // Assert
+      const renamed = findChange(changes, 'src/domain/IOrder.ts');
+      expect(renamed.oldPath).toBe('src/domain/types.ts');
+      expect(findChange(changes, 'src/application/OrderService.ts').newContent)
+        .toBe("import { IOrder } from '../domain/IOrder';\n");
+    });
+
+    it('should update imports through tsconfig path aliases', () => {
+      // Arrange
+      const { fixer } = createFixer({
+        'src/domain/types.ts': 'export interface IOrder {\n  id: string;\n}\n',
+        'src/application/OrderService.ts': "import { IOrder } from '@domain/types';\n",
+      }, [{ code: 'FILE_NAMING', file: 'src/domain/types.ts' }], [], {
+        compilerOptions: { baseUrl: ROOT, paths: { '@domain/*': ['src/domain/*'] } },
+      });
+
+      // Act
+      const changes = fixer.plan();
+
+      // Assert
+      expect(findChange(changes, 'src/domain/IOrder.ts').oldPath).toBe('src/domain/types.ts');
+      expect(findChange(changes, 'src/application/OrderService.ts').newContent)
+        .toBe("import { IOrder } from '@domain/IOrder';\n");
+    });
+
+    it('should point imports through an alias of the exact file at the new path', () => {
+      // Arrange
+      const { fixer } = createFixer({
+        'src/domain/types.ts': 'export interface IOrder {}\n',
+        'src/application/CartService.ts': "import { IOrder } from '@order';\n",
+      }, [{ code: 'FILE_NAMING', file: 'src/domain/types.ts' }], [], {
+        compilerOptions: { baseUrl: ROOT, paths: { '@order': ['src/domain/types.ts'] } },
+      });
+
+      // Act
+      const changes = fixer.plan();
+
+      // Assert
+      expect(findChange(changes, 'src/application/CartService.ts').newContent).toBe("import { IOrder } from 'src/domain/IOrder';\n");
+    });
+
+    it('should not overwrite an existing file', () => {
+      // Arrange
+      const target = path.join(ROOT, 'src/domain/IOrder.ts');
+      const { fixer } = createFixer({
+        'src/domain/types.ts': 'export interface IOrder {}\n',
+      }, [{ code: 'FILE_NAMING', file: 'src/domain/types.ts' }], [target]);
+
+      // Act
+      const changes = fixer.plan();
+
+      // Assert
+      expect(changes).toHaveLength(0);
+      expect(fixer.skipped).toHaveLength(1);
+    });
+  });
+
+  describe('Files outside the source root', () => {
+    it('should rewrite imports and references in tests and scripts', () => {
+      // Arrange
+      const { fixer } = createFixer({
+        'src/domain/types.ts': 'export interface UserRepo {\n  find(id: string): string;\n}\n',
+      }, [
+        { code: 'INTERFACE_NAMING', file: 'src/domain/types.ts' },
+        { code: 'FILE_NAMING', file: 'src/domain/types.ts' },
+      ], [], {
+        projectFiles: {
+          'tests/repo.test.ts': "import { UserRepo } from '../src/domain/types';\n\nconst repo: UserRepo = { find: id => id };\n",
+        },
+      });
+
+      // Act
+      const changes = fixer.plan();
+
+      // Assert
+      expect(findChange(changes, 'tests/repo.test.ts').newContent)
+        .toBe("import { IUserRepo } from '../src/domain/IUserRepo';\n\nconst repo: IUserRepo = { find: id => id };\n");
+      expect(findChange(changes, 'src/domain/IUserRepo.ts').oldPath).toBe('src/domain/types.ts');
+    });
+  });
+
+  describe('MULTIPLE_INTERFACES', () => {
+    it('should split interfaces into separate files and re-export them', () => {
+      // Arrange
+      const { fixer } = createFixer({
+        'src/domain/repos.ts': [
+          "import type { Id } from './Id';",
+          '',
+          'export interface IReader {',
+          '  get(id: Id): string;',
+          '}',
+          '',
+          'export interface IWriter extends IReader {',
+          '  save(value: string): void;',
+          '}',
+          '',
+        ].join('\n'),
+      }, [{ code: 'MULTIPLE_INTERFACES', file: 'src/domain/repos.ts' }]);
+
+      // Act
+      const changes = fixer.plan();
+
+      // Assert
+      expect(findChange(changes, 'src/domain/repos.ts').newContent)
+        .toBe("export * from './IReader';\nexport * from './IWriter';\n");
+      expect(findChange(changes, 'src/domain/IReader.ts').newContent)
+        .toBe("import type { Id } from './Id';\n\nexport interface IReader {\n  get(id: Id): string;\n}\n");
+      expect(findChange(changes, 'src/domain/IWriter.ts').newContent)
+        .toBe("import { IReader } from './IReader';\n\nexport interface IWriter extends IReader {\n  save(value: string): void;\n}\n");
+    });
+
+    it('should skip files that declare more than interfaces', () => {
+      // Arrange
+      const { fixer } = createFixer({
+        'src/domain/mixed.ts': 'export interface IA {}\nexport interface IB {}\nexport const x = 1;\n',
+      }, [{ code: 'MULTIPLE_INTERFACES', file: 'src/domain/mixed.ts' }]);
+
+      // Act
+      const changes = fixer.plan();
+
+      // Assert
+      expect(changes).toHaveLength(0);
+      expect(fixer.skipped[0].reason).toMatch(/other than interfaces/);
+    });
+  });
+
+  describe('formatDiff and apply', () => {
+    it('should produce a git-style diff with rename headers', () => {
+      // Arrange
+      const { fixer } = createFixer({
+        'src/domain/types.ts': 'export interface Order {}\n',
+      }, [
+        { code: 'INTERFACE_NAMING', file: 'src/domain/types.ts' },
+        { code: 'FILE_NAMING', file: 'src/domain/types.ts' },
+      ]);
+
+      // Act
+      const diff = fixer.formatDiff(fixer.plan());
+
+      // Assert
+      expect(diff).toContain('rename from src/domain/types.ts');
+      expect(diff).toContain('rename to src/domain/IOrder.ts');
+      expect(diff).toContain('-export interface Order {}');
+      expect(diff).toContain('+export interface IOrder {}');
+    });
+
+    it('should write renamed files and remove the originals', () => {
+      // Arrange
+      const { fixer, fsMock } = createFixer({
+        'src/domain/types.ts': 'export interface IOrder {}\n',
+      }, [{ code: 'FILE_NAMING', file: 'src/domain/types.ts' }]);
+
+      // Act
+      fixer.apply(fixer.plan());
+
+      // Assert
+      expect(fsMock.writeFileSync).toHaveBeenCalledWith(path.join(ROOT, 'src/domain/IOrder.ts'), 'export interface IOrder {}\n');
+      expect(fsMock.unlinkSync).toHaveBeenCalledWith(path.join(ROOT, 'src/domain/types.ts'));
+    });
+  });
+});
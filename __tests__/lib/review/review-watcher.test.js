@@ -0,0 +1,180 @@
+/**
+ * Unit Tests for Review Watcher
+ * Tests the new/resolved violation delta and the rerun loop of review --watch
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { diffViolations, formatDelta, watchReview } = require('../../../lib/review/review-watcher');
+
+const ROOT = '/test-project';
+const SRC = path.join(ROOT, 'src');
+
+const entry = (fingerprint, code, file, line = 1) => ({
+  fingerprint,
+  severity: 'error',
+  code,
+  file,
+  message: `${code} in ${file}`,
+  violation: { code, file, line },
+});
+
+/**
+ * Fake CodeReviewer whose violations come from a list that tests can change between runs
+ */
+function createFakeReviewerFactory(state) {
+  return () => ({
+    projectRoot: ROOT,
+    srcPath: SRC,
+    violations: { errors: state.entries.map(e => e.violation), warnings: [], info: [] },
+    isSourcePath: file => file.startsWith(SRC) && file.endsWith('.ts'),
+    resolveDiffScope: jest.fn(),
+    collectSourceFiles: () => state.files,
+    parseFiles: jest.fn(async () => {
+      if (state.error) throw new Error(state.error);
+    }),
+    reviewFiles: jest.fn(async () => {}),
+    getFingerprintedViolations: () => state.entries,
+  });
+}
+
+function createFakeWatch() {
+  const watchers = [];
+  const watch = jest.fn((dir, options, listener) => {
+    const watcher = { dir, listener: listener || options, close: jest.fn() };
+    watchers.push(watcher);
+    return watcher;
+  });
+  return { watch, watchers };
+}
+
+const settle = async (handle) => {
+  await new Promise(resolve => setTimeout(resolve, 5));
+  await handle.idle();
+};
+
+describe('Review Watcher', () => {
+  describe('diffViolations', () => {
+    it('should report new and resolved violations but not moved ones', () => {
+      // Arrange
+      const previous = [entry('a', 'LAYER_VIOLATION', 'src/a.ts', 3), entry('b', 'ANY_TYPE', 'src/b.ts')];
+      const current = [entry('a', 'LAYER_VIOLATION', 'src/a.ts', 10), entry('c', 'FILE_NAMING', 'src/c.ts')];
+
+      // Act
+      const delta = diffViolations(previous, current);
+
+      // Assert
+      expect(delta.added.map(e => e.fingerprint)).toEqual(['c']);
+      expect(delta.resolved.map(e => e.fingerprint)).toEqual(['b']);
+    });
+  });
+
+  describe('formatDelta', () => {
+    it('should list new violations with their location and resolved ones', () => {
+      // Arrange
+      const delta = { added: [entry('c', 'FILE_NAMING', 'src/c.ts', 4)], resolved: [entry('b', 'ANY_TYPE', 'src/b.ts')] };
+
+      // Act
+      const lines = formatDelta(delta, { errors: 1, warnings: 0, info: 0 }, ['src/c.ts']);
+
+      // Assert
+      expect(lines[0]).toContain('src/c.ts changed');
+      expect(lines[0]).toContain('+1 new');
+      expect(lines[0]).toContain('-1 resolved');
+      expect(lines[1]).toContain('+ error [FILE_NAMING] src/c.ts:4');
+      expect(lines[2]).toContain('- [ANY_TYPE] src/b.ts');
+    });
+  });
+
+  describe('watchReview', () => {
+    beforeEach(() => {
+      jest.spyOn(fs, 'existsSync').mockReturnValue(true);
+    });
+
+    it('should print a summary, then the delta after a source file changes', async () => {
+      // Arrange
+      const state = { files: [path.join(SRC, 'a.ts')], entries: [entry('a', 'LAYER_VIOLATION', 'src/a.ts')] };
+      const { watch, watchers } = createFakeWatch();
+      const log = jest.fn();
+      const handle = await watchReview(createFakeReviewerFactory(state), { watch, log, debounceMs: 0 });
+
+      // Act
+      state.entries = [entry('c', 'ANY_TYPE', 'src/a.ts')];
+      watchers[0].listener('change', 'a.ts');
+      await settle(handle);
+      handle.close();
+
+      // Assert
+      expect(watch).toHaveBeenCalledWith(SRC, { recursive: true }, expect.any(Function));
+      expect(log.mock.calls[0][0]).toContain('Watching src (1 files): 1 error(s)');
+      const output = log.mock.calls.slice(1).map(call => call[0]).join('\n');
+      expect(output).toContain('src/a.ts changed');
+      expect(output).toContain('+ error [ANY_TYPE] src/a.ts:1');
+      expect(output).toContain('- [LAYER_VIOLATION] src/a.ts');
+      expect(watchers[0].close).toHaveBeenCalled();
+    });
+
+    it('should ignore changes to files that are not reviewed', async () => {
+      // Arrange
+      const state = { files: [], entries: [] };
+      const { watch, watchers } = createFakeWatch();
+      const log = jest.fn();
+      const handle = await watchReview(createFakeReviewerFactory(state), { watch, log, debounceMs: 0 });
+
+      // Act
+      watchers[0].listener('change', 'notes.md');
+      await settle(handle);
+      handle.close();
+
+      // Assert
+      expect(log).toHaveBeenCalledTimes(1);
+    });
+
+    it('should keep watching when a run fails', async () => {
+      // Arrange
+      const state = { files: [], entries: [] };
+      const { watch, watchers } = createFakeWatch();
+      const log = jest.fn();
+      const handle = await watchReview(createFakeReviewerFactory(state), { watch, log, debounceMs: 0 });
+
+      // Act
+      state.error = 'Invalid review config';
+      watchers[0].listener('change', 'a.ts');
+      await settle(handle);
+      state.error = null;
+      state.entries = [entry('a', 'LAYER_VIOLATION', 'src/a.ts')];
+      watchers[0].listener('change', 'a.ts');
+      await settle(handle);
+      handle.close();
+
+      // Assert
+      expect(log.mock.calls[1][0]).toContain('Review failed: Invalid review config');
+      expect(log.mock.calls[2][0]).toContain('+1 new');
+    });
+
+    it('should watch each source directory when recursive watching is unavailable', async () => {
+      // Arrange
+      const state = { files: [path.join(SRC, 'domain/User.ts'), path.join(SRC, 'domain/model/Id.ts')], entries: [] };
+      const watchers = [];
+      const watch = jest.fn((dir, options, listener) => {
+        if (options && options.recursive) {
+          throw Object.assign(new Error('recursive watch unavailable'), { code: 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM' });
+        }
+        const watcher = { dir, listener: options, close: jest.fn() };
+        watchers.push(watcher);
+        return watcher;
+      });
+
+      // Act
+      const handle = await watchReview(createFakeReviewerFactory(state), { watch, log: jest.fn(), debounceMs: 0 });
+      handle.close();
+
+      // Assert
+      expect(watchers.map(watcher => watcher.dir).sort()).toEqual([
+        SRC,
+        path.join(SRC, 'domain'),
+        path.join(SRC, 'domain/model'),
+      ]);
+    });
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Unit Tests for Custom Rule Loader
+ * Tests loading and validating rules from .dev/review-rules and config plugins
+ */
+
+const path = require('path');
+const { validateRule, loadCustomRules } = require('../../../lib/review/rule-loader');
+
+const ROOT = '/test-project';
+const RULES_DIR = path.join(ROOT, '.dev/review-rules');
+
+function createFs(ruleFiles) {
+  return {
+    existsSync: jest.fn(p => ruleFiles !== undefined && p === RULES_DIR),
+    readdirSync: jest.fn(() => ruleFiles),
+  };
+}
+
+const createRule = (id, severity = 'warning') => ({ id, severity, check: jest.fn() });
+
+describe('Custom Rule Loader', () => {
+  describe('validateRule', () => {
+    it('should fill in the name and description from the id', () => {
+      // Arrange
+      const rule = createRule('NO_CONSOLE', 'info');
+
+      // Act
+      const validated = validateRule(rule, 'my-rules');
+
+      // Assert
+      expect(validated).toEqual({
+        id: 'NO_CONSOLE',
+        severity: 'info',
+        name: 'NO_CONSOLE',
+        description: 'NO_CONSOLE',
+        check: rule.check,
+        source: 'my-rules',
+      });
+    });
+
+    it('should reject rules without a valid id, severity or check function', () => {
+      // Act & Assert
+      expect(() => validateRule(null, 'a.js')).toThrow('Invalid review rule in a.js: expected an object');
+      expect(() => validateRule(createRule('noConsole'), 'a.js')).toThrow('"id" must be an UPPER_SNAKE_CASE code (got "noConsole")');
+      expect(() => validateRule(createRule('NO_CONSOLE', 'fatal'), 'a.js')).toThrow('rule NO_CONSOLE needs a "severity"');
+      expect(() => validateRule({ id: 'NO_CONSOLE', severity: 'error' }, 'a.js')).toThrow('needs a check(context) function');
+    });
+  });
+
+  describe('loadCustomRules', () => {
+    it('should load local rule files in name order, then plugin packages', () => {
+      // Arrange
+      const fsMock = createFs(['b.js', 'README.md', 'a.js']);
+      const modules = {
+        [path.join(RULES_DIR, 'a.js')]: createRule('LOCAL_A'),
+        [path.join(RULES_DIR, 'b.js')]: [createRule('LOCAL_B1'), createRule('LOCAL_B2')],
+        '@acme/review-rules': { rules: [createRule('ACME_RULE', 'error')] },
+      };
+      const requireModule = jest.fn(id => modules[id]);
+
+      // Act
+      const rules = loadCustomRules(ROOT, { plugins: ['@acme/review-rules'] }, { fs: fsMock, requireModule });
+
+      // Assert
+      expect(rules.map(rule => [rule.id, rule.source])).toEqual([
+        ['LOCAL_A', '.dev/review-rules/a.js'],
+        ['LOCAL_B1', '.dev/review-rules/b.js'],
+        ['LOCAL_B2', '.dev/review-rules/b.js'],
+        ['ACME_RULE', '@acme/review-rules'],
+      ]);
+      expect(requireModule).toHaveBeenCalledWith('@acme/review-rules', ROOT);
+    });
+
+    it('should return no rules without a rules directory or plugins', () => {
+      // Arrange
+      const requireModule = jest.fn();
+
+      // Act
+      const rules = loadCustomRules(ROOT, { plugins: [] }, { fs: createFs(undefined), requireModule });
+
+      // Assert
+      expect(rules).toEqual([]);
+      expect(requireModule).not.toHaveBeenCalled();
+    });
+
+    it('should reject ids that are already defined', () => {
+      // Arrange
+      const requireModule = jest.fn(id => (id === 'one' ? createRule('MY_RULE') : [createRule('MY_RULE'), createRule('ANY_TYPE')]));
+
+      // Act & Assert
+      expect(() => loadCustomRules(ROOT, { plugins: ['one', 'two'] }, { fs: createFs(undefined), requireModule }))
+        .toThrow('Invalid review rule in two: MY_RULE is already defined by one');
+      expect(() => loadCustomRules(ROOT, { plugins: ['two'] }, { fs: createFs(undefined), requireModule }))
+        .toThrow('ANY_TYPE is already defined by the built-in rules');
+    });
+
+    it('should name the source of rule modules that fail to load', () => {
+      // Arrange
+      const requireModule = jest.fn(() => {
+        throw new Error("Cannot find module 'missing-rules'");
+      });
+
+      // Act & Assert
+      expect(() => loadCustomRules(ROOT, { plugins: ['missing-rules'] }, { fs: createFs(undefined), requireModule }))
+        .toThrow("Cannot load review rules from missing-rules: Cannot find module 'missing-rules'");
+    });
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * Unit Tests for Review Suppressions
+ * Tests parsing and matching of ai-dotfiles-disable comments
+ */
+
+const ts = require('typescript');
+const { parseDirective, parseSuppressions, findSuppression } = require('../../../lib/review/suppressions');
+
+const parse = content => ({ content, sourceFile: ts.createSourceFile('a.ts', content, ts.ScriptTarget.Latest, true) });
+
+describe('Review Suppressions', () => {
+  describe('parseDirective', () => {
+    it('should parse codes and the justification', () => {
+      // Act
+      const suppression = parseDirective(' ai-dotfiles-disable-next-line LAYER_VIOLATION, ANY_TYPE -- legacy adapter', 4, 4);
+
+      // Assert
+      expect(suppression).toEqual({
+        scope: 'next-line',
+        codes: ['LAYER_VIOLATION', 'ANY_TYPE'],
+        reason: 'legacy adapter',
+        line: 4,
+        targetLine: 5,
+        valid: true,
+        used: false,
+      });
+    });
+
+    it('should mark suppressions without a justification or codes as invalid', () => {
+      // Act & Assert
+      expect(parseDirective('ai-dotfiles-disable ANY_TYPE', 1, 1).valid).toBe(false);
+      expect(parseDirective('ai-dotfiles-disable -- no codes', 1, 1).valid).toBe(false);
+      expect(parseDirective('see ai-dotfiles-disable docs', 1, 1)).toBeNull();
+    });
+  });
+
+  describe('parseSuppressions', () => {
+    it('should read line, trailing and block comments from the AST', () => {
+      // Arrange
+      const cached = parse([
+        '/* ai-dotfiles-disable ANY_TYPE -- generated client */',
+        "import a from './a'; // ai-dotfiles-disable-next-line LAYER_VIOLATION -- tracked in ARCH-12",
+        "import b from '../infrastructure/b';",
+        '/**',
+        ' * ai-dotfiles-disable-next-line SERVICE_DI -- stateless',
+        ' */',
+        'export class UserService {}',
+        "const s = '// ai-dotfiles-disable ANY_TYPE -- inside a string';",
+      ].join('\n'));
+
+      // Act
+      const suppressions = parseSuppressions(cached);
+
+      // Assert
+      expect(suppressions.map(s => [s.scope, s.codes[0], s.line, s.targetLine])).toEqual([
+        ['file', 'ANY_TYPE', 1, null],
+        ['next-line', 'LAYER_VIOLATION', 2, 3],
+        ['next-line', 'SERVICE_DI', 4, 7],
+      ]);
+    });
+
+    it('should read # comments from Python sources', () => {
+      // Arrange
+      const cached = { sourceFile: null, content: 'x = 1\n    # ai-dotfiles-disable-next-line LAYER_VIOLATION -- lazy import\n' };
+
+      // Act
+      const suppressions = parseSuppressions(cached);
+
+      // Assert
+      expect(suppressions).toHaveLength(1);
+      expect(suppressions[0].targetLine).toBe(3);
+    });
+  });
+
+  describe('findSuppression', () => {
+    it('should match next-line suppressions by line and file suppressions anywhere', () => {
+      // Arrange
+      const nextLine = parseDirective('ai-dotfiles-disable-next-line LAYER_VIOLATION -- r', 2, 2);
+      const file = parseDirective('ai-dotfiles-disable ANY_TYPE -- r', 1, 1);
+
+      // Act & Assert
+      expect(findSuppression([nextLine, file], { code: 'LAYER_VIOLATION', line: 3 })).toBe(nextLine);
+      expect(findSuppression([nextLine, file], { code: 'LAYER_VIOLATION', line: 4 })).toBeNull();
+      expect(findSuppression([nextLine, file], { code: 'ANY_TYPE', line: null })).toBe(file);
+    });
+  });
+});
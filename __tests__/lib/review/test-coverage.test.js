@@ -0,0 +1,98 @@
+/**
+ * Unit Tests for Test Coverage
+ * Tests expanding test path conventions and reading Istanbul coverage summaries
+ */
+
+const path = require('path');
+const { expandTestPatterns, selectTestPatterns, loadCoverageSummary } = require('../../../lib/review/test-coverage');
+
+const ROOT = '/test-project';
+const SUMMARY_PATH = path.join(ROOT, 'coverage/coverage-summary.json');
+
+function createFs(content) {
+  return {
+    existsSync: jest.fn(p => content !== undefined && p === SUMMARY_PATH),
+    readFileSync: jest.fn(() => content),
+  };
+}
+
+describe('Test Coverage', () => {
+  describe('expandTestPatterns', () => {
+    it('should fill in the class, file and directory placeholders and keep glob groups', () => {
+      // Arrange
+      const patterns = ['tests/**/{name}.test.ts', '{dir}/{name}.{test,spec}.ts', 'tests/test_{file}.py'];
+
+      // Act
+      const expanded = expandTestPatterns(patterns, { name: 'OrderService', file: 'order_service', dir: 'src/application' });
+
+      // Assert
+      expect(expanded).toEqual([
+        'tests/**/OrderService.test.ts',
+        'src/application/OrderService.{test,spec}.ts',
+        'tests/test_order_service.py',
+      ]);
+    });
+
+    it('should drop the directory of files in the project root', () => {
+      // Act & Assert
+      expect(expandTestPatterns(['{dir}/{name}.spec.ts'], { name: 'App', file: 'App', dir: '.' })).toEqual(['App.spec.ts']);
+    });
+
+    it('should take the extension of the source file', () => {
+      // Act & Assert
+      expect(expandTestPatterns(['tests/**/{name}.test.{ext}'], { name: 'OrderService', file: 'OrderService', dir: 'src', ext: 'js' }))
+        .toEqual(['tests/**/OrderService.test.js']);
+    });
+  });
+
+  describe('selectTestPatterns', () => {
+    const patterns = ['tests/**/{name}.test.{ext}', 'test/{name}.spec.ts', 'tests/**/test_{file}.py'];
+
+    it('should pick the patterns of the source file language', () => {
+      // Act & Assert
+      expect(selectTestPatterns(patterns, 'src/application/OrderService.ts')).toEqual(['test/{name}.spec.ts']);
+      expect(selectTestPatterns(patterns, 'src/application/order_service.py')).toEqual(['tests/**/test_{file}.py']);
+    });
+
+    it('should fall back to patterns for any language, then to all patterns', () => {
+      // Act & Assert
+      expect(selectTestPatterns(patterns, 'src/application/OrderService.js')).toEqual(['tests/**/{name}.test.{ext}']);
+      expect(selectTestPatterns(['test/{name}.spec.ts'], 'src/application/OrderService.js')).toEqual(['test/{name}.spec.ts']);
+    });
+  });
+
+  describe('loadCoverageSummary', () => {
+    it('should map project-relative paths to line coverage', () => {
+      // Arrange
+      const fsMock = createFs(JSON.stringify({
+        total: { lines: { pct: 64.5 } },
+        [path.join(ROOT, 'src/application/OrderService.ts')]: { lines: { pct: 45.45 } },
+        'src/infrastructure/repositories/OrderRepository.ts': { lines: { pct: 100 } },
+        'src/empty.ts': { lines: { pct: 'Unknown' } },
+      }));
+
+      // Act
+      const coverage = loadCoverageSummary(ROOT, 'coverage/coverage-summary.json', fsMock);
+
+      // Assert
+      expect(coverage).toEqual(new Map([
+        ['src/application/OrderService.ts', 45.45],
+        ['src/infrastructure/repositories/OrderRepository.ts', 100],
+      ]));
+    });
+
+    it('should return null without a report', () => {
+      // Act & Assert
+      expect(loadCoverageSummary(ROOT, 'coverage/coverage-summary.json', createFs(undefined))).toBeNull();
+      expect(loadCoverageSummary(ROOT, null, createFs('{}'))).toBeNull();
+    });
+
+    it('should reject a report that is not a JSON object', () => {
+      // Act & Assert
+      expect(() => loadCoverageSummary(ROOT, 'coverage/coverage-summary.json', createFs('{ total')))
+        .toThrow(`Invalid coverage summary at ${SUMMARY_PATH}`);
+      expect(() => loadCoverageSummary(ROOT, 'coverage/coverage-summary.json', createFs('[]')))
+        .toThrow('expected a JSON object');
+    });
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Unit Tests for Type Safety
+ * Tests finding explicit any types with their context and TypeScript directive comments
+ */
+
+const ts = require('typescript');
+const { findExplicitAny, findTsDirectives } = require('../../../lib/review/type-safety');
+
+const parse = content => ts.createSourceFile('/test-project/src/a.ts', content, ts.ScriptTarget.Latest, true);
+
+describe('Type Safety', () => {
+  describe('findExplicitAny', () => {
+    it('should report each any with its line, column and context', () => {
+      // Arrange
+      const sourceFile = parse([
+        'function load(input: any, ids: Array<any>): any[] {',
+        '  return input as any;',
+        '}',
+        'const cache: Map<string, any> = new Map<string, any>();',
+      ].join('\n'));
+
+      // Act
+      const found = findExplicitAny(sourceFile);
+
+      // Assert
+      expect(found).toEqual([
+        { line: 1, column: 22, kind: 'parameter', name: 'input' },
+        { line: 1, column: 38, kind: 'generic argument', name: null },
+        { line: 1, column: 45, kind: 'return type', name: 'load' },
+        { line: 2, column: 19, kind: 'assertion', name: null },
+        { line: 4, column: 26, kind: 'generic argument', name: null },
+        { line: 4, column: 49, kind: 'generic argument', name: null },
+      ]);
+    });
+
+    it('should name properties, index signatures, variables and type aliases', () => {
+      // Arrange
+      const sourceFile = parse([
+        'class Store { value: any; [key: string]: any; }',
+        'let raw: any | null;',
+        'type Payload = any;',
+      ].join('\n'));
+
+      // Act
+      const found = findExplicitAny(sourceFile);
+
+      // Assert
+      expect(found.map(usage => [usage.kind, usage.name])).toEqual([
+        ['property', 'value'],
+        ['index signature', null],
+        ['variable', 'raw'],
+        ['type alias', 'Payload'],
+      ]);
+    });
+
+    it('should ignore any in comments, strings and identifiers', () => {
+      // Arrange
+      const sourceFile = parse("// value: any\nconst any = 'x: any';\nconst company: unknown = any;\n");
+
+      // Act & Assert
+      expect(findExplicitAny(sourceFile)).toEqual([]);
+    });
+  });
+
+  describe('findTsDirectives', () => {
+    it('should find directive comments with their explanation', () => {
+      // Arrange
+      const sourceFile = parse([
+        '// @ts-ignore',
+        'load();',
+        '/* @ts-expect-error -- the typings miss the overload */',
+        'load(1);',
+        'function f() {',
+        '  // @ts-expect-error: legacy API',
+        '  return load(2);',
+        '}',
+        '// @ts-ignore',
+      ].join('\n'));
+
+      // Act
+      const found = findTsDirectives(sourceFile);
+
+      // Assert
+      expect(found).toEqual([
+        { directive: '@ts-ignore', explanation: '', line: 1, column: 1 },
+        { directive: '@ts-expect-error', explanation: 'the typings miss the overload', line: 3, column: 1 },
+        { directive: '@ts-expect-error', explanation: 'legacy API', line: 6, column: 3 },
+        { directive: '@ts-ignore', explanation: '', line: 9, column: 1 },
+      ]);
+    });
+
+    it('should not mistake strings and template literals for directives', () => {
+      // Arrange
+      const sourceFile = parse("const a = '// @ts-ignore';\nconst b = `\n// @ts-expect-error\n`;\n");
+
+      // Act & Assert
+      expect(findTsDirectives(sourceFile)).toEqual([]);
+    });
+  });
+});
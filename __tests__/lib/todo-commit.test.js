@@ -0,0 +1,228 @@
+/**
+ * Unit Tests for Todo Commit Policy
+ * Following AAA pattern (Arrange, Act, Assert)
+ * Git is replaced with an injected exec mock
+ */
+
+const {
+  findCompletedTasks,
+  buildCommitMessage,
+  checkUncommittedWork,
+  commitCompletedTasks,
+  enforceCommitPolicy,
+} = require('../../lib/todo-commit');
+
+/**
+ * Creates an execSync mock answering git commands from a lookup table
+ * @param {Object} responses - Map of command prefix to output (or Error to throw)
+ * @returns {jest.Mock}
+ */
+function createExecMock(responses) {
+  return jest.fn((command) => {
+    const key = Object.keys(responses).find(prefix => command.startsWith(prefix));
+    const response = key !== undefined ? responses[key] : '';
+    if (response instanceof Error) {
+      throw response;
+    }
+    return response;
+  });
+}
+
+/**
+ * Creates a minimal fs mock exposing a single todo file
+ * @param {string|null} content - Todo content (null if the file does not exist)
+ * @returns {Object}
+ */
+function createTodoFs(content) {
+  return {
+    existsSync: jest.fn(() => content !== null),
+    readFileSync: jest.fn(() => content),
+  };
+}
+
+describe('Todo Commit Policy', () => {
+  describe('findCompletedTasks', () => {
+    it('should return tasks pending before and completed now', () => {
+      // Arrange
+      const oldContent = '- [ ] Task 1\n- [ ] Task 2\n- [x] Task 3';
+      const newContent = '- [x] Task 1\n- [ ] Task 2\n- [X] Task 3';
+
+      // Act
+      const completed = findCompletedTasks(oldContent, newContent);
+
+      // Assert
+      expect(completed).toEqual(['Task 1']);
+    });
+  });
+
+  describe('buildCommitMessage', () => {
+    it('should build a single-task message', () => {
+      // Act
+      const message = buildCommitMessage(['Add login']);
+
+      // Assert
+      expect(message).toBe('chore: complete task - Add login\n\n[ai-dotfiles-manager]');
+    });
+
+    it('should build a multi-task message with a task list', () => {
+      // Act
+      const message = buildCommitMessage(['Add login', 'Add logout']);
+
+      // Assert
+      expect(message).toBe('chore: complete 2 tasks\n\n  - Add login\n  - Add logout\n\n[ai-dotfiles-manager]');
+    });
+  });
+
+  describe('checkUncommittedWork', () => {
+    it('should diff todo.md against HEAD and list uncommitted files', () => {
+      // Arrange
+      const exec = createExecMock({
+        'git rev-parse': '',
+        'git show HEAD:.dev/todo.md': '- [ ] Task 1\n- [ ] Task 2',
+        'git status --porcelain': ' M .dev/todo.md\n?? src/new.ts\n',
+      });
+      const fsMock = createTodoFs('- [x] Task 1\n- [ ] Task 2');
+
+      // Act
+      const result = checkUncommittedWork('/test-project', { exec, fs: fsMock });
+
+      // Assert
+      expect(result.isGitRepo).toBe(true);
+      expect(result.completedTasks).toEqual(['Task 1']);
+      expect(result.uncommittedFiles).toEqual([
+        { status: 'M', path: '.dev/todo.md' },
+        { status: '??', path: 'src/new.ts' },
+      ]);
+      expect(result.todoChanged).toBe(true);
+      expect(result.hasWork).toBe(true);
+    });
+
+    it('should report no work for a clean tree', () => {
+      // Arrange
+      const exec = createExecMock({
+        'git rev-parse': '',
+        'git show': '- [x] Task 1',
+        'git status --porcelain': '',
+      });
+
+      // Act
+      const result = checkUncommittedWork('/test-project', { exec, fs: createTodoFs('- [x] Task 1') });
+
+      // Assert
+      expect(result.completedTasks).toEqual([]);
+      expect(result.hasWork).toBe(false);
+    });
+
+    it('should treat a todo.md missing from HEAD as empty', () => {
+      // Arrange
+      const exec = createExecMock({
+        'git rev-parse': '',
+        'git show': new Error('fatal: path does not exist in HEAD'),
+        'git status --porcelain': '?? .dev/todo.md\n',
+      });
+
+      // Act
+      const result = checkUncommittedWork('/test-project', { exec, fs: createTodoFs('- [x] Task 1') });
+
+      // Assert
+      expect(result.completedTasks).toEqual([]);
+      expect(result.hasWork).toBe(true);
+    });
+
+    it('should report no work outside a git repository', () => {
+      // Arrange
+      const exec = createExecMock({ 'git rev-parse': new Error('not a git repository') });
+
+      // Act
+      const result = checkUncommittedWork('/test-project', { exec, fs: createTodoFs(null) });
+
+      // Assert
+      expect(result.isGitRepo).toBe(false);
+      expect(result.hasWork).toBe(false);
+    });
+  });
+
+  describe('commitCompletedTasks', () => {
+    it('should stage todo.md and commit with the conventional message', () => {
+      // Arrange
+      const exec = createExecMock({ 'git status --porcelain': ' M .dev/todo.md\n' });
+      const log = jest.fn();
+
+      // Act
+      const committed = commitCompletedTasks('/test-project', ['Task 1'], { exec, log });
+
+      // Assert
+      expect(committed).toBe(true);
+      expect(exec).toHaveBeenCalledWith('git add .dev/todo.md', expect.objectContaining({ cwd: '/test-project' }));
+      expect(exec).toHaveBeenCalledWith('git commit -F - -- .dev/todo.md', expect.objectContaining({
+        input: 'chore: complete task - Task 1\n\n[ai-dotfiles-manager]',
+      }));
+    });
+
+    it('should not commit when todo.md is unchanged', () => {
+      // Arrange
+      const exec = createExecMock({ 'git status --porcelain': '' });
+
+      // Act
+      const committed = commitCompletedTasks('/test-project', ['Task 1'], { exec, log: jest.fn() });
+
+      // Assert
+      expect(committed).toBe(false);
+      expect(exec).not.toHaveBeenCalledWith('git commit -F - -- .dev/todo.md', expect.anything());
+    });
+
+    it('should not touch git when there are no tasks', () => {
+      // Arrange
+      const exec = createExecMock({});
+
+      // Act
+      const committed = commitCompletedTasks('/test-project', [], { exec, log: jest.fn() });
+
+      // Assert
+      expect(committed).toBe(false);
+      expect(exec).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('enforceCommitPolicy', () => {
+    it('should commit tasks completed since HEAD', () => {
+      // Arrange
+      const exec = createExecMock({
+        'git rev-parse': '',
+        'git show': '- [ ] Task 1\n- [ ] Task 2',
+        'git status --porcelain': ' M .dev/todo.md\n',
+      });
+      const fsMock = createTodoFs('- [x] Task 1\n- [x] Task 2');
+
+      // Act
+      const result = enforceCommitPolicy('/test-project', { exec, fs: fsMock, log: jest.fn() });
+
+      // Assert
+      expect(result.committed).toBe(true);
+      expect(result.completedTasks).toEqual(['Task 1', 'Task 2']);
+      expect(exec).toHaveBeenCalledWith('git commit -F - -- .dev/todo.md', expect.objectContaining({
+        input: expect.stringMatching(/^chore: complete 2 tasks/),
+      }));
+    });
+
+    it('should leave files the user staged out of the task commit', () => {
+      // Arrange
+      const exec = createExecMock({
+        'git rev-parse': '',
+        'git show': '- [ ] Task 1',
+        'git status --porcelain': ' M .dev/todo.md\nA  other.txt\n',
+      });
+      const fsMock = createTodoFs('- [x] Task 1');
+
+      // Act
+      const result = enforceCommitPolicy('/test-project', { exec, fs: fsMock, log: jest.fn() });
+
+      // Assert
+      expect(result.committed).toBe(true);
+      expect(result.uncommittedFiles).toContainEqual({ status: 'A', path: 'other.txt' });
+      const commits = exec.mock.calls.map(([command]) => command).filter(command => command.startsWith('git commit'));
+      expect(commits).toEqual(['git commit -F - -- .dev/todo.md']);
+      expect(exec).not.toHaveBeenCalledWith(expect.stringMatching(/^git add (?!\.dev\/todo\.md$)/), expect.anything());
+    });
+  });
+});
@@ -5,6 +5,7 @@
 
 const path = require('path');
 const CodeReviewer = require('../../scripts/review');
+const { DEFAULT_REVIEW_CONFIG, DEFAULT_TEST_CONVENTIONS } = require('../../lib/review/config');
 const { createMockFileSystem, createFsMock } = require('../helpers/fs-mock');
 
 describe('CodeReviewer', () => {
@@ -50,7 +51,7 @@ describe('CodeReviewer', () => {
     });
   });
 
-  describe('collectTypeScriptFiles', () => {
+  describe('collectSourceFiles', () => {
     // Note: This test requires refactoring CodeReviewer to accept dependency injection
     // Skipping for now as it requires file system access
     it.skip('should collect all TypeScript files from src directory', () => {
@@ -83,6 +84,24 @@ describe('CodeReviewer', () => {
       expect(isDeclarationFile).toBe(true);
     });
 
+    it('should collect TypeScript and JavaScript sources but not declarations', () => {
+      // Arrange
+      const fs = require('fs');
+      const entry = (name, dir = false) => ({ name, isDirectory: () => dir, isFile: () => !dir });
+      const readdirSpy = jest.spyOn(fs, 'readdirSync').mockImplementation(() => [
+        entry('a.ts'), entry('b.tsx'), entry('c.js'), entry('d.jsx'), entry('e.mjs'), entry('f.cjs'),
+        entry('types.d.ts'), entry('types.d.mts'), entry('data.json'),
+      ]);
+      const reviewer = new CodeReviewer('/test-project');
+
+      // Act
+      const files = reviewer.collectSourceFiles('/test-project/src');
+
+      // Assert
+      expect(files.map(f => path.basename(f))).toEqual(['a.ts', 'b.tsx', 'c.js', 'd.jsx', 'e.mjs', 'f.cjs']);
+      readdirSpy.mockRestore();
+    });
+
     it('should skip node_modules and dist directories', () => {
       // Arrange
       const projectStructure = {
@@ -208,6 +227,31 @@ describe('CodeReviewer', () => {
       expect(layer).toBe('infrastructure');
     });
 
+    it('should classify aliased imports through the tsconfig resolver', () => {
+      // Arrange
+      const reviewer = new CodeReviewer('/test-project');
+      reviewer.moduleResolver = jest.fn(() => ({ path: '/test-project/src/infrastructure/db/index.ts', external: false }));
+
+      // Act
+      const layer = reviewer.getLayerFromImport('~/infrastructure/db', '/test-project/src/domain/User.ts');
+
+      // Assert
+      expect(layer).toBe('infrastructure');
+      expect(reviewer.moduleResolver).toHaveBeenCalledWith('~/infrastructure/db', '/test-project/src/domain/User.ts');
+    });
+
+    it('should not assign resolved node_modules packages to a layer', () => {
+      // Arrange
+      const reviewer = new CodeReviewer('/test-project');
+      reviewer.moduleResolver = jest.fn(() => ({ path: '/test-project/node_modules/x/domain/index.d.ts', external: true }));
+
+      // Act
+      const layer = reviewer.getLayerFromImport('x/domain/', '/test-project/src/application/UserService.ts');
+
+      // Assert
+      expect(layer).toBeNull();
+    });
+
     it('should return null for external packages', () => {
       // Arrange
       const reviewer = new CodeReviewer('/test-project');
@@ -286,6 +330,42 @@ describe('CodeReviewer', () => {
       expect(reviewer.violations.info[0].line).toBeNull();
     });
 
+    it('should apply configured rule levels and per-directory overrides', () => {
+      // Arrange
+      const config = {
+        ...DEFAULT_REVIEW_CONFIG,
+        rules: { REPOSITORY_LOCATION: 'warning', MULTIPLE_INTERFACES: 'off' },
+        overrides: [{ files: ['src/legacy/**'], rules: { ANY_TYPE: 'off', REPOSITORY_LOCATION: 'error' } }],
+      };
+      const reviewer = new CodeReviewer('/test-project', { config });
+
+      // Act
+      reviewer.addViolation('error', '/test-project/src/domain/UserRepository.ts', 1, 'REPOSITORY_LOCATION', 'Move me');
+      reviewer.addViolation('error', '/test-project/src/legacy/OrderRepository.ts', 1, 'REPOSITORY_LOCATION', 'Move me too');
+      reviewer.addViolation('info', '/test-project/src/domain/types.ts', null, 'MULTIPLE_INTERFACES', 'Split me');
+      reviewer.addViolation('warning', '/test-project/src/legacy/any.ts', null, 'ANY_TYPE', 'Found any');
+      reviewer.addViolation('warning', '/test-project/src/domain/any.ts', null, 'ANY_TYPE', 'Found any');
+
+      // Assert
+      expect(reviewer.violations.errors.map(v => v.file)).toEqual(['src/legacy/OrderRepository.ts']);
+      expect(reviewer.violations.warnings.map(v => v.file)).toEqual(['src/domain/UserRepository.ts', 'src/domain/any.ts']);
+      expect(reviewer.violations.info).toHaveLength(0);
+      expect(reviewer.stats.totalViolations).toBe(3);
+    });
+
+    it('should reject unknown rule codes in the review config', () => {
+      // Arrange
+      const config = { ...DEFAULT_REVIEW_CONFIG, rules: { ANY_TYPES: 'off' }, overrides: [] };
+      const customRules = [{ id: 'MY_RULE', severity: 'warning', check: jest.fn() }];
+
+      // Act & Assert
+      expect(() => new CodeReviewer('/test-project', { config, customRules })).toThrow('unknown rule code(s): ANY_TYPES');
+      expect(() => new CodeReviewer('/test-project', {
+        config: { ...config, rules: { MY_RULE: 'error' } },
+        customRules,
+      })).not.toThrow();
+    });
+
     it('should increment total violations count', () => {
       // Arrange
       const reviewer = new CodeReviewer('/test-project');
@@ -330,6 +410,72 @@ import type { Request } from 'express';
       expect(imports[0].line).toBeGreaterThan(0);
     });
 
+    it('should collect re-exports, require, import = require and dynamic import edges', () => {
+      // Arrange
+      const ts = require('typescript');
+      const reviewer = new CodeReviewer('/test-project');
+
+      const sourceCode = [
+        "import { User } from './User';",
+        "export * from '../infrastructure';",
+        "export { db } from '../infrastructure/db';",
+        "import legacy = require('../infrastructure/legacy');",
+        "const config = require('../infrastructure/config');",
+        "const lazy = () => import('../infrastructure/lazy');",
+        'const dynamic = require(name);',
+        'export { User };',
+      ].join('\n');
+
+      const sourceFile = ts.createSourceFile('test.ts', sourceCode, ts.ScriptTarget.Latest, true);
+
+      // Act
+      const imports = reviewer.extractImports(sourceFile);
+
+      // Assert
+      expect(imports).toEqual([
+        { module: './User', line: 1, kind: 'import', typeOnly: false },
+        { module: '../infrastructure', line: 2, kind: 'export', typeOnly: false },
+        { module: '../infrastructure/db', line: 3, kind: 'export', typeOnly: false },
+        { module: '../infrastructure/legacy', line: 4, kind: 'import-equals', typeOnly: false },
+        { module: '../infrastructure/config', line: 5, kind: 'require', typeOnly: false },
+        { module: '../infrastructure/lazy', line: 6, kind: 'dynamic-import', typeOnly: false },
+      ]);
+    });
+
+    it('should flag edges that are erased at compile time as type-only', () => {
+      // Arrange
+      const ts = require('typescript');
+      const reviewer = new CodeReviewer('/test-project');
+
+      const sourceCode = [
+        "import type { User } from './User';",
+        "import { type Order, type Item } from './Order';",
+        "import { type Cart, createCart } from './Cart';",
+        "import Default, { type Props } from './Default';",
+        "export type { Repo } from './Repo';",
+        "export { type Service } from './Service';",
+        "export { type Store, store } from './Store';",
+        "import './side-effect';",
+      ].join('\n');
+
+      const sourceFile = ts.createSourceFile('test.ts', sourceCode, ts.ScriptTarget.Latest, true);
+
+      // Act
+      const imports = reviewer.extractImports(sourceFile);
+
+      // Assert
+      expect(imports.map(({ module, typeOnly }) => [module, typeOnly])).toEqual([
+        ['./User', true],
+        ['./Order', true],
+        ['./Cart', false],
+        ['./Default', false],
+        ['./Repo', true],
+        ['./Service', true],
+        ['./Store', false],
+        ['./side-effect', false],
+      ]);
+    });
+
     it('should handle files with no imports', () => {
       // Arrange
       const ts = require('typescript');
@@ -356,6 +502,135 @@ export class User {
     });
   });
 
+  describe('CommonJS sources', () => {
+    const parse = (code, fileName = 'test.js') => {
+      const ts = require('typescript');
+      return ts.createSourceFile(fileName, code, ts.ScriptTarget.Latest, true);
+    };
+
+    it('should extract classes assigned to module.exports and exports', () => {
+      // Arrange
+      const reviewer = new CodeReviewer('/test-project');
+      const sourceFile = parse([
+        'module.exports = class UserRepository { constructor(db) { this.db = db; } };',
+        'exports.UserService = class {};',
+        'const NotFoundError = class extends Error {};',
+      ].join('\n'));
+
+      // Act
+      const classes = reviewer.extractClasses(sourceFile);
+
+      // Assert
+      expect(classes.map(c => [c.name, c.hasConstructor])).toEqual([
+        ['UserRepository', true],
+        ['UserService', false],
+        ['NotFoundError', false],
+      ]);
+    });
+
+    it('should extract module.exports and exports assignments as exports', () => {
+      // Arrange
+      const reviewer = new CodeReviewer('/test-project');
+      const sourceFile = parse("module.exports = { a };\nmodule.exports.b = 1;\nexports.c = 2;\nconst d = exports;");
+
+      // Act
+      const exports = reviewer.extractExports(sourceFile);
+
+      // Assert
+      expect(exports.map(e => e.name)).toEqual(['default', 'b', 'c']);
+    });
+
+    it('should skip the any-type check for JavaScript files', () => {
+      // Arrange
+      const reviewer = new CodeReviewer('/test-project');
+      const content = 'function f(x /* : any */) {}\n';
+      reviewer.fileCache.set('/test-project/src/a.js', { content });
+      reviewer.fileCache.set('/test-project/src/b.tsx', reviewer.parseSource('/test-project/src/b.tsx', 'const f = (x: any) => x;\n'));
+
+      // Act
+      reviewer.checkTypeScriptQuality(['/test-project/src/a.js', '/test-project/src/b.tsx']);
+
+      // Assert
+      expect(reviewer.violations.warnings.map(v => v.file)).toEqual(['src/b.tsx']);
+    });
+  });
+
+  describe('Python sources', () => {
+    it('should map Python module imports to layers', () => {
+      // Arrange
+      const reviewer = new CodeReviewer('/test-project');
+      const domainFile = '/test-project/src/domain/user.py';
+      reviewer.fileCache.set(domainFile, {
+        language: 'python',
+        imports: [
+          { module: 'src.infrastructure.db', line: 1, kind: 'from' },
+          { module: '..application.jobs', line: 2, kind: 'from' },
+          { module: 'typing', line: 3, kind: 'import' },
+        ],
+      });
+
+      // Act
+      reviewer.checkLayerViolations([domainFile]);
+
+      // Assert
+      expect(reviewer.violations.errors.map(v => v.message)).toEqual([
+        'Domain layer cannot import from infrastructure layer (from import: src.infrastructure.db)',
+        'Domain layer cannot import from application layer (from import: ..application.jobs)',
+      ]);
+    });
+
+    it('should expect Python errors to extend DomainError or Exception', () => {
+      // Arrange
+      const reviewer = new CodeReviewer('/test-project');
+      const file = '/test-project/src/domain/errors.py';
+      reviewer.fileCache.set(file, {
+        language: 'python',
+        classes: [
+          { name: 'NotFoundError', line: 1, baseNames: ['DomainError'] },
+          { name: 'ValidationError', line: 4, baseNames: ['Exception'] },
+          { name: 'ParseError', line: 7, baseNames: ['Mapping'] },
+        ],
+      });
+
+      // Act
+      reviewer.checkDomainErrors([file]);
+
+      // Assert
+      expect(reviewer.violations.errors.map(v => v.message)).toEqual([
+        "Error class 'ParseError' should extend DomainError or Exception",
+      ]);
+      expect(reviewer.violations.warnings.map(v => v.message)).toEqual([
+        "Error class 'ValidationError' should extend DomainError instead of Exception",
+      ]);
+    });
+
+    it('should accept Python built-in exceptions and bases resolving to a domain error', () => {
+      // Arrange
+      const reviewer = new CodeReviewer('/test-project');
+      const file = '/test-project/src/domain/errors.py';
+      reviewer.fileCache.set(file, {
+        language: 'python',
+        classes: [
+          { name: 'NotFound', line: 1, baseNames: ['DomainError'] },
+          { name: 'UserNotFoundError', line: 4, baseNames: ['NotFound'] },
+          { name: 'OrderNotFoundError', line: 7, baseNames: ['errors.NotFoundError'] },
+          { name: 'ParseError', line: 10, baseNames: ['ValueError'] },
+          { name: 'MissingKeyError', line: 13, baseNames: ['builtins.LookupError'] },
+        ],
+      });
+
+      // Act
+      reviewer.checkDomainErrors([file]);
+
+      // Assert
+      expect(reviewer.violations.errors).toHaveLength(0);
+      expect(reviewer.violations.warnings.map(v => v.message)).toEqual([
+        "Error class 'ParseError' should extend DomainError instead of ValueError",
+        "Error class 'MissingKeyError' should extend DomainError instead of builtins.LookupError",
+      ]);
+    });
+  });
+
   describe('extractInterfaces', () => {
     it('should extract interface declarations from TypeScript AST', () => {
       // Arrange
@@ -485,6 +760,1257 @@ export class UserRepository implements IUserRepository {
     });
   });
 
+  describe('Layer model', () => {
+    const customConfig = {
+      sourceRoot: '.',
+      layers: [
+        { name: 'core', patterns: ['packages/*/src/core/**'], allowedDependencies: [] },
+        { name: 'features', patterns: ['packages/*/src/features/**'], allowedDependencies: ['core'] },
+        { name: 'shell', patterns: ['apps/**'] },
+      ],
+    };
+
+    it('should map files to configured layers relative to the source root', () => {
+      // Arrange
+      const reviewer = new CodeReviewer('/test-project', { config: customConfig });
+
+      // Act & Assert
+      expect(reviewer.srcPath).toBe(path.resolve('/test-project'));
+      expect(reviewer.getLayer('/test-project/packages/api/src/core/User.ts')).toBe('core');
+      expect(reviewer.getLayer('/test-project/apps/web/main.ts')).toBe('shell');
+      expect(reviewer.getLayer('/test-project/src/domain/User.ts')).toBeNull();
+    });
+
+    it('should report imports that are not in the allowed dependencies', () => {
+      // Arrange
+      const reviewer = new CodeReviewer('/test-project', { config: customConfig });
+      const coreFile = '/test-project/packages/api/src/core/User.ts';
+      const featureFile = '/test-project/packages/api/src/features/signup.ts';
+      reviewer.fileCache.set(coreFile, { imports: [{ module: '../features/signup', line: 1 }] });
+      reviewer.fileCache.set(featureFile, {
+        imports: [
+          { module: '../core/User', line: 1 },
+          { module: '../../../../apps/web/main', line: 2 },
+        ],
+      });
+
+      // Act
+      reviewer.checkLayerViolations([coreFile, featureFile]);
+
+      // Assert
+      expect(reviewer.violations.errors.map(v => v.message)).toEqual([
+        'Core layer cannot import from features layer (import: ../features/signup)',
+        'Features layer cannot import from shell layer (import: ../../../../apps/web/main)',
+      ]);
+    });
+
+    it('should report npm packages and Node built-ins the layer may not import', () => {
+      // Arrange
+      const reviewer = new CodeReviewer('/test-project', { config: DEFAULT_REVIEW_CONFIG });
+      const domainFile = '/test-project/src/domain/User.ts';
+      const infrastructureFile = '/test-project/src/infrastructure/Db.ts';
+      reviewer.fileCache.set(domainFile, {
+        imports: [
+          { module: 'node:crypto', line: 1, kind: 'import' },
+          { module: 'typeorm', line: 2, kind: 'import' },
+          { module: './Email', line: 3, kind: 'import' },
+          { module: '@/shared/ids', line: 4, kind: 'import' },
+        ],
+      });
+      reviewer.fileCache.set(infrastructureFile, { imports: [{ module: 'typeorm', line: 1, kind: 'import' }] });
+
+      // Act
+      reviewer.checkExternalDependencies([domainFile, infrastructureFile]);
+
+      // Assert
+      expect(reviewer.violations.errors.map(v => `${v.code} ${v.line} ${v.message}`)).toEqual([
+        "DOMAIN_IMPURITY 1 Domain layer cannot depend on Node built-in 'crypto' (import: node:crypto)",
+        "DOMAIN_IMPURITY 2 Domain layer cannot depend on package 'typeorm' (import: typeorm)",
+      ]);
+    });
+
+    it('should name the kind of edge that caused the violation', () => {
+      // Arrange
+      const reviewer = new CodeReviewer('/test-project');
+      const domainFile = '/test-project/src/domain/index.ts';
+      reviewer.fileCache.set(domainFile, {
+        imports: [
+          { module: '../infrastructure', line: 1, kind: 'export' },
+          { module: '../application/jobs', line: 2, kind: 'dynamic-import' },
+        ],
+      });
+
+      // Act
+      reviewer.checkLayerViolations([domainFile]);
+
+      // Assert
+      expect(reviewer.violations.errors.map(v => v.message)).toEqual([
+        'Domain layer cannot import from infrastructure layer (export from: ../infrastructure)',
+        'Domain layer cannot import from application layer (dynamic import: ../application/jobs)',
+      ]);
+    });
+
+    it('should keep the default clean architecture directions', () => {
+      // Arrange
+      const reviewer = new CodeReviewer('/test-project');
+      const domainFile = '/test-project/src/domain/User.ts';
+      reviewer.fileCache.set(domainFile, {
+        imports: [
+          { module: '../utils/strings', line: 1 },
+          { module: '../infrastructure/db', line: 2 },
+        ],
+      });
+
+      // Act
+      reviewer.checkLayerViolations([domainFile]);
+
+      // Assert
+      expect(reviewer.violations.errors).toHaveLength(1);
+      expect(reviewer.violations.errors[0].message).toBe(
+        'Domain layer cannot import from infrastructure layer (import: ../infrastructure/db)'
+      );
+    });
+  });
+
+  describe('Inline suppressions', () => {
+    it('should drop suppressed violations and report invalid and unused suppressions', () => {
+      // Arrange
+      const ts = require('typescript');
+      const reviewer = new CodeReviewer('/test-project');
+      const file = '/test-project/src/domain/User.ts';
+      const content = [
+        '// ai-dotfiles-disable-next-line LAYER_VIOLATION -- migration tracked in ARCH-12',
+        "import { db } from '../infrastructure/db';",
+        '// ai-dotfiles-disable-next-line ERROR_INHERITANCE',
+        'export class UserError {}',
+        '/* ai-dotfiles-disable ANY_TYPE -- generated */',
+      ].join('\n');
+      reviewer.fileCache.set(file, { content, sourceFile: ts.createSourceFile(file, content, ts.ScriptTarget.Latest, true) });
+      reviewer.addViolation('error', file, 2, 'LAYER_VIOLATION', 'Domain imports infrastructure');
+      reviewer.addViolation('error', file, 4, 'ERROR_INHERITANCE', 'Extend DomainError');
+
+      // Act
+      reviewer.applySuppressions();
+
+      // Assert
+      expect(reviewer.violations.errors.map(v => v.code)).toEqual(['ERROR_INHERITANCE']);
+      expect(reviewer.violations.warnings.map(v => [v.code, v.line])).toEqual([['INVALID_SUPPRESSION', 3]]);
+      expect(reviewer.violations.info.map(v => [v.code, v.line])).toEqual([['UNUSED_SUPPRESSION', 5]]);
+      expect(reviewer.stats.suppressed).toBe(1);
+      expect(reviewer.rulesRun).toEqual(['INVALID_SUPPRESSION', 'UNUSED_SUPPRESSION']);
+    });
+  });
+
+  describe('Circular dependencies', () => {
+    it('should report same-layer cycles as warnings with the full path', () => {
+      // Arrange
+      const reviewer = new CodeReviewer('/test-project');
+      const files = ['a', 'b', 'c'].map(name => `/test-project/src/application/${name}.ts`);
+      reviewer.fileCache.set(files[0], { imports: [{ module: './b', line: 2, kind: 'import' }] });
+      reviewer.fileCache.set(files[1], { imports: [{ module: './c', line: 1, kind: 'import' }] });
+      reviewer.fileCache.set(files[2], { imports: [{ module: './a', line: 3, kind: 'export' }] });
+
+      // Act
+      reviewer.checkCircularDependencies(files);
+
+      // Assert
+      expect(reviewer.violations.errors).toHaveLength(0);
+      expect(reviewer.violations.warnings).toEqual([
+        {
+          file: 'src/application/a.ts',
+          line: 2,
+          code: 'CIRCULAR_DEPENDENCY',
+          message: 'Circular dependency: src/application/a.ts → src/application/b.ts → src/application/c.ts → src/application/a.ts',
+        },
+      ]);
+    });
+
+    it('should report cross-layer cycles as errors', () => {
+      // Arrange
+      const reviewer = new CodeReviewer('/test-project');
+      const domainFile = '/test-project/src/domain/User.ts';
+      const repoFile = '/test-project/src/infrastructure/UserRepository.js';
+      reviewer.fileCache.set(domainFile, {
+        imports: [{ module: '../infrastructure/UserRepository', line: 1, kind: 'import' }],
+      });
+      reviewer.fileCache.set(repoFile, { imports: [{ module: '../domain/User', line: 4, kind: 'require' }] });
+
+      // Act
+      reviewer.checkCircularDependencies([domainFile, repoFile]);
+
+      // Assert
+      expect(reviewer.violations.errors.map(v => v.message)).toEqual([
+        'Circular dependency across layers domain, infrastructure: src/domain/User.ts → src/infrastructure/UserRepository.js → src/domain/User.ts',
+      ]);
+    });
+
+    it('should ignore cycles closed by type-only imports', () => {
+      // Arrange
+      const reviewer = new CodeReviewer('/test-project');
+      const [user, order, item] = ['User', 'Order', 'Item'].map(name => `/test-project/src/domain/${name}.ts`);
+      reviewer.fileCache.set(user, { imports: [{ module: './Order', line: 1, kind: 'import', typeOnly: false }] });
+      reviewer.fileCache.set(order, {
+        imports: [
+          { module: './User', line: 1, kind: 'import', typeOnly: true },
+          { module: './Item', line: 2, kind: 'import', typeOnly: false },
+        ],
+      });
+      reviewer.fileCache.set(item, { imports: [{ module: './Order', line: 1, kind: 'export', typeOnly: false }] });
+
+      // Act
+      reviewer.checkCircularDependencies([user, order, item]);
+
+      // Assert
+      expect(reviewer.violations.warnings.map(v => v.message)).toEqual([
+        'Circular dependency: src/domain/Item.ts → src/domain/Order.ts → src/domain/Item.ts',
+      ]);
+    });
+
+    it('should follow Python module imports and ignore acyclic dependencies', () => {
+      // Arrange
+      const reviewer = new CodeReviewer('/test-project');
+      const userFile = '/test-project/src/domain/user.py';
+      const orderFile = '/test-project/src/domain/order.py';
+      const serviceFile = '/test-project/src/application/service.py';
+      reviewer.fileCache.set(userFile, { language: 'python', imports: [{ module: '.order', line: 1, kind: 'from' }] });
+      reviewer.fileCache.set(orderFile, { language: 'python', imports: [{ module: 'domain.user', line: 2, kind: 'from' }] });
+      reviewer.fileCache.set(serviceFile, { language: 'python', imports: [{ module: 'domain.user', line: 1, kind: 'from' }] });
+
+      // Act
+      reviewer.checkCircularDependencies([userFile, orderFile, serviceFile]);
+
+      // Assert
+      expect(reviewer.violations.warnings.map(v => v.message)).toEqual([
+        'Circular dependency: src/domain/order.py → src/domain/user.py → src/domain/order.py',
+      ]);
+    });
+  });
+
+  describe('Diff scope', () => {
+    it('should only keep violations on changed lines', () => {
+      // Arrange
+      const reviewer = new CodeReviewer('/test-project', { since: 'origin/main' });
+      reviewer.diffScope = {
+        label: 'changes since origin/main',
+        changes: new Map([['src/domain/User.ts', new Set([2])]]),
+        hidden: 0,
+      };
+      reviewer.addViolation('error', '/test-project/src/domain/User.ts', 2, 'LAYER_VIOLATION', 'Changed line');
+      reviewer.addViolation('error', '/test-project/src/domain/User.ts', 9, 'LAYER_VIOLATION', 'Untouched line');
+      reviewer.addViolation('warning', '/test-project/src/domain/Order.ts', null, 'ANY_TYPE', 'Untouched file');
+
+      // Act
+      reviewer.applyDiffScope();
+
+      // Assert
+      expect(reviewer.violations.errors.map(v => v.message)).toEqual(['Changed line']);
+      expect(reviewer.violations.warnings).toHaveLength(0);
+      expect(reviewer.diffScope.hidden).toBe(2);
+      expect(reviewer.stats.totalViolations).toBe(1);
+    });
+  });
+
+  describe('Review cache', () => {
+    const fs = require('fs');
+    const cacheDir = path.join('/test-project', '.dev/.cache/review');
+    const sources = {
+      '/test-project/src/domain/User.ts': "import { Db } from '../infrastructure/Db';\nexport interface User { id: any; }\n",
+      '/test-project/src/infrastructure/Db.ts': 'export class Db {}\n',
+      '/test-project/src/application/Service.ts': "import { User } from '../domain/User';\nexport class Service { constructor() {} }\n",
+    };
+    const files = Object.keys(sources);
+
+    // TypeScript's lib files still come from the real file system
+    const mockFileSystem = (disk) => {
+      const { readFileSync } = fs;
+      jest.spyOn(fs, 'existsSync').mockImplementation(p => p in disk);
+      jest.spyOn(fs, 'readFileSync').mockImplementation((p, ...args) => {
+        if (!String(p).startsWith('/test-project')) return readFileSync(p, ...args);
+        if (!(p in disk)) throw new Error(`ENOENT: ${p}`);
+        return disk[p];
+      });
+      jest.spyOn(fs, 'writeFileSync').mockImplementation((p, content) => { disk[p] = content; });
+      jest.spyOn(fs, 'mkdirSync').mockImplementation();
+    };
+
+    // The mocked disk cannot be listed, so the test file lookup is off
+    const config = { ...DEFAULT_REVIEW_CONFIG, testConventions: null };
+
+    const review = async (disk, reviewedFiles = files) => {
+      const reviewer = new CodeReviewer('/test-project', { config, customRules: [] });
+      jest.spyOn(reviewer, 'createSourceFile');
+      await reviewer.parseFiles(reviewedFiles);
+      await reviewer.runChecks(reviewedFiles);
+      reviewer.saveReviewCache();
+      return reviewer;
+    };
+
+    const summarize = reviewer => ['errors', 'warnings', 'info']
+      .flatMap(group => reviewer.violations[group].map(v => `${v.code} ${v.file}:${v.line}`))
+      .sort();
+
+    it('should reuse cached results for unchanged files without parsing them', async () => {
+      // Arrange
+      const disk = { ...sources };
+      mockFileSystem(disk);
+      const first = await review(disk);
+
+      // Act
+      const second = await review(disk);
+
+      // Assert
+      expect(disk[path.join(cacheDir, '.gitignore')]).toBe('*\n');
+      expect(first.createSourceFile).toHaveBeenCalledTimes(3);
+      expect(second.createSourceFile).not.toHaveBeenCalled();
+      expect(summarize(second)).toEqual(summarize(first));
+      expect(summarize(second)).toEqual([
+        'ANY_TYPE src/domain/User.ts:2',
+        'INTERFACE_NAMING src/domain/User.ts:2',
+        'LAYER_VIOLATION src/domain/User.ts:1',
+      ]);
+    });
+
+    it('should recheck changed files and the layer rules of their dependents', async () => {
+      // Arrange
+      const disk = { ...sources };
+      mockFileSystem(disk);
+      await review(disk);
+      disk['/test-project/src/infrastructure/Db.ts'] = 'export class Db {}\nexport class Pool {}\n';
+      const checkedFiles = {};
+      jest.spyOn(CodeReviewer.prototype, 'runCheck').mockImplementation(function (check, checked) {
+        checkedFiles[check] = checked.map(file => this.toProjectPath(file));
+        this[check](checked);
+      });
+
+      // Act
+      const reviewer = await review(disk);
+
+      // Assert
+      expect(reviewer.reviewCache.changed).toEqual(new Set(['src/infrastructure/Db.ts']));
+      expect(checkedFiles.checkInterfaceConventions).toEqual(['src/infrastructure/Db.ts']);
+      expect(checkedFiles.checkLayerViolations).toEqual(['src/domain/User.ts', 'src/infrastructure/Db.ts']);
+      expect(reviewer.violations.errors.map(v => v.code)).toEqual(['LAYER_VIOLATION']);
+      expect(reviewer.violations.warnings.map(v => v.code).sort()).toEqual(['ANY_TYPE', 'INTERFACE_NAMING']);
+    });
+
+    it('should reuse type checker results until a file reachable through imports changes', async () => {
+      // Arrange
+      const interfaceFile = '/test-project/src/domain/IUserRepository.ts';
+      const disk = {
+        [interfaceFile]: 'export interface IUserRepository { find(id: string): string; }\n',
+        '/test-project/src/domain/index.ts': "export * from './IUserRepository';\n",
+        '/test-project/src/infrastructure/repositories/UserRepository.ts':
+          "import { IUserRepository } from '../../domain';\nexport class UserRepository implements IUserRepository {\n  find(id: string): string { return id; }\n}\n",
+      };
+      const typedFiles = Object.keys(disk);
+      mockFileSystem(disk);
+      await review(disk, typedFiles);
+      const checked = jest.spyOn(CodeReviewer.prototype, 'checkTypeConformance');
+
+      // Act
+      const warm = await review(disk, typedFiles);
+      disk[interfaceFile] = 'export interface IUserRepository { find(id: string): string; remove(id: string): void; }\n';
+      const changed = await review(disk, typedFiles);
+      const replayed = await review(disk, typedFiles);
+
+      // Assert
+      expect(warm.createSourceFile).not.toHaveBeenCalled();
+      expect(checked.mock.calls[0][0]).toEqual([]);
+      expect(warm.violations.errors).toHaveLength(0);
+      expect(checked.mock.calls[1][0]).toEqual(expect.arrayContaining([
+        interfaceFile,
+        '/test-project/src/infrastructure/repositories/UserRepository.ts',
+      ]));
+      expect(changed.violations.errors.map(v => v.message)).toEqual([
+        expect.stringContaining("Repository 'UserRepository' does not match 'IUserRepository'"),
+      ]);
+      expect(replayed.createSourceFile).not.toHaveBeenCalled();
+      expect(replayed.violations.errors).toEqual(changed.violations.errors);
+    });
+
+    it('should not touch the cache with the cache disabled', async () => {
+      // Arrange
+      const disk = { ...sources };
+      mockFileSystem(disk);
+      const reviewer = new CodeReviewer('/test-project', { config, customRules: [], cache: false });
+
+      // Act
+      await reviewer.parseFiles(files);
+      await reviewer.runChecks(files);
+
+      // Assert
+      expect(reviewer.reviewCache).toBeNull();
+      expect(Object.keys(disk)).toEqual(files);
+      expect(reviewer.violations.errors.map(v => v.code)).toEqual(['LAYER_VIOLATION']);
+    });
+  });
+
+  describe('Parallel parsing', () => {
+    const fs = require('fs');
+    const layers = ['domain', 'application', 'infrastructure'];
+    const disk = {};
+    for (let i = 0; i < 240; i++) {
+      const layer = layers[i % layers.length];
+      disk[`/test-project/src/${layer}/File${i}.ts`] =
+        `import { Db } from '../infrastructure/File${(i * 7) % 240}';\nexport class File${i}Repository { value: any; }\n`;
+    }
+    const files = Object.keys(disk);
+
+    const review = async (concurrency) => {
+      const { readFileSync } = fs;
+      jest.spyOn(fs, 'readFileSync').mockImplementation((p, ...args) => disk[p] ?? readFileSync(p, ...args));
+      const reviewer = new CodeReviewer('/test-project', {
+        config: { ...DEFAULT_REVIEW_CONFIG, testConventions: null }, customRules: [], cache: false, concurrency,
+      });
+      jest.spyOn(reviewer, 'createSourceFile');
+      await reviewer.parseFiles(files);
+      await reviewer.runChecks(files);
+      reviewer.sortViolations();
+      return reviewer;
+    };
+
+    it('should report the same violations in the same order on worker threads', async () => {
+      // Arrange
+      const serial = await review(1);
+
+      // Act
+      const parallel = await review(2);
+
+      // Assert
+      expect(serial.createSourceFile).toHaveBeenCalledTimes(240);
+      expect(parallel.createSourceFile).not.toHaveBeenCalled();
+      expect([...parallel.fileCache.keys()]).toEqual(files);
+      expect(parallel.stats.filesScanned).toBe(240);
+      expect(parallel.violations).toEqual(serial.violations);
+      expect(parallel.violations.warnings.length).toBeGreaterThan(0);
+    });
+
+    it('should return plain cache entries with file-local violations from parseBatch', () => {
+      // Arrange
+      const reviewer = new CodeReviewer('/test-project', { config: DEFAULT_REVIEW_CONFIG, customRules: [], cache: false });
+      const file = '/test-project/src/domain/User.ts';
+
+      // Act
+      const [result] = reviewer.parseBatch([{ file, content: 'export interface User { id: any; }\n' }]);
+
+      // Assert
+      expect(result.file).toBe(file);
+      expect(JSON.parse(JSON.stringify(result.entry))).toEqual(result.entry);
+      expect(result.entry.interfaces.map(item => item.name)).toEqual(['User']);
+      expect(result.entry.violations.map(v => v.code).sort()).toEqual(['ANY_TYPE', 'INTERFACE_NAMING']);
+      expect(reviewer.violations.warnings).toHaveLength(2);
+    });
+  });
+
+  describe('Baseline', () => {
+    const fs = require('fs');
+    const baselinePath = path.join('/test-project', '.dev/review-baseline.json');
+
+    const createReviewer = (options = {}) => {
+      const reviewer = new CodeReviewer('/test-project', options);
+      reviewer.addViolation('error', '/test-project/src/domain/User.ts', null, 'LAYER_VIOLATION', 'Old');
+      reviewer.addViolation('error', '/test-project/src/domain/Order.ts', null, 'LAYER_VIOLATION', 'New');
+      return reviewer;
+    };
+
+    it('should record every violation with --update-baseline and hide them', () => {
+      // Arrange
+      const reviewer = createReviewer({ updateBaseline: true });
+      jest.spyOn(fs, 'mkdirSync').mockImplementation();
+      const writeSpy = jest.spyOn(fs, 'writeFileSync').mockImplementation();
+
+      // Act
+      reviewer.applyBaseline();
+
+      // Assert
+      expect(writeSpy).toHaveBeenCalledWith(baselinePath, expect.any(String));
+      const written = JSON.parse(writeSpy.mock.calls[0][1]);
+      expect(written.violations.map(v => v.file)).toEqual(['src/domain/Order.ts', 'src/domain/User.ts']);
+      expect(reviewer.violations.errors).toHaveLength(0);
+      expect(reviewer.stats.totalViolations).toBe(0);
+    });
+
+    it('should keep only new violations and report fixed baseline entries', () => {
+      // Arrange
+      const recorder = createReviewer({ updateBaseline: true });
+      jest.spyOn(fs, 'mkdirSync').mockImplementation();
+      const writeSpy = jest.spyOn(fs, 'writeFileSync').mockImplementation();
+      recorder.violations.errors.pop();
+      recorder.addViolation('warning', '/test-project/src/a.ts', null, 'ANY_TYPE', 'Fixed later');
+      recorder.applyBaseline();
+      const baselineJson = writeSpy.mock.calls[0][1];
+
+      jest.spyOn(fs, 'existsSync').mockImplementation(p => p === baselinePath);
+      jest.spyOn(fs, 'readFileSync').mockImplementation(() => baselineJson);
+      const reviewer = createReviewer();
+
+      // Act
+      reviewer.applyBaseline();
+
+      // Assert
+      expect(reviewer.violations.errors.map(v => v.message)).toEqual(['New']);
+      expect(reviewer.baseline.suppressed).toBe(1);
+      expect(reviewer.baseline.fixed.map(e => e.message)).toEqual(['Fixed later']);
+      expect(reviewer.getReportData().baseline.fixed[0].code).toBe('ANY_TYPE');
+    });
+  });
+
+  describe('JSON report', () => {
+    it('should print only a versioned JSON document to stdout', () => {
+      // Arrange
+      const reviewer = new CodeReviewer('/test-project', { format: 'json' });
+      reviewer.stats.filesScanned = 2;
+      reviewer.rulesRun = ['LAYER_VIOLATION', 'ANY_TYPE'];
+      reviewer.addViolation('error', '/test-project/src/domain/User.ts', 3, 'LAYER_VIOLATION', 'Domain imports infrastructure');
+      reviewer.addViolation('warning', '/test-project/src/domain/User.ts', null, 'ANY_TYPE', 'Found any');
+
+      // Act
+      reviewer.generateReport();
+
+      // Assert
+      expect(mockConsoleLog).toHaveBeenCalledTimes(1);
+      const report = JSON.parse(mockConsoleLog.mock.calls[0][0]);
+      expect(report.version).toBe(1);
+      expect(report.tool.name).toBe('ai-dotfiles-manager');
+      expect(report.summary).toEqual({
+        filesScanned: 2,
+        errors: 1,
+        warnings: 1,
+        info: 0,
+        totalViolations: 2,
+      });
+      expect(report.rules.map(r => r.code)).toEqual(['LAYER_VIOLATION', 'ANY_TYPE']);
+      expect(report.rules[0].severity).toBe('error');
+      expect(report.violations[0]).toEqual({
+        severity: 'error',
+        code: 'LAYER_VIOLATION',
+        message: 'Domain imports infrastructure',
+        location: { file: 'src/domain/User.ts', line: 3 },
+      });
+      expect(report.violations[1].location.line).toBeNull();
+    });
+
+    it('should send progress messages to stderr', () => {
+      // Arrange
+      const reviewer = new CodeReviewer('/test-project', { format: 'json' });
+
+      // Act
+      reviewer.progress('Parsing...');
+
+      // Assert
+      expect(console.error).toHaveBeenCalledWith('Parsing...');
+      expect(mockConsoleLog).not.toHaveBeenCalled();
+    });
+
+    it('should record the rule codes of checks that ran', () => {
+      // Arrange
+      const reviewer = new CodeReviewer('/test-project');
+
+      // Act
+      reviewer.runCheck('checkInterfaceConventions', []);
+
+      // Assert
+      expect(reviewer.getReportData().rulesRun).toEqual(['INTERFACE_NAMING', 'FILE_NAMING', 'MULTIPLE_INTERFACES']);
+    });
+  });
+
+  describe('Custom rules', () => {
+    it('should run custom rules with the file cache, config and a reporter bound to the rule id', async () => {
+      // Arrange
+      const controllerFile = '/test-project/src/application/UserController.ts';
+      const repositoryFile = '/test-project/src/infrastructure/UserRepository.ts';
+      const rule = {
+        id: 'CONTROLLER_REPOSITORY',
+        severity: 'error',
+        name: 'Controller uses repository',
+        description: 'Controllers must go through services.',
+        source: '.dev/review-rules/controllers.js',
+        check: jest.fn(({ files, fileCache, config, getLayer, resolveImport, addViolation }) => {
+          expect(config.sourceRoot).toBe('src');
+          for (const file of files.filter(f => getLayer(f) === 'application')) {
+            for (const imp of fileCache.get(file).imports) {
+              if (getLayer(resolveImport(imp.module, file) || '') === 'infrastructure') {
+                addViolation(file, imp.line, `Controller imports ${imp.module}`);
+              }
+            }
+          }
+          addViolation('src/application/UserController.ts', null, 'Consider a service', 'info');
+        }),
+      };
+      const reviewer = new CodeReviewer('/test-project', { customRules: [rule], format: 'json' });
+      reviewer.fileCache.set(controllerFile, {
+        imports: [{ module: '../infrastructure/UserRepository', line: 3, kind: 'import' }],
+      });
+      reviewer.fileCache.set(repositoryFile, { imports: [] });
+
+      // Act
+      await reviewer.runCustomRule(rule, [controllerFile, repositoryFile]);
+      reviewer.generateReport();
+
+      // Assert
+      expect(reviewer.violations.errors).toEqual([{
+        file: 'src/application/UserController.ts',
+        line: 3,
+        code: 'CONTROLLER_REPOSITORY',
+        message: 'Controller imports ../infrastructure/UserRepository',
+      }]);
+      expect(reviewer.violations.info.map(v => v.code)).toEqual(['CONTROLLER_REPOSITORY']);
+      const report = JSON.parse(mockConsoleLog.mock.calls[0][0]);
+      expect(report.rules).toEqual([{
+        code: 'CONTROLLER_REPOSITORY',
+        severity: 'error',
+        name: 'Controller uses repository',
+        description: 'Controllers must go through services.',
+      }]);
+    });
+
+    it('should name the rule and its source when a check fails', async () => {
+      // Arrange
+      const rule = {
+        id: 'BROKEN_RULE',
+        severity: 'warning',
+        source: 'acme-review-rules',
+        check: ({ addViolation }) => addViolation('src/a.ts', 1, 'message', 'fatal'),
+      };
+      const reviewer = new CodeReviewer('/test-project', { customRules: [rule] });
+
+      // Act & Assert
+      await expect(reviewer.runCustomRule(rule, [])).rejects.toThrow(
+        "Review rule BROKEN_RULE (acme-review-rules) failed: unknown severity 'fatal'"
+      );
+    });
+  });
+
+  describe('TypeScript quality', () => {
+    const file = '/test-project/src/application/Loader.ts';
+    const content = [
+      'export function load(input: any): Promise<any> {',
+      '  // @ts-ignore',
+      '  return fetchAll(input);',
+      '}',
+      '// @ts-expect-error -- the generated client lacks this overload',
+      'load(1, 2);',
+    ].join('\n');
+
+    it('should report each any and unexplained directive with its column', () => {
+      // Arrange
+      const reviewer = new CodeReviewer('/test-project', { config: DEFAULT_REVIEW_CONFIG, customRules: [] });
+      reviewer.fileCache.set(file, reviewer.parseSource(file, content));
+
+      // Act
+      reviewer.checkTypeScriptQuality([file]);
+
+      // Assert
+      expect(reviewer.violations.warnings).toEqual([
+        {
+          file: 'src/application/Loader.ts',
+          line: 1,
+          column: 29,
+          code: 'ANY_TYPE',
+          message: "Explicit 'any' in parameter 'input'. Consider using a specific type or 'unknown'.",
+        },
+        {
+          file: 'src/application/Loader.ts',
+          line: 1,
+          column: 43,
+          code: 'ANY_TYPE',
+          message: "Explicit 'any' in generic argument. Consider using a specific type or 'unknown'.",
+        },
+        {
+          file: 'src/application/Loader.ts',
+          line: 2,
+          column: 3,
+          code: 'UNEXPLAINED_TS_DIRECTIVE',
+          message: '@ts-ignore needs an explanation of the suppressed error (e.g. // @ts-ignore -- reason)',
+        },
+      ]);
+    });
+
+    it('should include columns in JSON and SARIF locations', () => {
+      // Arrange
+      const json = new CodeReviewer('/test-project', { format: 'json' });
+      const sarif = new CodeReviewer('/test-project', { format: 'sarif' });
+      for (const reviewer of [json, sarif]) {
+        reviewer.rulesRun = ['ANY_TYPE'];
+        reviewer.addViolation('warning', file, 1, 'ANY_TYPE', 'Explicit any', 29);
+      }
+
+      // Act
+      json.generateReport();
+      sarif.generateReport();
+
+      // Assert
+      expect(JSON.parse(mockConsoleLog.mock.calls[0][0]).violations[0].location)
+        .toEqual({ file: 'src/application/Loader.ts', line: 1, column: 29 });
+      expect(JSON.parse(mockConsoleLog.mock.calls[1][0]).runs[0].results[0].locations[0].physicalLocation.region)
+        .toEqual({ startLine: 1, startColumn: 29 });
+    });
+  });
+
+  describe('SARIF report', () => {
+    it('should emit a SARIF 2.1.0 log with rules, levels and physical locations', () => {
+      // Arrange
+      const reviewer = new CodeReviewer('/test-project', { format: 'sarif' });
+      reviewer.rulesRun = ['LAYER_VIOLATION', 'MULTIPLE_INTERFACES'];
+      reviewer.addViolation('error', '/test-project/src/domain/User.ts', 7, 'LAYER_VIOLATION', 'Domain imports infrastructure');
+      reviewer.addViolation('info', '/test-project/src/domain/types.ts', null, 'MULTIPLE_INTERFACES', 'Split me');
+
+      // Act
+      reviewer.generateReport();
+
+      // Assert
+      const sarif = JSON.parse(mockConsoleLog.mock.calls[0][0]);
+      expect(sarif.version).toBe('2.1.0');
+      const run = sarif.runs[0];
+      expect(run.tool.driver.rules.map(r => r.id)).toEqual(['LAYER_VIOLATION', 'MULTIPLE_INTERFACES']);
+      expect(run.tool.driver.rules[0].defaultConfiguration.level).toBe('error');
+      expect(run.results[0]).toEqual({
+        ruleId: 'LAYER_VIOLATION',
+        ruleIndex: 0,
+        level: 'error',
+        message: { text: 'Domain imports infrastructure' },
+        locations: [{
+          physicalLocation: {
+            artifactLocation: { uri: 'src/domain/User.ts', uriBaseId: '%SRCROOT%' },
+            region: { startLine: 7 },
+          },
+        }],
+      });
+      expect(run.results[1].level).toBe('note');
+      expect(run.results[1].locations[0].physicalLocation.region).toBeUndefined();
+    });
+  });
+
+  describe('HTML report', () => {
+    it('should render a self-contained page grouped by layer with escaped snippets', () => {
+      // Arrange
+      const reviewer = new CodeReviewer('/test-project', { format: 'html' });
+      reviewer.fileCache.set('/test-project/src/domain/User.ts', {
+        content: "import { Db } from '../infrastructure/db';\nexport class User<T> {}\n",
+      });
+      reviewer.addViolation('error', '/test-project/src/domain/User.ts', 1, 'LAYER_VIOLATION', 'Domain imports <infrastructure>');
+      reviewer.addViolation('warning', '/test-project/src/lib/any.ts', null, 'ANY_TYPE', 'Found any');
+
+      // Act
+      reviewer.generateReport();
+
+      // Assert
+      const html = mockConsoleLog.mock.calls[0][0];
+      expect(html).toMatch(/^<!DOCTYPE html>/);
+      expect(html).not.toMatch(/<(link|script) [^>]*src=/);
+      expect(html).toContain('<h2>domain layer</h2>');
+      expect(html).toContain('<h2>other layer</h2>');
+      expect(html).toContain('data-severity="error" data-code="LAYER_VIOLATION"');
+      expect(html).toContain('<option value="ANY_TYPE">');
+      expect(html).toContain('Domain imports &lt;infrastructure&gt;');
+      expect(html).toContain('<tr class="flagged"><td class="ln">1</td><td><code>import { Db } from &#39;../infrastructure/db&#39;;</code>');
+      expect(html).toContain('export class User&lt;T&gt; {}');
+    });
+
+    it('should write the report to the --output file', () => {
+      // Arrange
+      const fs = require('fs');
+      const writeSpy = jest.spyOn(fs, 'writeFileSync').mockImplementation();
+      const mkdirSpy = jest.spyOn(fs, 'mkdirSync').mockImplementation();
+      const reviewer = new CodeReviewer('/test-project', { format: 'json', output: 'reports/review.json' });
+
+      // Act
+      reviewer.generateReport();
+
+      // Assert
+      expect(mkdirSpy).toHaveBeenCalledWith(path.resolve('/test-project', 'reports'), { recursive: true });
+      expect(writeSpy).toHaveBeenCalledWith(path.resolve('/test-project', 'reports/review.json'), expect.stringContaining('"version": 1'));
+      expect(mockConsoleLog).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('DI registration', () => {
+    const fs = require('fs');
+    const registrationFile = '/test-project/src/infrastructure/di/DIRegistration.ts';
+    const sources = {
+      '/test-project/src/infrastructure/repositories/OrderRepository.ts': 'export class OrderRepository { constructor() {} }\n',
+      '/test-project/src/infrastructure/repositories/CartRepository.ts': 'export class CartRepository { constructor() {} }\n',
+      '/test-project/src/infrastructure/repositories/BaseRepository.ts': 'export abstract class BaseRepository {}\n',
+      '/test-project/src/application/services/UserService.ts': 'export class UserService { constructor() {} }\n',
+      '/test-project/src/application/services/UserService.test.ts': 'class FakeUserService {}\n',
+      [registrationFile]: [
+        "import { OrderRepository } from '../repositories/OrderRepository';",
+        "import { CartRepository } from '../repositories/CartRepository';",
+        "import { UserService } from '../../application/services/UserService';",
+        "export const ORDER_REPOSITORY_TOKEN = 'OrderRepository';",
+        "export const USER_SERVICE_TOKEN = Symbol.for('IUserService');",
+        "export const PAYMENT_SERVICE_TOKEN = Symbol('PaymentService');",
+        'export const INVOICE_REPOSITORY_TOKEN = createToken();',
+        'export function registerRepositories(container) {',
+        '  container.register(ORDER_REPOSITORY_TOKEN, () => new OrderRepository());',
+        '  container.register(USER_SERVICE_TOKEN, { useClass: UserService });',
+        '}',
+      ].join('\n'),
+    };
+    const files = Object.keys(sources);
+
+    const createReviewer = (config = DEFAULT_REVIEW_CONFIG) => {
+      const reviewer = new CodeReviewer('/test-project', { config, customRules: [] });
+      for (const file of files) {
+        reviewer.fileCache.set(file, reviewer.parseSource(file, sources[file]));
+      }
+      return reviewer;
+    };
+
+    it('should report unregistered classes and tokens for missing classes', () => {
+      // Arrange
+      jest.spyOn(fs, 'existsSync').mockImplementation(p => p === registrationFile);
+      const reviewer = createReviewer();
+
+      // Act
+      reviewer.checkDiRegistration(files);
+
+      // Assert
+      expect(reviewer.violations.warnings.map(v => `${v.code} ${v.file}:${v.line} ${v.message}`)).toEqual([
+        "DI_NOT_REGISTERED src/infrastructure/repositories/CartRepository.ts:1 Repository 'CartRepository' is not registered in src/infrastructure/di/DIRegistration.ts",
+        "DI_TOKEN_ORPHAN src/infrastructure/di/DIRegistration.ts:6 DI token 'PAYMENT_SERVICE_TOKEN' points at missing class 'PaymentService'",
+        "DI_TOKEN_ORPHAN src/infrastructure/di/DIRegistration.ts:7 DI token 'INVOICE_REPOSITORY_TOKEN' points at missing class 'InvoiceRepository'",
+      ]);
+    });
+
+    it('should skip the check without a registration module', () => {
+      // Arrange
+      jest.spyOn(fs, 'existsSync').mockReturnValue(false);
+      const reviewer = createReviewer({ ...DEFAULT_REVIEW_CONFIG, diRegistration: ['src/di/container.ts'] });
+
+      // Act
+      reviewer.checkDiRegistration(files);
+
+      // Assert
+      expect(reviewer.violations.warnings).toHaveLength(0);
+    });
+  });
+
+  describe('Type conformance', () => {
+    const sources = {
+      '/test-project/src/domain/repositories/IOrderRepository.ts': [
+        'export interface IOrderRepository {',
+        '  findById(id: string): Promise<string | null>;',
+        '  delete(id: string): Promise<void>;',
+        '}',
+      ].join('\n'),
+      '/test-project/src/domain/repositories/IUserRepository.ts': [
+        'export interface IUserRepository {',
+        '  findById(id: string): Promise<string | null>;',
+        '}',
+      ].join('\n'),
+      '/test-project/src/infrastructure/repositories/OrderRepository.ts': [
+        "import { IOrderRepository } from '../../domain/repositories/IOrderRepository';",
+        'export class OrderRepository implements IOrderRepository {',
+        '  async findById(id: string): Promise<string | null> { return id; }',
+        '}',
+      ].join('\n'),
+      '/test-project/src/infrastructure/repositories/UserRepository.ts': [
+        "import { IUserRepository } from '../../domain/repositories/IUserRepository';",
+        'export class UserRepository implements IUserRepository {',
+        '  async findById(id: string): Promise<string | null> { return id; }',
+        '}',
+      ].join('\n'),
+      '/test-project/src/infrastructure/repositories/CartRepository.ts': [
+        'export class CartRepository {',
+        '  async findById(id: string): Promise<string | null> { return id; }',
+        '}',
+      ].join('\n'),
+      '/test-project/src/application/services/OrderService.ts': [
+        "import { IUserRepository } from '../../domain/repositories/IUserRepository';",
+        "import { OrderRepository } from '../../infrastructure/repositories/OrderRepository';",
+        'export class OrderService {',
+        '  constructor(',
+        '    private readonly users: IUserRepository,',
+        '    private readonly orders: OrderRepository,',
+        '  ) {}',
+        '}',
+      ].join('\n'),
+    };
+    const files = Object.keys(sources);
+
+    const createReviewer = () => {
+      const reviewer = new CodeReviewer('/test-project', { config: DEFAULT_REVIEW_CONFIG, customRules: [] });
+      for (const file of files) {
+        reviewer.fileCache.set(file, reviewer.parseSource(file, sources[file]));
+      }
+      return reviewer;
+    };
+
+    it('should report repositories without or not matching their domain interface', () => {
+      // Arrange
+      const reviewer = createReviewer();
+
+      // Act
+      reviewer.checkTypeConformance(files);
+
+      // Assert
+      const messages = reviewer.violations.errors.map(v => `${v.code} ${v.file}:${v.line} ${v.message}`);
+      expect(messages).toHaveLength(2);
+      expect(messages[1]).toBe(
+        "REPOSITORY_INTERFACE src/infrastructure/repositories/OrderRepository.ts:2 Repository 'OrderRepository' does not match " +
+          "'IOrderRepository': Class 'OrderRepository' incorrectly implements interface 'IOrderRepository'. " +
+          "Property 'delete' is missing in type 'OrderRepository' but required in type 'IOrderRepository'."
+      );
+      // Repositories without an implements clause are reported before the type checker runs
+      expect(messages[0]).toBe(
+        "REPOSITORY_INTERFACE src/infrastructure/repositories/CartRepository.ts:1 Repository 'CartRepository' should implement its domain interface (e.g. 'ICartRepository')"
+      );
+    });
+
+    it('should report service constructor parameters typed with concrete classes', () => {
+      // Arrange
+      const reviewer = createReviewer();
+
+      // Act
+      reviewer.checkTypeConformance(files);
+
+      // Assert
+      expect(reviewer.violations.warnings.map(v => `${v.code} ${v.file}:${v.line} ${v.message}`)).toEqual([
+        "CONCRETE_DEPENDENCY src/application/services/OrderService.ts:6 Service 'OrderService' depends on the concrete class " +
+          "'OrderRepository' (constructor parameter 'orders'); depend on an interface instead",
+      ]);
+    });
+
+    it('should accept implementations named after their technology or storage', () => {
+      // Arrange
+      const files = {
+        '/test-project/src/domain/repositories/IUserRepository.ts': sources['/test-project/src/domain/repositories/IUserRepository.ts'],
+        '/test-project/src/infrastructure/repositories/PostgresUserRepository.ts': [
+          "import { IUserRepository } from '../../domain/repositories/IUserRepository';",
+          'export class PostgresUserRepository implements IUserRepository {',
+          '  async findById(id: string): Promise<string | null> { return id; }',
+          '}',
+        ].join('\n'),
+        '/test-project/src/infrastructure/repositories/InMemoryUserRepository.ts': [
+          "import { IUserRepository } from '../../domain/repositories/IUserRepository';",
+          'export class InMemoryUserRepository implements IUserRepository {',
+          '  async findById(id: string): Promise<string | null> { return null; }',
+          '}',
+        ].join('\n'),
+        '/test-project/src/infrastructure/repositories/PostgresOrderRepository.ts': [
+          "import { IUserRepository } from '../../domain/repositories/IUserRepository';",
+          'export class PostgresOrderRepository implements IUserRepository {',
+          '  async findById(id: string): Promise<string | null> { return id; }',
+          '}',
+        ].join('\n'),
+      };
+      const reviewer = new CodeReviewer('/test-project', { config: DEFAULT_REVIEW_CONFIG, customRules: [] });
+      for (const [file, content] of Object.entries(files)) {
+        reviewer.fileCache.set(file, reviewer.parseSource(file, content));
+      }
+
+      // Act
+      reviewer.checkTypeConformance(Object.keys(files));
+
+      // Assert
+      expect(reviewer.violations.errors.map(v => `${v.file}: ${v.message}`)).toEqual([
+        "src/infrastructure/repositories/PostgresOrderRepository.ts: Repository 'PostgresOrderRepository' should implement " +
+          "its domain interface (e.g. 'IPostgresOrderRepository')",
+      ]);
+    });
+
+    it('should report members whose signature does not match the interface', () => {
+      // Arrange
+      const files = {
+        '/test-project/src/domain/repositories/IProductRepository.ts':
+          'export interface IProductRepository { find(id: string): Promise<string>; }',
+        '/test-project/src/infrastructure/repositories/ProductRepository.ts': [
+          "import { IProductRepository } from '../../domain/repositories/IProductRepository';",
+          'export class ProductRepository implements IProductRepository {',
+          '  async find(id: number): Promise<string> {',
+          "    const label: number = 'unrelated body error';",
+          "    return '';",
+          '  }',
+          '}',
+        ].join('\n'),
+      };
+      const reviewer = new CodeReviewer('/test-project', { config: DEFAULT_REVIEW_CONFIG, customRules: [] });
+      for (const [file, content] of Object.entries(files)) {
+        reviewer.fileCache.set(file, reviewer.parseSource(file, content));
+      }
+
+      // Act
+      reviewer.checkTypeConformance(Object.keys(files));
+
+      // Assert
+      expect(reviewer.violations.errors.map(v => v.message)).toEqual([
+        "Repository 'ProductRepository' does not match 'IProductRepository': Property 'find' in type 'ProductRepository' " +
+          "is not assignable to the same property in base type 'IProductRepository'. Type '(id: number) => Promise<string>' " +
+          "is not assignable to type '(id: string) => Promise<string>'. Types of parameters 'id' and 'id' are incompatible. " +
+          "Type 'string' is not assignable to type 'number'.",
+      ]);
+    });
+
+    it('should report interfaces implemented from outside the domain layer', () => {
+      // Arrange
+      const file = '/test-project/src/infrastructure/repositories/PaymentRepository.ts';
+      const reviewer = new CodeReviewer('/test-project', { config: DEFAULT_REVIEW_CONFIG, customRules: [] });
+      reviewer.fileCache.set(file, reviewer.parseSource(file, [
+        'export interface IPaymentRepository { save(): void; }',
+        'export class PaymentRepository implements IPaymentRepository { save(): void {} }',
+      ].join('\n')));
+
+      // Act
+      reviewer.checkTypeConformance([file]);
+
+      // Assert
+      expect(reviewer.violations.errors.map(v => v.message)).toEqual([
+        "Repository 'PaymentRepository' implements 'IPaymentRepository' from " +
+          'src/infrastructure/repositories/PaymentRepository.ts; it should come from the domain layer',
+      ]);
+    });
+  });
+
+  describe('Test conventions', () => {
+    const fs = require('fs');
+    const summaryFile = '/test-project/coverage/coverage-summary.json';
+    const sources = {
+      '/test-project/src/application/services/OrderService.ts': 'export class OrderService {}\n',
+      '/test-project/src/application/services/UserService.ts': 'export class UserService {}\n',
+      '/test-project/src/application/services/BaseService.ts': 'export abstract class BaseService {}\n',
+      '/test-project/src/application/services/CartService.ts': 'export class CartService {}\n',
+      '/test-project/src/application/services/CartService.spec.ts': 'class FakeCart {}\n',
+      '/test-project/src/infrastructure/repositories/OrderRepository.ts': 'export class OrderRepository {}\n',
+      '/test-project/src/domain/Order.ts': 'export class Order {}\n',
+    };
+    const files = Object.keys(sources);
+    const projectFiles = [...files, '/test-project/tests/unit/services/OrderService.test.ts'];
+
+    const enabledConfig = { ...DEFAULT_REVIEW_CONFIG, testConventions: DEFAULT_TEST_CONVENTIONS };
+
+    const createReviewer = (config = enabledConfig) => {
+      const reviewer = new CodeReviewer('/test-project', { config, customRules: [] });
+      for (const file of files) {
+        reviewer.fileCache.set(file, reviewer.parseSource(file, sources[file]));
+      }
+      jest.spyOn(reviewer, 'collectSourceFiles').mockReturnValue(projectFiles);
+      return reviewer;
+    };
+
+    it('should report application and repository classes without a test', () => {
+      // Arrange
+      jest.spyOn(fs, 'existsSync').mockReturnValue(false);
+      const reviewer = createReviewer();
+
+      // Act
+      reviewer.checkTestCoverage(files);
+
+      // Assert
+      expect(reviewer.violations.warnings.map(v => `${v.code} ${v.file}:${v.line}`)).toEqual([
+        'MISSING_TEST src/application/services/UserService.ts:1',
+        'MISSING_TEST src/infrastructure/repositories/OrderRepository.ts:1',
+      ]);
+      expect(reviewer.violations.warnings[0].message).toBe(
+        "Class 'UserService' has no test (expected tests/**/UserService.test.ts or src/application/services/UserService.test.ts " +
+          'or src/application/services/UserService.spec.ts or src/application/services/__tests__/UserService.test.ts)'
+      );
+    });
+
+    it('should add coverage from the coverage summary and report files below the minimum', () => {
+      // Arrange
+      jest.spyOn(fs, 'existsSync').mockImplementation(p => p === summaryFile);
+      jest.spyOn(fs, 'readFileSync').mockReturnValue(JSON.stringify({
+        '/test-project/src/application/services/OrderService.ts': { lines: { pct: 85 } },
+        '/test-project/src/application/services/UserService.ts': { lines: { pct: 0 } },
+        '/test-project/src/application/services/CartService.ts': { lines: { pct: 52.5 } },
+      }));
+      const reviewer = createReviewer();
+
+      // Act
+      reviewer.checkTestCoverage(files);
+
+      // Assert
+      const { warnings } = reviewer.violations;
+      expect(warnings.map(v => `${v.code} ${v.file}`)).toEqual([
+        'MISSING_TEST src/application/services/UserService.ts',
+        'LOW_COVERAGE src/application/services/UserService.ts',
+        'LOW_COVERAGE src/application/services/CartService.ts',
+        'MISSING_TEST src/infrastructure/repositories/OrderRepository.ts',
+      ]);
+      expect(warnings[0].message).toMatch(/; line coverage 0%$/);
+      expect(warnings[2].message).toBe('Line coverage of src/application/services/CartService.ts is 52.5% (minimum 70%)');
+    });
+
+    it('should expect tests with the extension of JavaScript sources', () => {
+      // Arrange
+      jest.spyOn(fs, 'existsSync').mockReturnValue(false);
+      const reviewer = new CodeReviewer('/test-project', { config: enabledConfig, customRules: [] });
+      const jsFiles = ['/test-project/src/application/OrderService.js', '/test-project/src/application/UserService.js'];
+      for (const file of jsFiles) {
+        reviewer.fileCache.set(file, reviewer.parseSource(file, `export class ${path.basename(file, '.js')} {}\n`));
+      }
+      jest.spyOn(reviewer, 'collectSourceFiles').mockReturnValue([...jsFiles, '/test-project/tests/OrderService.test.js']);
+
+      // Act
+      reviewer.checkTestCoverage(jsFiles);
+
+      // Assert
+      expect(reviewer.violations.warnings.map(v => v.message)).toEqual([
+        "Class 'UserService' has no test (expected tests/**/UserService.test.js or src/application/UserService.test.js " +
+          'or src/application/UserService.spec.js or src/application/__tests__/UserService.test.js)',
+      ]);
+    });
+
+    it('should follow configured conventions and skip the check when turned off', () => {
+      // Arrange
+      jest.spyOn(fs, 'existsSync').mockReturnValue(false);
+      const conventions = { ...DEFAULT_TEST_CONVENTIONS, include: ['domain/**'], patterns: ['tests/**/{name}.test.ts'] };
+      const reviewer = createReviewer({ ...DEFAULT_REVIEW_CONFIG, testConventions: conventions });
+      const disabled = createReviewer(DEFAULT_REVIEW_CONFIG);
+
+      // Act
+      reviewer.checkTestCoverage(files);
+      disabled.checkTestCoverage(files);
+
+      // Assert
+      expect(reviewer.violations.warnings.map(v => v.message)).toEqual([
+        "Class 'Order' has no test (expected tests/**/Order.test.ts)",
+      ]);
+      expect(disabled.violations.warnings).toHaveLength(0);
+    });
+  });
+
+  describe('Dependency graph export', () => {
+    const createGraphReviewer = (graph) => {
+      const reviewer = new CodeReviewer('/test-project', { graph });
+      reviewer.fileCache.set('/test-project/src/domain/User.ts', {
+        imports: [
+          { module: '../infrastructure/Db', line: 1, kind: 'import' },
+          { module: '../infrastructure/Db', line: 5, kind: 'dynamic-import' },
+        ],
+      });
+      reviewer.fileCache.set('/test-project/src/infrastructure/Db.ts', {
+        imports: [{ module: '../domain/User', line: 2, kind: 'import' }],
+      });
+      reviewer.fileCache.set('/test-project/src/application/Service.ts', {
+        imports: [{ module: '../domain/User', line: 1, kind: 'import' }, { module: 'express', line: 2, kind: 'import' }],
+      });
+      reviewer.fileCache.set('/test-project/src/main.ts', {
+        imports: [{ module: './application/Service', line: 1, kind: 'import' }],
+      });
+      return reviewer;
+    };
+    const files = [
+      '/test-project/src/application/Service.ts',
+      '/test-project/src/domain/User.ts',
+      '/test-project/src/infrastructure/Db.ts',
+      '/test-project/src/main.ts',
+    ];
+
+    it('should collect layered nodes and flag layer violations and cycles', () => {
+      // Arrange
+      const reviewer = createGraphReviewer('json');
+
+      // Act
+      const graph = reviewer.getGraphData(files);
+
+      // Assert
+      expect(graph.nodes).toEqual([
+        { id: 'src/application/Service.ts', layer: 'application' },
+        { id: 'src/domain/User.ts', layer: 'domain' },
+        { id: 'src/infrastructure/Db.ts', layer: 'infrastructure' },
+        { id: 'src/main.ts', layer: null },
+      ]);
+      expect(graph.edges).toEqual([
+        {
+          from: 'src/application/Service.ts',
+          to: 'src/domain/User.ts',
+          imports: [{ module: '../domain/User', line: 1, kind: 'import' }],
+          layerViolation: false,
+          cycle: false,
+        },
+        {
+          from: 'src/domain/User.ts',
+          to: 'src/infrastructure/Db.ts',
+          imports: [
+            { module: '../infrastructure/Db', line: 1, kind: 'import' },
+            { module: '../infrastructure/Db', line: 5, kind: 'dynamic-import' },
+          ],
+          layerViolation: true,
+          cycle: true,
+        },
+        {
+          from: 'src/infrastructure/Db.ts',
+          to: 'src/domain/User.ts',
+          imports: [{ module: '../domain/User', line: 2, kind: 'import' }],
+          layerViolation: false,
+          cycle: true,
+        },
+        {
+          from: 'src/main.ts',
+          to: 'src/application/Service.ts',
+          imports: [{ module: './application/Service', line: 1, kind: 'import' }],
+          layerViolation: false,
+          cycle: false,
+        },
+      ]);
+    });
+
+    it('should render Mermaid subgraphs per layer with highlighted links', () => {
+      // Arrange
+      const reviewer = createGraphReviewer('mermaid');
+
+      // Act
+      reviewer.exportGraph(files);
+
+      // Assert
+      expect(mockConsoleLog.mock.calls[0][0]).toBe([
+        'flowchart LR',
+        '  subgraph layer0["domain"]',
+        '    n1["src/domain/User.ts"]',
+        '  end',
+        '  subgraph layer1["application"]',
+        '    n0["src/application/Service.ts"]',
+        '  end',
+        '  subgraph layer2["infrastructure"]',
+        '    n2["src/infrastructure/Db.ts"]',
+        '  end',
+        '  n3["src/main.ts"]',
+        '  n0 --> n1',
+        '  n1 --> n2',
+        '  n2 --> n1',
+        '  n3 --> n0',
+        '  linkStyle 1 stroke:#cf222e,stroke-width:2px',
+        '  linkStyle 2 stroke:#bc4c00,stroke-dasharray:4',
+      ].join('\n'));
+    });
+
+    it('should render DOT clusters per layer with highlighted edges', () => {
+      // Arrange
+      const reviewer = createGraphReviewer('dot');
+
+      // Act
+      reviewer.exportGraph(files);
+
+      // Assert
+      const dot = mockConsoleLog.mock.calls[0][0];
+      expect(dot).toMatch(/^digraph dependencies \{/);
+      expect(dot).toContain('subgraph cluster_0 {\n    label="domain";\n    "src/domain/User.ts";\n  }');
+      expect(dot).toContain('"src/domain/User.ts" -> "src/infrastructure/Db.ts" [color="#cf222e", penwidth=2, label="layer violation"];');
+      expect(dot).toContain('"src/infrastructure/Db.ts" -> "src/domain/User.ts" [color="#bc4c00", style=dashed, label="cycle"];');
+      expect(dot).toContain('"src/main.ts" -> "src/application/Service.ts";');
+    });
+
+    it('should emit a versioned JSON graph with files per layer', () => {
+      // Arrange
+      const reviewer = createGraphReviewer('json');
+
+      // Act
+      reviewer.exportGraph(files);
+
+      // Assert
+      const graph = JSON.parse(mockConsoleLog.mock.calls[0][0]);
+      expect(graph.version).toBe(1);
+      expect(graph.layers).toEqual([
+        { name: 'domain', files: ['src/domain/User.ts'] },
+        { name: 'application', files: ['src/application/Service.ts'] },
+        { name: 'infrastructure', files: ['src/infrastructure/Db.ts'] },
+      ]);
+      expect(graph.edges).toHaveLength(4);
+    });
+  });
+
   describe('Integration', () => {
     it('should correctly classify violations by severity', () => {
       // Arrange
@@ -51,7 +51,19 @@ const commandType = getCommandType(parsed.command);
         await executeReview(PROJECT_ROOT, {
           detailed: parsed.options.detailed,
           json: parsed.options.json,
+          format: parsed.options.format,
+          output: parsed.options.output,
           fix: parsed.options.fix,
+          apply: parsed.options.apply,
+          updateBaseline: parsed.options.updateBaseline,
+          since: parsed.options.since,
+          staged: parsed.options.staged,
+          graph: parsed.options.graph,
+          maxWarnings: parsed.options.maxWarnings,
+          noCache: parsed.options.noCache,
+          concurrency: parsed.options.concurrency,
+          watch: parsed.options.watch,
+          missingValues: parsed.options.missingValues,
           noCodexGuide: parsed.options.noCodexGuide,
         });
         break;
@@ -89,7 +101,7 @@ function printHelp() {
   console.log(chalk.gray('  setup, init       Set up AI configuration in current project (default)'));
   console.log(chalk.gray('  update            Update existing AI configuration with latest templates'));
   console.log(chalk.gray('  review [options]  Analyze codebase for Clean Architecture violations'));
-  console.log(chalk.gray('  commit-todo       Enforce todo commit policy'));
+  console.log(chalk.gray('  commit-todo [sub] Commit completed .dev/todo.md tasks (sub: check, enforce)'));
   console.log(chalk.gray('  --version, -v     Show version number'));
   console.log(chalk.gray('  --help, -h        Show this help message\n'));
   console.log(chalk.white('Global Options:'));
@@ -98,7 +110,18 @@ function printHelp() {
   console.log(chalk.white('Review Options:'));
   console.log(chalk.gray('  --detailed        Show detailed information including info-level messages'));
   console.log(chalk.gray('  --json            Output results as JSON'));
-  console.log(chalk.gray('  --fix             Auto-fix simple issues (not implemented yet)\n'));
+  console.log(chalk.gray('  --format <fmt>    Report format: console (default), json, sarif, html'));
+  console.log(chalk.gray('  --output <file>   Write the json/sarif/html report to a file instead of stdout'));
+  console.log(chalk.gray('  --fix             Preview autofixes (interface/file naming, interface splits) as a diff'));
+  console.log(chalk.gray('  --apply           With --fix, write the autofix changes to disk'));
+  console.log(chalk.gray('  --update-baseline Record current violations in .dev/review-baseline.json'));
+  console.log(chalk.gray('  --since <ref>     Only report violations in files/lines changed since a git ref'));
+  console.log(chalk.gray('  --staged          Only report violations in staged changes'));
+  console.log(chalk.gray('  --max-warnings <n> Exit with an error when there are more than n warnings'));
+  console.log(chalk.gray('  --no-cache        Reparse every file instead of reusing .dev/.cache/review'));
+  console.log(chalk.gray('  --concurrency <n> Parse files on n worker threads (default: CPU count)'));
+  console.log(chalk.gray('  --watch           Re-review on file changes and print new/resolved violations'));
+  console.log(chalk.gray('  --graph <fmt>     Export the dependency graph by layer: dot, mermaid, json\n'));
   console.log(chalk.white('Examples:'));
   console.log(chalk.gray('  ai-dotfiles-manager setup           # Interactive setup wizard'));
   console.log(chalk.gray('  ai-dotfiles-manager setup --yes     # Non-interactive setup with defaults'));
@@ -106,6 +129,15 @@ function printHelp() {
   console.log(chalk.gray('  ai-dotfiles-manager                 # Same as "ai-dotfiles-manager setup"'));
   console.log(chalk.gray('  ai-dotfiles-manager review          # Run code review'));
   console.log(chalk.gray('  ai-dotfiles-manager review --detailed   # Show all details'));
+  console.log(chalk.gray('  ai-dotfiles-manager review --fix --apply # Apply safe autofixes'));
+  console.log(chalk.gray('  ai-dotfiles-manager review --update-baseline # Accept existing violations'));
+  console.log(chalk.gray('  ai-dotfiles-manager review --since origin/main # Review a branch diff'));
+  console.log(chalk.gray('  ai-dotfiles-manager review --max-warnings 0 # Fail on any warning'));
+  console.log(chalk.gray('  ai-dotfiles-manager review --watch         # Keep reviewing while you edit'));
+  console.log(chalk.gray('  ai-dotfiles-manager review --format sarif > review.sarif # Code scanning upload'));
+  console.log(chalk.gray('  ai-dotfiles-manager review --format html --output report.html'));
+  console.log(chalk.gray('  ai-dotfiles-manager review --graph dot | dot -Tsvg > deps.svg'));
+  console.log(chalk.gray('  ai-dotfiles-manager commit-todo check # Exit 1 if there is work to commit'));
   console.log(chalk.gray('  ai-dotfiles-manager -v              # Show version\n'));
   console.log(chalk.white('Global Installation:'));
   console.log(chalk.gray('  npm install -g ai-dotfiles-manager\n'));
@@ -4,14 +4,45 @@
  * Pure functions with no side effects for easy testing
  */
 
+/**
+ * Options that take a value (`--name value` or `--name=value`)
+ */
+const VALUE_OPTIONS = ['--format', '--output', '--since', '--graph', '--max-warnings', '--concurrency'];
+
 /**
  * Parses command line arguments into structured options
+ * Value options given without a value are listed in options.missingValues
  * @param {string[]} argv - Command line arguments (process.argv.slice(2))
  * @returns {Object} Parsed command and options
  */
 function parseArguments(argv = []) {
-  const flags = argv.filter(arg => arg.startsWith('-'));
-  const positionals = argv.filter(arg => !arg.startsWith('-'));
+  const flags = [];
+  const positionals = [];
+  const values = {};
+  const missingValues = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('-')) {
+      positionals.push(arg);
+      continue;
+    }
+
+    flags.push(arg);
+    const [name, inlineValue] = arg.split(/=(.*)/s);
+    if (VALUE_OPTIONS.includes(name)) {
+      const next = argv[i + 1];
+      if (inlineValue !== undefined && inlineValue !== '') {
+        values[name] = inlineValue;
+      } else if (inlineValue === undefined && next !== undefined && (!next.startsWith('-') || /^-\d/.test(next))) {
+        // Negative numbers are values, so '--max-warnings -1' is rejected rather than ignored
+        values[name] = argv[++i];
+      } else {
+        missingValues.push(name);
+      }
+    }
+  }
+
   const command = positionals[0] || null;
   const commandIndex = typeof command === 'string' ? argv.indexOf(command) : -1;
   
@@ -25,6 +56,18 @@ function parseArguments(argv = []) {
       detailed: flags.includes('--detailed'),
       json: flags.includes('--json'),
       fix: flags.includes('--fix'),
+      apply: flags.includes('--apply'),
+      updateBaseline: flags.includes('--update-baseline'),
+      since: values['--since'] || null,
+      staged: flags.includes('--staged'),
+      noCache: flags.includes('--no-cache'),
+      watch: flags.includes('--watch'),
+      format: values['--format'] || null,
+      output: values['--output'] || null,
+      graph: values['--graph'] || null,
+      maxWarnings: values['--max-warnings'] ?? null,
+      concurrency: values['--concurrency'] ?? null,
+      missingValues,
       help: flags.includes('--help') || flags.includes('-h'),
       version: flags.includes('--version') || flags.includes('-v'),
     }
@@ -1,34 +1,89 @@
 /**
  * Commit Todo Command Handler
  * Handles todo commit enforcement
- * 
- * Note: This command requires the todo-commit hooks to be implemented
  */
 
 const chalk = require('chalk');
+const { TODO_RELATIVE_PATH, checkUncommittedWork, enforceCommitPolicy } = require('../todo-commit');
 
 /**
  * Executes the commit-todo command
- * @param {string} _projectRoot - Project root directory (unused in stub)
- * @param {Object} _options - Command options (unused in stub)
- * @param {string} _subCommand - Sub-command (check or enforce) (unused in stub)
+ * @param {string} projectRoot - Project root directory
+ * @param {Object} options - Command options
+ * @param {Function} options.exec - execSync-compatible function (for dependency injection)
+ * @param {Object} options.fs - File system module (for dependency injection)
+ * @param {string} subCommand - Sub-command (check or enforce)
  * @returns {Promise<void>}
  */
-async function executeCommitTodo(_projectRoot, _options = {}, _subCommand = 'enforce') {
-  console.log(chalk.yellow('\n⚠️  Todo commit enforcement is not yet implemented.\n'));
-  console.log(chalk.gray('This feature will be available in a future version.\n'));
-  
-  // TODO: Implement todo commit functionality
-  // const { enforceCommitPolicy, checkUncommittedWork } = require('../../templates/dev/hooks/todo-commit.js');
-  // switch (_subCommand) {
-  //   case 'check':
-  //     checkUncommittedWork();
-  //     break;
-  //   case 'enforce':
-  //   default:
-  //     enforceCommitPolicy();
-  //     break;
-  // }
+async function executeCommitTodo(projectRoot, options = {}, subCommand = 'enforce') {
+  switch (subCommand) {
+    case 'check':
+      runCheck(projectRoot, options);
+      break;
+    case 'enforce':
+      runEnforce(projectRoot, options);
+      break;
+    default:
+      console.log(chalk.red(`Unknown commit-todo sub-command: ${subCommand}`));
+      console.log(chalk.gray('Usage: ai-dotfiles-manager commit-todo [check|enforce]\n'));
+      process.exit(1);
+  }
+}
+
+/**
+ * Reports completed todos and uncommitted work, exiting non-zero if any exist
+ * @param {string} projectRoot - Project root directory
+ * @param {Object} options - Command options
+ */
+function runCheck(projectRoot, options) {
+  const result = checkUncommittedWork(projectRoot, options);
+
+  if (!result.isGitRepo) {
+    console.log(chalk.yellow('\n⚠️  Not a git repository - nothing to check\n'));
+    return;
+  }
+
+  if (!result.hasWork) {
+    console.log(chalk.green('\n✅ No uncommitted work\n'));
+    return;
+  }
+
+  if (result.completedTasks.length > 0) {
+    console.log(chalk.bold(`\n📋 Completed tasks not yet committed (${result.completedTasks.length}):`));
+    result.completedTasks.forEach(task => console.log(chalk.green(`  ✓ ${task}`)));
+  }
+
+  if (result.uncommittedFiles.length > 0) {
+    console.log(chalk.bold(`\n📝 Uncommitted files (${result.uncommittedFiles.length}):`));
+    result.uncommittedFiles.forEach(file => console.log(chalk.gray(`  ${file.status.padEnd(2)} ${file.path}`)));
+  }
+
+  console.log(chalk.yellow('\n⚠️  Work needs to be committed (run "ai-dotfiles-manager commit-todo enforce")\n'));
+  process.exit(1);
+}
+
+/**
+ * Commits tasks completed since HEAD using the conventional commit message
+ * @param {string} projectRoot - Project root directory
+ * @param {Object} options - Command options
+ */
+function runEnforce(projectRoot, options) {
+  const result = enforceCommitPolicy(projectRoot, {
+    ...options,
+    log: (message) => console.log(chalk.gray(message)),
+  });
+
+  if (!result.isGitRepo) {
+    console.log(chalk.yellow('\n⚠️  Not a git repository - skipping todo commit\n'));
+    return;
+  }
+
+  const otherFiles = result.uncommittedFiles.filter(file => file.path !== TODO_RELATIVE_PATH);
+  if (otherFiles.length > 0) {
+    const committed = result.committed ? `Only ${TODO_RELATIVE_PATH} was committed; ` : 'Nothing was committed; ';
+    console.log(chalk.yellow(`\n⚠️  ${committed}${otherFiles.length} other uncommitted file(s) left untouched`));
+  }
+  console.log('');
 }
 
 module.exports = {
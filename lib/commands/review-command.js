@@ -4,27 +4,117 @@
  */
 
 const { detectLanguage } = require('../language-detector');
-const { discoverRuleFiles, writeCodexManifestAndIndex } = require('../template-manager');
-const { setupCodexGuide } = require('../dev-workspace');
+const { discoverRuleFiles } = require('../template-manager');
+const { writeCodexManifestAndIndex, setupCodexGuide } = require('../dev-workspace');
+const { watchReview } = require('../review/review-watcher');
+
+/**
+ * Report formats supported by the code reviewer
+ */
+const REVIEW_FORMATS = ['console', 'json', 'sarif', 'html'];
+
+/**
+ * Dependency graph formats supported by --graph
+ */
+const GRAPH_FORMATS = ['dot', 'mermaid', 'json'];
+
+/**
+ * Usage of the options that take a value, shown when the value is missing
+ */
+const VALUE_OPTION_USAGE = {
+  '--format': `--format <${REVIEW_FORMATS.join('|')}>`,
+  '--output': '--output <file>',
+  '--since': '--since <git-ref>',
+  '--graph': `--graph <${GRAPH_FORMATS.join('|')}>`,
+  '--max-warnings': '--max-warnings <count>',
+  '--concurrency': '--concurrency <threads>',
+};
+
+/**
+ * Parses a whole-number option value
+ * @param {string|number|null} value - Option value
+ * @returns {number|null} The number, null when the option is not given, NaN when it is not a whole number
+ */
+function parseCount(value) {
+  if (value === null || value === undefined) return null;
+  return /^\d+$/.test(String(value)) ? Number(value) : NaN;
+}
 
 /**
  * Executes the review command
  * @param {string} projectRoot - Project root directory
  * @param {Object} options - Command options
  * @param {boolean} options.detailed - Show detailed output
- * @param {boolean} options.json - JSON output format
- * @param {boolean} options.fix - Auto-fix issues
+ * @param {boolean} options.json - Emit a versioned JSON report on stdout (progress goes to stderr)
+ * @param {string} options.format - Report format (console, json, sarif, html); overrides json
+ * @param {string} options.output - Write the report to this file instead of stdout
+ * @param {boolean} options.fix - Plan autofixes and print them as a diff
+ * @param {boolean} options.apply - Write autofix changes to disk (with fix)
+ * @param {boolean} options.updateBaseline - Record current violations as the review baseline
+ * @param {string} options.since - Only report violations in changes since this git ref
+ * @param {boolean} options.staged - Only report violations in staged changes
+ * @param {boolean} options.noCache - Ignore and do not write the .dev/.cache/review cache
+ * @param {string|number} options.maxWarnings - Fail when there are more warnings than this
+ * @param {string|number} options.concurrency - Worker threads used to parse files (default: CPU count)
+ * @param {string} options.graph - Export the dependency graph in this format (dot, mermaid, json) instead of reviewing
+ * @param {boolean} options.watch - Keep running and print new and resolved violations when files change
+ * @param {string[]} options.missingValues - Value options given without a value (usage error)
  * @param {boolean} options.noCodexGuide - Skip Codex guide refresh
  * @returns {Promise<void>}
  */
 async function executeReview(projectRoot, options = {}) {
+  const missingValues = options.missingValues || [];
+  if (missingValues.length > 0) {
+    missingValues.forEach(option => {
+      console.error(`❌ Missing value for ${option} (usage: ai-dotfiles-manager review ${VALUE_OPTION_USAGE[option] || option})`);
+    });
+    process.exit(1);
+  }
+
+  const format = options.format || (options.json ? 'json' : 'console');
+  if (!REVIEW_FORMATS.includes(format)) {
+    console.error(`❌ Unknown review format: ${format} (expected one of: ${REVIEW_FORMATS.join(', ')})`);
+    process.exit(1);
+  }
+  if (options.graph && !GRAPH_FORMATS.includes(options.graph)) {
+    console.error(`❌ Unknown graph format: ${options.graph} (expected one of: ${GRAPH_FORMATS.join(', ')})`);
+    process.exit(1);
+  }
+  const maxWarnings = parseCount(options.maxWarnings);
+  if (Number.isNaN(maxWarnings)) {
+    console.error(`❌ Invalid --max-warnings value: ${options.maxWarnings} (expected a non-negative integer)`);
+    process.exit(1);
+  }
+  const concurrency = parseCount(options.concurrency);
+  if (Number.isNaN(concurrency) || concurrency === 0) {
+    console.error(`❌ Invalid --concurrency value: ${options.concurrency} (expected a positive integer)`);
+    process.exit(1);
+  }
+  if (options.watch) {
+    const conflicting = [
+      ['--graph', options.graph],
+      ['--fix', options.fix],
+      ['--update-baseline', options.updateBaseline],
+      ['--output', options.output],
+      ['--format', format !== 'console'],
+      ['--max-warnings', maxWarnings !== null],
+    ].filter(([, enabled]) => enabled).map(([flag]) => flag);
+    if (conflicting.length > 0) {
+      console.error(`❌ --watch cannot be combined with ${conflicting.join(', ')}`);
+      process.exit(1);
+    }
+  }
+
+  // Keep stdout clean for machine-readable output
+  const log = format === 'console' && !options.graph ? console.log : console.error;
+
   // Auto-refresh Codex guide block on review command
   if (!options.noCodexGuide) {
     try {
       const language = detectLanguage(projectRoot) || 'typescript';
       const discovered = discoverRuleFiles(projectRoot, language);
-      await writeCodexManifestAndIndex(projectRoot, language, discovered);
-      await setupCodexGuide(projectRoot, language, true, discovered);
+      await writeCodexManifestAndIndex(projectRoot, language, discovered, { log });
+      await setupCodexGuide(projectRoot, language, true, discovered, { log });
     } catch (error) {
       // Non-fatal if Codex guide update fails
     }
@@ -36,18 +126,38 @@ async function executeReview(projectRoot, options = {}) {
   const reviewOptions = {
     detailed: options.detailed || false,
     fix: options.fix || false,
-    format: options.json ? 'json' : 'console',
+    apply: options.apply || false,
+    updateBaseline: options.updateBaseline || false,
+    since: options.since || null,
+    staged: options.staged || false,
+    graph: options.graph || null,
+    cache: !options.noCache,
+    concurrency,
+    format,
+    output: options.output || null,
   };
 
+  // --watch keeps the process alive; each run prints only what changed
+  if (options.watch) {
+    await watchReview(() => new CodeReviewer(projectRoot, { ...reviewOptions, silent: true }));
+    return;
+  }
+
   const reviewer = new CodeReviewer(projectRoot, reviewOptions);
   const violations = await reviewer.analyze();
 
-  // Exit with error code if there are errors
+  // Exit with error code if there are errors (after rule levels from the review config)
   if (violations.errors.length > 0) {
     process.exit(1);
   }
+  if (maxWarnings !== null && violations.warnings.length > maxWarnings) {
+    console.error(`❌ Too many warnings: ${violations.warnings.length} (maximum: ${maxWarnings})`);
+    process.exit(1);
+  }
 }
 
 module.exports = {
   executeReview,
+  REVIEW_FORMATS,
+  GRAPH_FORMATS,
 };
@@ -0,0 +1,196 @@
+/**
+ * Review Baseline Module
+ * Fingerprints violations so legacy ones can be recorded in .dev/review-baseline.json
+ * and only new violations fail the review
+ *
+ * A fingerprint combines the violation code, the file and a stable anchor: the chain
+ * of enclosing named declarations plus the flagged statement (its name for
+ * declarations, its normalized text otherwise). Line numbers are not part of it,
+ * so unrelated edits that shift code up or down keep existing fingerprints.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const ts = require('typescript');
+
+const BASELINE_PATH = '.dev/review-baseline.json';
+const BASELINE_VERSION = 1;
+
+const normalize = text => text.replace(/\s+/g, ' ').trim();
+
+/**
+ * Builds the anchor for a line in a TypeScript/JavaScript AST
+ * @param {ts.SourceFile} sourceFile - Parsed file
+ * @param {number} line - 1-based line
+ * @returns {string} Anchor ('' if nothing starts on the line)
+ */
+function getAstAnchor(sourceFile, line) {
+  const scope = [];
+  let anchor = '';
+
+  const lineOf = position => sourceFile.getLineAndCharacterOfPosition(position).line + 1;
+
+  const visit = (node) => {
+    if (anchor) return;
+    const start = lineOf(node.getStart(sourceFile));
+    const end = lineOf(node.getEnd());
+    if (line < start || line > end) return;
+
+    const name = node.name && ts.isIdentifier(node.name) ? node.name.text : null;
+    if (start === line) {
+      // Outermost node starting on the line: declarations are anchored by name, other
+      // statements by their text
+      anchor = [...scope, name || normalize(node.getText(sourceFile))].join('/');
+      return;
+    }
+
+    if (name) scope.push(name);
+    ts.forEachChild(node, visit);
+    if (name) scope.pop();
+  };
+
+  ts.forEachChild(sourceFile, visit);
+  return anchor;
+}
+
+/**
+ * Builds the anchor for a line in an indentation-structured (Python) file
+ * @param {string} content - File content
+ * @param {number} line - 1-based line
+ * @returns {string} Anchor
+ */
+function getIndentAnchor(content, line) {
+  const lines = content.split(/\r?\n/);
+  const target = lines[line - 1] || '';
+  const scope = [];
+  let indent = target.length - target.trimStart().length;
+
+  for (let index = line - 2; index >= 0 && indent > 0; index--) {
+    const text = lines[index];
+    const lineIndent = text.length - text.trimStart().length;
+    const match = text.trim() && lineIndent < indent && text.trim().match(/^(?:async\s+)?(?:class|def)\s+(\w+)/);
+    if (match) {
+      scope.unshift(match[1]);
+      indent = lineIndent;
+    }
+  }
+
+  return [...scope, normalize(target)].join('/');
+}
+
+/**
+ * Computes the fingerprint of a violation
+ * @param {Object} violation - Violation ({ code, file, line })
+ * @param {Object|undefined} cached - CodeReviewer file cache entry for the violation's file
+ * @returns {string} Fingerprint (hex)
+ */
+function fingerprintViolation(violation, cached) {
+  let anchor = '';
+  if (violation.line && cached) {
+    anchor = cached.sourceFile
+      ? getAstAnchor(cached.sourceFile, violation.line)
+      : getIndentAnchor(cached.content || '', violation.line);
+  }
+
+  return crypto
+    .createHash('sha1')
+    .update([violation.code, violation.file, anchor].join('\0'))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+/**
+ * Creates the baseline document
+ * @param {Array<Object>} entries - Fingerprinted violations ({ fingerprint, code, file, message })
+ * @returns {Object} Baseline document
+ */
+function createBaseline(entries) {
+  const violations = entries
+    .map(({ fingerprint, code, file, message }) => ({ fingerprint, code, file, message }))
+    .sort((a, b) =>
+      a.file.localeCompare(b.file) || a.code.localeCompare(b.code) || a.fingerprint.localeCompare(b.fingerprint)
+    );
+
+  return { version: BASELINE_VERSION, violations };
+}
+
+/**
+ * Loads the baseline file
+ * @param {string} projectRoot - Project root directory
+ * @param {Object} fsModule - File system module (for testing)
+ * @returns {Object|null} Baseline document, or null if there is none
+ */
+function loadBaseline(projectRoot, fsModule = fs) {
+  const baselinePath = path.join(projectRoot, BASELINE_PATH);
+  if (!fsModule.existsSync(baselinePath)) {
+    return null;
+  }
+
+  let baseline;
+  try {
+    baseline = JSON.parse(fsModule.readFileSync(baselinePath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Invalid review baseline at ${baselinePath}: ${error.message}`);
+  }
+  if (!baseline || !Array.isArray(baseline.violations)) {
+    throw new Error(`Invalid review baseline at ${baselinePath}: expected a "violations" array`);
+  }
+  return baseline;
+}
+
+/**
+ * Writes the baseline file
+ * @param {string} projectRoot - Project root directory
+ * @param {Object} baseline - Baseline document
+ * @param {Object} fsModule - File system module (for testing)
+ * @returns {string} Path of the written file
+ */
+function writeBaseline(projectRoot, baseline, fsModule = fs) {
+  const baselinePath = path.join(projectRoot, BASELINE_PATH);
+  fsModule.mkdirSync(path.dirname(baselinePath), { recursive: true });
+  fsModule.writeFileSync(baselinePath, `${JSON.stringify(baseline, null, 2)}\n`);
+  return baselinePath;
+}
+
+/**
+ * Splits current violations into new and baselined ones, and finds fixed baseline entries
+ * Fingerprints are matched as a multiset, so duplicates are counted individually
+ * @param {Array<Object>} entries - Fingerprinted current violations
+ * @param {Object} baseline - Baseline document
+ * @returns {{newEntries: Array<Object>, baselined: Array<Object>, fixed: Array<Object>}}
+ */
+function compareWithBaseline(entries, baseline) {
+  const remaining = new Map();
+  for (const entry of baseline.violations) {
+    if (!remaining.has(entry.fingerprint)) remaining.set(entry.fingerprint, []);
+    remaining.get(entry.fingerprint).push(entry);
+  }
+
+  const newEntries = [];
+  const baselined = [];
+  for (const entry of entries) {
+    const known = remaining.get(entry.fingerprint);
+    if (known && known.length > 0) {
+      known.pop();
+      baselined.push(entry);
+    } else {
+      newEntries.push(entry);
+    }
+  }
+
+  const fixed = [...remaining.values()].flat();
+  return { newEntries, baselined, fixed };
+}
+
+module.exports = {
+  BASELINE_PATH,
+  BASELINE_VERSION,
+  getAstAnchor,
+  getIndentAnchor,
+  fingerprintViolation,
+  createBaseline,
+  loadBaseline,
+  writeBaseline,
+  compareWithBaseline,
+};
@@ -0,0 +1,432 @@
+/**
+ * Review Configuration Module
+ * Loads the architecture reviewer configuration from .dev/review.config.json
+ * and describes the layer model (layers, glob patterns, allowed dependencies)
+ */
+
+const fs = require('fs');
+const { builtinModules } = require('module');
+const path = require('path');
+const { matchesGlob } = require('./glob');
+const { hasPython } = require('../language-detector');
+
+const REVIEW_CONFIG_PATH = '.dev/review.config.json';
+
+/**
+ * Levels a rule can be configured to; 'off' drops its violations
+ */
+const RULE_LEVELS = ['off', 'info', 'warning', 'error'];
+
+/**
+ * pyproject.toml settings naming the package directory: setuptools
+ * ([tool.setuptools.packages.find] where, [tool.setuptools] package-dir) and Poetry (packages from)
+ */
+const PYPROJECT_PACKAGE_DIR_PATTERNS = [
+  /^\s*where\s*=\s*\[\s*["']([^"']+)["']/m,
+  /^\s*package-dir\s*=\s*\{\s*["']{2}\s*=\s*["']([^"']+)["']/m,
+  /\bfrom\s*=\s*["']([^"']+)["']/,
+];
+
+/**
+ * Top-level directories that are never the package of a Python project
+ */
+const NON_PACKAGE_DIRECTORIES = ['tests', 'test', 'docs', 'scripts', 'build', 'dist', '.venv', 'venv', '.tox'];
+
+/**
+ * Classes that need a test, where their tests may live and the coverage summary,
+ * used when the config file turns the test checks on (see normalizeTestConventions)
+ */
+const DEFAULT_TEST_CONVENTIONS = {
+  include: ['application/**', 'infrastructure/repositories/**'],
+  patterns: [
+    'tests/**/{name}.test.{ext}',
+    '{dir}/{name}.test.{ext}',
+    '{dir}/{name}.spec.{ext}',
+    '{dir}/__tests__/{name}.test.{ext}',
+    'tests/**/test_{file}.py',
+  ],
+  coverageSummary: 'coverage/coverage-summary.json',
+  minCoverage: 70,
+};
+
+/**
+ * Default Clean Architecture layer model
+ * - patterns: globs relative to sourceRoot; the first matching layer wins
+ * - allowedDependencies: layers this layer may import from (same-layer imports are
+ *   always allowed); omit to allow any layer
+ * - externalDependencies: npm packages and Node built-ins the layer may import
+ *   ({ allow, deny } name globs, see findExternalDependencyViolation); omit to allow any
+ */
+const DEFAULT_REVIEW_CONFIG = {
+  sourceRoot: 'src',
+  tsconfig: 'tsconfig.json', // Used to resolve baseUrl/paths aliases
+  diRegistration: ['src/infrastructure/di/DIRegistration.ts'], // Modules registering repositories and services
+  testConventions: null, // Test checks are opt-in (see normalizeTestConventions)
+  layers: [
+    { name: 'domain', patterns: ['domain/**'], allowedDependencies: ['utils'], externalDependencies: { allow: [] } },
+    { name: 'application', patterns: ['application/**'], allowedDependencies: ['domain', 'utils'] },
+    { name: 'infrastructure', patterns: ['infrastructure/**'] },
+    { name: 'utils', patterns: ['utils/**'] },
+  ],
+  plugins: [], // npm packages exporting custom review rules
+  rules: {}, // Violation code -> off, info, warning or error
+  overrides: [], // { files: globs relative to the project root, rules } - later entries win
+};
+
+/**
+ * Validates and normalizes a layer list
+ * @param {*} layers - Layers from the config file
+ * @param {string} configPath - Config path (for error messages)
+ * @returns {Array<{name: string, patterns: string[], allowedDependencies: string[]|null, externalDependencies: Object|null}>}
+ */
+function normalizeLayers(layers, configPath) {
+  if (!Array.isArray(layers) || layers.length === 0) {
+    throw new Error(`Invalid review config at ${configPath}: "layers" must be a non-empty array`);
+  }
+
+  const normalized = layers.map((layer, index) => {
+    if (!layer || typeof layer.name !== 'string' || !layer.name) {
+      throw new Error(`Invalid review config at ${configPath}: layers[${index}] needs a "name"`);
+    }
+
+    const patterns = [].concat(layer.patterns || []);
+    if (patterns.length === 0 || patterns.some(pattern => typeof pattern !== 'string')) {
+      throw new Error(`Invalid review config at ${configPath}: layer '${layer.name}' needs glob "patterns"`);
+    }
+
+    const allowed = layer.allowedDependencies;
+    if (allowed !== undefined && allowed !== null && !Array.isArray(allowed)) {
+      throw new Error(`Invalid review config at ${configPath}: "allowedDependencies" of layer '${layer.name}' must be an array`);
+    }
+
+    return {
+      name: layer.name,
+      patterns,
+      allowedDependencies: Array.isArray(allowed) ? allowed : null,
+      externalDependencies: normalizeExternalDependencies(layer.externalDependencies, layer.name, configPath),
+    };
+  });
+
+  const names = normalized.map(layer => layer.name);
+  for (const layer of normalized) {
+    const unknown = (layer.allowedDependencies || []).filter(name => !names.includes(name));
+    if (unknown.length > 0) {
+      throw new Error(
+        `Invalid review config at ${configPath}: layer '${layer.name}' allows unknown layer(s): ${unknown.join(', ')}`
+      );
+    }
+  }
+
+  return normalized;
+}
+
+/**
+ * Validates a layer's external dependency allowlist/denylist
+ * @param {*} value - externalDependencies from the config file
+ * @param {string} layerName - Layer name (for error messages)
+ * @param {string} configPath - Config path (for error messages)
+ * @returns {{allow: string[]|null, deny: string[]}|null} null: any external import is allowed
+ */
+function normalizeExternalDependencies(value, layerName, configPath) {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error(`Invalid review config at ${configPath}: "externalDependencies" of layer '${layerName}' must be an object with "allow" and/or "deny"`);
+  }
+
+  const normalized = { allow: null, deny: [] };
+  for (const key of ['allow', 'deny']) {
+    if (value[key] === undefined) continue;
+    if (!Array.isArray(value[key]) || value[key].some(name => typeof name !== 'string' || !name)) {
+      throw new Error(`Invalid review config at ${configPath}: externalDependencies.${key} of layer '${layerName}' must be an array of package names`);
+    }
+    normalized[key] = value[key];
+  }
+  return normalized;
+}
+
+/**
+ * Validates the DI registration module path(s)
+ * @param {*} value - diRegistration from the config file
+ * @param {string} configPath - Config path (for error messages)
+ * @returns {string[]} Project-relative paths (empty: the DI check is off)
+ */
+function normalizeDiRegistration(value, configPath) {
+  if (value === undefined) return DEFAULT_REVIEW_CONFIG.diRegistration;
+  if (value === null || value === false) return [];
+
+  const paths = [].concat(value);
+  if (paths.some(entry => typeof entry !== 'string' || !entry)) {
+    throw new Error(`Invalid review config at ${configPath}: "diRegistration" must be a path or an array of paths`);
+  }
+  return paths;
+}
+
+/**
+ * Validates the test conventions, merged over the defaults. The test checks are
+ * off unless the config file sets testConventions (true or {} for the defaults)
+ * - include: globs relative to sourceRoot; classes in matching files need a test
+ * - patterns: project-relative test path globs; {name} is the class name, {file} the
+ *   source file name without extension, {dir} its project-relative directory and {ext}
+ *   its extension (ts, js, ...)
+ * - coverageSummary: Istanbul json-summary report read when present (null: none)
+ * - minCoverage: line coverage percentage below which a tested file is reported
+ * @param {*} value - testConventions from the config file
+ * @param {string} configPath - Config path (for error messages)
+ * @returns {Object|null} Test conventions (null: the test checks are off)
+ */
+function normalizeTestConventions(value, configPath) {
+  if (value === undefined || value === null || value === false) return null;
+  if (value === true) return DEFAULT_TEST_CONVENTIONS;
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error(`Invalid review config at ${configPath}: "testConventions" must be an object`);
+  }
+
+  const conventions = { ...DEFAULT_TEST_CONVENTIONS, ...value };
+  for (const key of ['include', 'patterns']) {
+    conventions[key] = [].concat(conventions[key]);
+    if (conventions[key].length === 0 || conventions[key].some(pattern => typeof pattern !== 'string' || !pattern)) {
+      throw new Error(`Invalid review config at ${configPath}: testConventions.${key} must be a non-empty array of globs`);
+    }
+  }
+  if (conventions.coverageSummary !== null && (typeof conventions.coverageSummary !== 'string' || !conventions.coverageSummary)) {
+    throw new Error(`Invalid review config at ${configPath}: testConventions.coverageSummary must be a path or null`);
+  }
+  const { minCoverage } = conventions;
+  if (typeof minCoverage !== 'number' || minCoverage < 0 || minCoverage > 100) {
+    throw new Error(`Invalid review config at ${configPath}: testConventions.minCoverage must be a percentage (0-100)`);
+  }
+  return conventions;
+}
+
+/**
+ * Validates the list of rule plugin packages
+ * @param {*} plugins - Plugins from the config file
+ * @param {string} configPath - Config path (for error messages)
+ * @returns {string[]} Package names
+ */
+function normalizePlugins(plugins, configPath) {
+  if (plugins === undefined) return [];
+  if (!Array.isArray(plugins) || plugins.some(name => typeof name !== 'string' || !name)) {
+    throw new Error(`Invalid review config at ${configPath}: "plugins" must be an array of package names`);
+  }
+  return plugins;
+}
+
+/**
+ * Validates a map of violation codes to rule levels
+ * @param {*} rules - Rule levels from the config file
+ * @param {string} configPath - Config path (for error messages)
+ * @param {string} where - Config key (for error messages)
+ * @returns {Object<string, string>} Rule levels
+ */
+function normalizeRuleLevels(rules, configPath, where) {
+  if (rules === undefined) return {};
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    throw new Error(`Invalid review config at ${configPath}: "${where}" must map rule codes to a level`);
+  }
+
+  for (const [code, level] of Object.entries(rules)) {
+    if (!RULE_LEVELS.includes(level)) {
+      throw new Error(
+        `Invalid review config at ${configPath}: ${where}.${code} must be one of ${RULE_LEVELS.join(', ')} (got ${JSON.stringify(level)})`
+      );
+    }
+  }
+  return rules;
+}
+
+/**
+ * Validates per-directory rule level overrides
+ * @param {*} overrides - Overrides from the config file
+ * @param {string} configPath - Config path (for error messages)
+ * @returns {Array<{files: string[], rules: Object<string, string>}>}
+ */
+function normalizeOverrides(overrides, configPath) {
+  if (overrides === undefined) return [];
+  if (!Array.isArray(overrides)) {
+    throw new Error(`Invalid review config at ${configPath}: "overrides" must be an array`);
+  }
+
+  return overrides.map((override, index) => {
+    const files = [].concat((override && override.files) || []);
+    if (files.length === 0 || files.some(pattern => typeof pattern !== 'string')) {
+      throw new Error(`Invalid review config at ${configPath}: overrides[${index}] needs glob "files"`);
+    }
+    return { files, rules: normalizeRuleLevels(override.rules, configPath, `overrides[${index}].rules`) };
+  });
+}
+
+/**
+ * Picks the source root when the config does not set one
+ * 'src' when it exists (or the project is not a Python project); Python projects without
+ * it use the package directory from pyproject.toml, else their single top-level package
+ * (a directory with __init__.py), else the project root
+ * @param {string} projectRoot - Project root directory
+ * @param {Object} fsModule - File system module (for testing)
+ * @returns {string} Source root relative to the project root
+ */
+function detectSourceRoot(projectRoot, fsModule = fs) {
+  const defaultRoot = DEFAULT_REVIEW_CONFIG.sourceRoot;
+  if (fsModule.existsSync(path.join(projectRoot, defaultRoot)) || !hasPython(projectRoot, fsModule)) {
+    return defaultRoot;
+  }
+
+  const pyprojectPath = path.join(projectRoot, 'pyproject.toml');
+  if (fsModule.existsSync(pyprojectPath)) {
+    const pyproject = fsModule.readFileSync(pyprojectPath, 'utf-8');
+    for (const pattern of PYPROJECT_PACKAGE_DIR_PATTERNS) {
+      const match = pyproject.match(pattern);
+      if (match && fsModule.existsSync(path.join(projectRoot, match[1]))) {
+        return match[1].replace(/\/+$/, '') || '.';
+      }
+    }
+  }
+
+  const packages = fsModule.readdirSync(projectRoot, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && !NON_PACKAGE_DIRECTORIES.includes(entry.name))
+    .filter(entry => fsModule.existsSync(path.join(projectRoot, entry.name, '__init__.py')))
+    .map(entry => entry.name);
+  return packages.length === 1 ? packages[0] : '.';
+}
+
+/**
+ * Loads the review configuration, merged over the defaults
+ * @param {string} projectRoot - Project root directory
+ * @param {Object} fsModule - File system module (for testing)
+ * @returns {Object} Review configuration ({ sourceRoot, layers, ... })
+ */
+function loadReviewConfig(projectRoot, fsModule = fs) {
+  const configPath = path.join(projectRoot, REVIEW_CONFIG_PATH);
+  let userConfig = {};
+
+  if (fsModule.existsSync(configPath)) {
+    try {
+      userConfig = JSON.parse(fsModule.readFileSync(configPath, 'utf-8'));
+    } catch (error) {
+      throw new Error(`Invalid review config at ${configPath}: ${error.message}`);
+    }
+    if (!userConfig || typeof userConfig !== 'object' || Array.isArray(userConfig)) {
+      throw new Error(`Invalid review config at ${configPath}: expected a JSON object`);
+    }
+  }
+
+  return {
+    ...DEFAULT_REVIEW_CONFIG,
+    ...userConfig,
+    sourceRoot: typeof userConfig.sourceRoot === 'string' ? userConfig.sourceRoot : detectSourceRoot(projectRoot, fsModule),
+    layers: normalizeLayers(userConfig.layers || DEFAULT_REVIEW_CONFIG.layers, configPath),
+    diRegistration: normalizeDiRegistration(userConfig.diRegistration, configPath),
+    testConventions: normalizeTestConventions(userConfig.testConventions, configPath),
+    plugins: normalizePlugins(userConfig.plugins, configPath),
+    rules: normalizeRuleLevels(userConfig.rules, configPath, 'rules'),
+    overrides: normalizeOverrides(userConfig.overrides, configPath),
+  };
+}
+
+/**
+ * Finds the layer a source-root-relative path belongs to
+ * @param {Object} config - Review configuration
+ * @param {string} relativePath - Path relative to the source root
+ * @returns {string|null} Layer name, or null if no layer matches
+ */
+function findLayer(config, relativePath) {
+  const layer = config.layers.find(candidate => matchesGlob(relativePath, candidate.patterns));
+  return layer ? layer.name : null;
+}
+
+/**
+ * Checks whether one layer may depend on another
+ * @param {Object} config - Review configuration
+ * @param {string} fromLayer - Importing layer
+ * @param {string} toLayer - Imported layer
+ * @returns {boolean}
+ */
+function isDependencyAllowed(config, fromLayer, toLayer) {
+  if (fromLayer === toLayer) return true;
+
+  const layer = config.layers.find(candidate => candidate.name === fromLayer);
+  if (!layer || !layer.allowedDependencies) return true;
+  return layer.allowedDependencies.includes(toLayer);
+}
+
+/**
+ * Returns the names an external import is matched by in "externalDependencies":
+ * its package name ('lodash/fp' -> 'lodash', '@nestjs/core/testing' -> '@nestjs/core'),
+ * plus 'node:<name>' for Node built-ins ('fs/promises' and 'node:fs' -> 'fs', 'node:fs')
+ * @param {string} specifier - Bare import specifier
+ * @returns {{name: string, builtin: boolean, names: string[]}}
+ */
+function getExternalModuleNames(specifier) {
+  const bare = specifier.startsWith('node:') ? specifier.slice('node:'.length) : specifier;
+  const parts = bare.split('/');
+  const name = bare.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+  const builtin = specifier.startsWith('node:') || builtinModules.includes(name);
+  return { name, builtin, names: builtin ? [name, `node:${name}`] : [name] };
+}
+
+/**
+ * Checks an external import against the importing layer's allowlist/denylist
+ * Denied names are always reported; with an "allow" list, anything not on it is too.
+ * Entries are globs, so "@aws-sdk/*" covers a scope and "node:*" every Node built-in
+ * @param {Object} config - Review configuration
+ * @param {string} layerName - Importing layer
+ * @param {string} specifier - Bare import specifier
+ * @returns {{name: string, builtin: boolean}|null} The offending module, or null if allowed
+ */
+function findExternalDependencyViolation(config, layerName, specifier) {
+  const layer = config.layers.find(candidate => candidate.name === layerName);
+  if (!layer || !layer.externalDependencies) return null;
+
+  const { allow = null, deny = [] } = layer.externalDependencies;
+  const { name, builtin, names } = getExternalModuleNames(specifier);
+  const listed = patterns => names.some(candidate => matchesGlob(candidate, patterns));
+
+  if (listed(deny) || (allow && !listed(allow))) {
+    return { name, builtin };
+  }
+  return null;
+}
+
+/**
+ * Returns the configured level of a rule for a file
+ * @param {Object} config - Review configuration
+ * @param {string} code - Violation code
+ * @param {string} file - Project-relative file path
+ * @param {string} defaultLevel - Severity the check reported
+ * @returns {string} off, info, warning or error
+ */
+function getRuleLevel(config, code, file, defaultLevel) {
+  let level = (config.rules && config.rules[code]) || defaultLevel;
+  for (const override of config.overrides || []) {
+    if (override.rules[code] && matchesGlob(file, override.files)) {
+      level = override.rules[code];
+    }
+  }
+  return level;
+}
+
+/**
+ * Lists every violation code named in the rules and overrides sections
+ * @param {Object} config - Review configuration
+ * @returns {string[]} Configured codes (unique, sorted)
+ */
+function getConfiguredRuleCodes(config) {
+  const codes = [config.rules || {}, ...(config.overrides || []).map(override => override.rules)]
+    .flatMap(rules => Object.keys(rules));
+  return [...new Set(codes)].sort();
+}
+
+module.exports = {
+  REVIEW_CONFIG_PATH,
+  RULE_LEVELS,
+  DEFAULT_REVIEW_CONFIG,
+  DEFAULT_TEST_CONVENTIONS,
+  loadReviewConfig,
+  detectSourceRoot,
+  findLayer,
+  isDependencyAllowed,
+  getExternalModuleNames,
+  findExternalDependencyViolation,
+  getRuleLevel,
+  getConfiguredRuleCodes,
+};
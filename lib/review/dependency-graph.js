@@ -0,0 +1,150 @@
+/**
+ * Dependency Graph
+ * Graph algorithms over the reviewer's module dependency graph
+ * (nodes are source files, edges are resolved imports)
+ */
+
+/**
+ * Builds an adjacency map from graph edges
+ * @param {string[]} nodes - Graph nodes
+ * @param {Array<{from: string, to: string}>} edges - Graph edges
+ * @returns {Map<string, string[]>} Sorted, de-duplicated successors per node (nodes in sorted order)
+ */
+function createAdjacency(nodes, edges) {
+  const successors = new Map([...nodes].sort().map(node => [node, new Set()]));
+  for (const edge of edges) {
+    if (!successors.has(edge.from)) successors.set(edge.from, new Set());
+    if (!successors.has(edge.to)) successors.set(edge.to, new Set());
+    successors.get(edge.from).add(edge.to);
+  }
+
+  const adjacency = new Map();
+  for (const node of [...successors.keys()].sort()) {
+    adjacency.set(node, [...successors.get(node)].sort());
+  }
+  return adjacency;
+}
+
+/**
+ * Finds strongly connected components with Tarjan's algorithm
+ * Iterative, so deep import chains cannot overflow the call stack
+ * @param {Map<string, string[]>} adjacency - Successors per node (see createAdjacency)
+ * @returns {string[][]} Components in reverse topological order, members sorted
+ */
+function findStronglyConnectedComponents(adjacency) {
+  const index = new Map();
+  const lowLink = new Map();
+  const onStack = new Set();
+  const stack = [];
+  const components = [];
+  let nextIndex = 0;
+
+  for (const root of adjacency.keys()) {
+    if (index.has(root)) continue;
+
+    // Each frame tracks the node and the position of the next successor to visit
+    const frames = [{ node: root, position: 0 }];
+    index.set(root, nextIndex);
+    lowLink.set(root, nextIndex);
+    nextIndex++;
+    stack.push(root);
+    onStack.add(root);
+
+    while (frames.length > 0) {
+      const frame = frames[frames.length - 1];
+      const successors = adjacency.get(frame.node) || [];
+
+      if (frame.position < successors.length) {
+        const successor = successors[frame.position++];
+        if (!index.has(successor)) {
+          index.set(successor, nextIndex);
+          lowLink.set(successor, nextIndex);
+          nextIndex++;
+          stack.push(successor);
+          onStack.add(successor);
+          frames.push({ node: successor, position: 0 });
+        } else if (onStack.has(successor)) {
+          lowLink.set(frame.node, Math.min(lowLink.get(frame.node), index.get(successor)));
+        }
+        continue;
+      }
+
+      frames.pop();
+      if (frames.length > 0) {
+        const parent = frames[frames.length - 1].node;
+        lowLink.set(parent, Math.min(lowLink.get(parent), lowLink.get(frame.node)));
+      }
+
+      if (lowLink.get(frame.node) === index.get(frame.node)) {
+        const component = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          component.push(member);
+        } while (member !== frame.node);
+        components.push(component.sort());
+      }
+    }
+  }
+
+  return components;
+}
+
+/**
+ * Finds the shortest cycle through a node, staying inside its component
+ * @param {Map<string, string[]>} adjacency - Successors per node
+ * @param {string[]} component - Strongly connected component containing start
+ * @param {string} start - Node the cycle starts and ends at
+ * @returns {string[]|null} Cycle path ([start, ..., start]), or null if there is none
+ */
+function findCyclePath(adjacency, component, start) {
+  const members = new Set(component);
+  const previous = new Map();
+  const queue = [start];
+
+  for (let head = 0; head < queue.length; head++) {
+    const node = queue[head];
+    for (const successor of adjacency.get(node) || []) {
+      if (!members.has(successor)) continue;
+
+      if (successor === start) {
+        const path = [start];
+        for (let step = node; step !== start; step = previous.get(step)) {
+          path.splice(1, 0, step);
+        }
+        path.push(start);
+        return path;
+      }
+
+      if (!previous.has(successor)) {
+        previous.set(successor, node);
+        queue.push(successor);
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Finds dependency cycles: components with several members, or a node importing itself
+ * @param {string[]} nodes - Graph nodes
+ * @param {Array<{from: string, to: string}>} edges - Graph edges
+ * @returns {Array<{members: string[], path: string[]}>} Cycles, ordered by their first member
+ */
+function findCycles(nodes, edges) {
+  const adjacency = createAdjacency(nodes, edges);
+
+  return findStronglyConnectedComponents(adjacency)
+    .filter(component => component.length > 1 || adjacency.get(component[0]).includes(component[0]))
+    .map(members => ({ members, path: findCyclePath(adjacency, members, members[0]) }))
+    .sort((a, b) => a.members[0].localeCompare(b.members[0]));
+}
+
+module.exports = {
+  createAdjacency,
+  findStronglyConnectedComponents,
+  findCyclePath,
+  findCycles,
+};
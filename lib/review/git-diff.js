@@ -0,0 +1,105 @@
+/**
+ * Git Diff Module
+ * Determines which files and lines changed so `review --since <ref>` and
+ * `review --staged` can limit reporting to the diff
+ * Git access is injectable (exec) for easy testing
+ */
+
+const { execSync } = require('child_process');
+
+const SAFE_REF_PATTERN = /^[\w./@^~{}:-]+$/;
+
+/**
+ * Parses a zero-context unified diff into changed lines per file
+ * @param {string} diff - Output of `git diff --unified=0`
+ * @returns {Map<string, Set<number>>} New-side line numbers per file (paths as printed by git)
+ */
+function parseUnifiedDiff(diff) {
+  const changes = new Map();
+  let current = null;
+
+  for (const line of diff.split('\n')) {
+    if (line.startsWith('+++ ')) {
+      const target = line.slice(4).trim();
+      current = target === '/dev/null' ? null : target.replace(/^b\//, '');
+      if (current && !changes.has(current)) changes.set(current, new Set());
+      continue;
+    }
+
+    const hunk = current && line.match(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,(\d+))? @@/);
+    if (hunk) {
+      const start = Number(hunk[1]);
+      const count = hunk[2] === undefined ? 1 : Number(hunk[2]);
+      for (let offset = 0; offset < count; offset++) {
+        changes.get(current).add(start + offset);
+      }
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Collects changed lines relative to a git ref and/or the index
+ * @param {string} projectRoot - Project root directory (paths are relative to it)
+ * @param {Object} options - Options
+ * @param {string} options.since - Git ref to compare against (merge base with HEAD when available)
+ * @param {boolean} options.staged - Only consider staged changes
+ * @param {Function} options.exec - execSync-compatible function (for dependency injection)
+ * @returns {Map<string, Set<number>|null>} Changed lines per file; null means the whole file is new
+ */
+function getChangedLines(projectRoot, options = {}) {
+  const exec = options.exec || execSync;
+  const run = command => exec(command, { cwd: projectRoot, encoding: 'utf-8', stdio: ['ignore', 'pipe', 'pipe'] });
+
+  let base = '';
+  if (options.since) {
+    if (!SAFE_REF_PATTERN.test(options.since)) {
+      throw new Error(`Invalid git ref: ${options.since}`);
+    }
+    try {
+      base = run(`git merge-base ${options.since} HEAD`).trim();
+    } catch (error) {
+      // Unrelated histories or a ref that is not a commit: diff against the ref itself
+      base = options.since;
+    }
+  }
+
+  let diff;
+  try {
+    diff = run(`git -c core.quotepath=off diff --relative --unified=0 --no-color --no-ext-diff ${options.staged ? '--cached ' : ''}${base}`.trim());
+  } catch (error) {
+    const detail = (error.stderr || error.message || '').toString().trim();
+    throw new Error(`Unable to diff ${options.since ? `against '${options.since}'` : 'staged changes'}: ${detail}`);
+  }
+
+  const changes = parseUnifiedDiff(diff);
+
+  // Untracked files are part of the working tree changes (not of the index)
+  if (!options.staged) {
+    const untracked = run('git -c core.quotepath=off ls-files --others --exclude-standard');
+    untracked.split('\n').map(file => file.trim()).filter(Boolean).forEach(file => changes.set(file, null));
+  }
+
+  return changes;
+}
+
+/**
+ * Checks whether a violation location falls inside the changes
+ * @param {Map<string, Set<number>|null>} changes - Result of getChangedLines
+ * @param {string} file - Project-relative file
+ * @param {number|null} line - 1-based line (null for file-level violations)
+ * @returns {boolean}
+ */
+function isChanged(changes, file, line) {
+  if (!changes.has(file)) return false;
+
+  const lines = changes.get(file);
+  return lines === null || !line || lines.has(line);
+}
+
+module.exports = {
+  parseUnifiedDiff,
+  getChangedLines,
+  isChanged,
+};
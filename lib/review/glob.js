@@ -0,0 +1,72 @@
+/**
+ * Glob Matching Module
+ * Minimal glob support for review configuration patterns
+ * Supports `**`, `*`, `?` and `{a,b}` against forward-slash paths
+ */
+
+const cache = new Map();
+
+/**
+ * Converts a glob pattern to a regular expression
+ * @param {string} pattern - Glob pattern (e.g. 'src/domain/**', '**\/*.test.ts')
+ * @returns {RegExp} Anchored regular expression
+ */
+function globToRegExp(pattern) {
+  if (cache.has(pattern)) {
+    return cache.get(pattern);
+  }
+
+  let source = '';
+  let inGroup = false;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '*') {
+      if (pattern[i + 1] === '*') {
+        // '**/' matches zero or more directories, trailing '**' matches everything below
+        if (pattern[i + 2] === '/') {
+          source += '(?:.*/)?';
+          i += 2;
+        } else {
+          source += '.*';
+          i += 1;
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      inGroup = true;
+      source += '(?:';
+    } else if (char === '}' && inGroup) {
+      inGroup = false;
+      source += ')';
+    } else if (char === ',' && inGroup) {
+      source += '|';
+    } else {
+      source += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  const regex = new RegExp(`^${source}$`);
+  cache.set(pattern, regex);
+  return regex;
+}
+
+/**
+ * Checks whether a path matches any of the given glob patterns
+ * @param {string} filePath - Path to test (backslashes are normalized)
+ * @param {string|string[]} patterns - Glob pattern(s)
+ * @returns {boolean}
+ */
+function matchesGlob(filePath, patterns) {
+  const normalized = filePath.replace(/\\/g, '/');
+  return [].concat(patterns).some(pattern => globToRegExp(pattern).test(normalized));
+}
+
+module.exports = {
+  globToRegExp,
+  matchesGlob,
+};
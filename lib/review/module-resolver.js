@@ -0,0 +1,67 @@
+/**
+ * Module Resolver
+ * Resolves import specifiers the way the TypeScript compiler does, using the
+ * project's tsconfig.json (extends, baseUrl, paths), so aliased imports such as
+ * '@domain/user' or '~/infrastructure/db' can be mapped to layers
+ */
+
+const path = require('path');
+const ts = require('typescript');
+
+const DEFAULT_TSCONFIG = 'tsconfig.json';
+
+/**
+ * Loads compiler options from a tsconfig file (following "extends")
+ * @param {string} projectRoot - Project root directory
+ * @param {string} tsconfigPath - tsconfig path relative to the project root
+ * @param {Object} host - TypeScript system host (for testing)
+ * @returns {Object} Compiler options ({} if the tsconfig does not exist)
+ */
+function loadCompilerOptions(projectRoot, tsconfigPath = DEFAULT_TSCONFIG, host = ts.sys) {
+  const configFile = path.resolve(projectRoot, tsconfigPath);
+  if (!host.fileExists(configFile)) {
+    return {};
+  }
+
+  const { config, error } = ts.readConfigFile(configFile, host.readFile);
+  if (error) {
+    const message = ts.flattenDiagnosticMessageText(error.messageText, '\n');
+    throw new Error(`Invalid tsconfig at ${configFile}: ${message}`);
+  }
+
+  // Diagnostics such as "no inputs were found" do not affect module resolution
+  const parsed = ts.parseJsonConfigFileContent(config, host, path.dirname(configFile), undefined, configFile);
+  return parsed.options;
+}
+
+/**
+ * Creates a resolver bound to the project's compiler options
+ * @param {string} projectRoot - Project root directory
+ * @param {Object} options - Options
+ * @param {string} options.tsconfig - tsconfig path relative to the project root
+ * @param {Object} options.host - TypeScript system host (for testing)
+ * @returns {Function} resolve(specifier, containingFile) => { path, external } or null if unresolved
+ */
+function createModuleResolver(projectRoot, options = {}) {
+  const host = options.host || ts.sys;
+  const compilerOptions = loadCompilerOptions(projectRoot, options.tsconfig, host);
+  const cache = ts.createModuleResolutionCache(projectRoot, fileName => fileName, compilerOptions);
+
+  return (specifier, containingFile) => {
+    const { resolvedModule } = ts.resolveModuleName(specifier, containingFile, compilerOptions, host, cache);
+    if (!resolvedModule) {
+      return null;
+    }
+
+    return {
+      path: path.resolve(resolvedModule.resolvedFileName),
+      external: Boolean(resolvedModule.isExternalLibraryImport),
+    };
+  };
+}
+
+module.exports = {
+  DEFAULT_TSCONFIG,
+  loadCompilerOptions,
+  createModuleResolver,
+};
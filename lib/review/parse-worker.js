@@ -0,0 +1,21 @@
+/**
+ * Parse Worker
+ * worker_threads entry point for CodeReviewer.parseFiles: parses batches of
+ * source files and runs the file-local checks on them. ASTs cannot leave the
+ * worker, so results are plain entries in the on-disk cache format
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const CodeReviewer = require('../../scripts/review');
+
+// Rule levels are applied when the main thread replays the results, and custom
+// rules always run on the main thread
+const reviewer = new CodeReviewer(workerData.projectRoot, {
+  config: { ...workerData.config, rules: {}, overrides: [] },
+  customRules: [],
+  cache: false,
+});
+
+parentPort.on('message', (batch) => {
+  parentPort.postMessage(reviewer.parseBatch(batch));
+});
@@ -0,0 +1,199 @@
+/**
+ * Python Parser
+ * Lightweight, line-based extraction of imports and classes from Python sources
+ * so CodeReviewer can run its architecture checks on Python projects
+ * Pure functions with no side effects for easy testing
+ */
+
+const path = require('path');
+
+/**
+ * Base classes that mark a class as an interface (structural or abstract)
+ */
+const INTERFACE_BASES = ['Protocol', 'typing.Protocol', 'ABC', 'abc.ABC'];
+
+/**
+ * Splits source into logical lines: joins backslash and bracket continuations,
+ * drops comments and skips the contents of triple-quoted strings
+ * @param {string} content - Python source
+ * @returns {Array<{text: string, line: number, indent: number}>} Logical lines (1-based line numbers)
+ */
+function getLogicalLines(content) {
+  const physical = content.split(/\r?\n/);
+  const logical = [];
+  let current = null;
+  let depth = 0;
+  let tripleQuote = null;
+
+  physical.forEach((raw, index) => {
+    let text = '';
+
+    for (let i = 0; i < raw.length; i++) {
+      const rest = raw.slice(i);
+
+      if (tripleQuote) {
+        if (rest.startsWith(tripleQuote)) {
+          tripleQuote = null;
+          i += 2;
+        }
+        continue;
+      }
+
+      if (rest.startsWith('"""') || rest.startsWith("'''")) {
+        tripleQuote = rest.slice(0, 3);
+        text += '""';
+        i += 2;
+        continue;
+      }
+
+      const char = raw[i];
+      if (char === '#') break;
+      if (char === '"' || char === "'") {
+        // Copy single-line string literals verbatim
+        const end = raw.indexOf(char, i + 1);
+        const stop = end === -1 ? raw.length - 1 : end;
+        text += raw.slice(i, stop + 1);
+        i = stop;
+        continue;
+      }
+      if ('([{'.includes(char)) depth++;
+      if (')]}'.includes(char)) depth = Math.max(0, depth - 1);
+      text += char;
+    }
+
+    const continued = text.trimEnd().endsWith('\\');
+    if (continued) text = text.trimEnd().slice(0, -1);
+
+    if (current) {
+      current.text += ` ${text.trim()}`;
+    } else if (text.trim()) {
+      current = { text, line: index + 1, indent: text.length - text.trimStart().length };
+    }
+
+    if (current && !continued && depth === 0 && !tripleQuote) {
+      current.text = current.text.trim();
+      logical.push(current);
+      current = null;
+    }
+  });
+
+  if (current) {
+    current.text = current.text.trim();
+    logical.push(current);
+  }
+  return logical;
+}
+
+/**
+ * Extracts module dependency edges
+ * Kinds: import (import a.b), from (from a.b import c) and dynamic-import
+ * (importlib.import_module('a.b') / __import__('a.b'))
+ * @param {string} content - Python source
+ * @returns {Array<{module: string, line: number, kind: string}>}
+ */
+function extractPythonImports(content) {
+  const imports = [];
+
+  for (const { text, line } of getLogicalLines(content)) {
+    const importMatch = text.match(/^import\s+(.+)$/);
+    if (importMatch) {
+      for (const part of importMatch[1].split(',')) {
+        const module = part.trim().split(/\s+as\s+/)[0].trim();
+        if (module) imports.push({ module, line, kind: 'import' });
+      }
+      continue;
+    }
+
+    const fromMatch = text.match(/^from\s+(\.*[\w.]*)\s+import\s+(.+)$/);
+    if (fromMatch) {
+      const [, module, names] = fromMatch;
+      if (/^\.+$/.test(module)) {
+        // from . import sibling - each name is a submodule of the package
+        names.replace(/[()]/g, '').split(',')
+          .map(name => name.trim().split(/\s+as\s+/)[0].trim())
+          .filter(name => name && name !== '*')
+          .forEach(name => imports.push({ module: `${module}${name}`, line, kind: 'from' }));
+      } else {
+        imports.push({ module, line, kind: 'from' });
+      }
+      continue;
+    }
+
+    const dynamicPattern = /(?:importlib\.import_module|__import__)\(\s*(['"])([\w.]+)\1/g;
+    let dynamicMatch;
+    while ((dynamicMatch = dynamicPattern.exec(text)) !== null) {
+      imports.push({ module: dynamicMatch[2], line, kind: 'dynamic-import' });
+    }
+  }
+
+  return imports;
+}
+
+/**
+ * Extracts class definitions, splitting Protocol/ABC classes out as interfaces
+ * @param {string} content - Python source
+ * @returns {{classes: Array<Object>, interfaces: Array<Object>}}
+ */
+function extractPythonClasses(content) {
+  const lines = getLogicalLines(content);
+  const classes = [];
+  const interfaces = [];
+
+  lines.forEach((logical, index) => {
+    const match = logical.text.match(/^class\s+(\w+)\s*(?:\((.*)\))?\s*:/);
+    if (!match) return;
+
+    const args = (match[2] || '').split(',').map(arg => arg.trim()).filter(Boolean);
+    const baseNames = args.filter(arg => !arg.includes('='));
+    const isInterface =
+      baseNames.some(base => INTERFACE_BASES.includes(base.replace(/\[.*\]$/, ''))) ||
+      args.some(arg => /^metaclass\s*=\s*(abc\.)?ABCMeta$/.test(arg));
+
+    // The class body is every following line indented deeper than the class statement
+    let hasConstructor = false;
+    for (const member of lines.slice(index + 1)) {
+      if (member.indent <= logical.indent) break;
+      if (/^(async\s+)?def\s+__init__\s*\(/.test(member.text)) hasConstructor = true;
+    }
+
+    const entry = { name: match[1], line: logical.line, hasConstructor, baseNames };
+    (isInterface ? interfaces : classes).push(entry);
+  });
+
+  return { classes, interfaces };
+}
+
+/**
+ * Lists candidate file paths for a Python module specifier
+ * @param {string} specifier - Module ('a.b.c' or relative '..a.b')
+ * @param {string} currentFile - Importing file
+ * @param {string[]} roots - Directories absolute imports are resolved against
+ * @returns {string[]} Candidate paths (module.py and package/__init__.py per root)
+ */
+function getPythonModuleCandidates(specifier, currentFile, roots) {
+  const level = specifier.match(/^\.*/)[0].length;
+  const segments = specifier.slice(level).split('.').filter(Boolean);
+
+  let bases = roots;
+  if (level > 0) {
+    // One dot is the current package; each additional dot goes up one package
+    let base = path.dirname(currentFile);
+    for (let i = 1; i < level; i++) base = path.dirname(base);
+    bases = [base];
+  }
+
+  const candidates = [];
+  for (const base of bases) {
+    const modulePath = path.join(base, ...segments);
+    if (segments.length > 0) candidates.push(`${modulePath}.py`);
+    candidates.push(path.join(modulePath, '__init__.py'));
+  }
+  return candidates;
+}
+
+module.exports = {
+  getLogicalLines,
+  extractPythonImports,
+  extractPythonClasses,
+  getPythonModuleCandidates,
+};
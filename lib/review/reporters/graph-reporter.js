@@ -0,0 +1,142 @@
+/**
+ * Graph Reporter
+ * Renders the module dependency graph as Graphviz DOT, Mermaid or JSON,
+ * with files grouped by layer and violating edges highlighted
+ */
+
+const PACKAGE_JSON = require('../../../package.json');
+
+const GRAPH_VERSION = 1;
+const LAYER_VIOLATION_COLOR = '#cf222e';
+const CYCLE_COLOR = '#bc4c00';
+
+/**
+ * Groups graph nodes by layer, in the configured layer order
+ * @param {Object} graph - Graph data from CodeReviewer.getGraphData()
+ * @returns {{layers: Array<{name: string, nodes: Array<Object>}>, ungrouped: Array<Object>}}
+ */
+function groupNodesByLayer(graph) {
+  const layers = graph.layers
+    .map(name => ({ name, nodes: graph.nodes.filter(node => node.layer === name) }))
+    .filter(layer => layer.nodes.length > 0);
+  const ungrouped = graph.nodes.filter(node => !node.layer);
+  return { layers, ungrouped };
+}
+
+/**
+ * Quotes a DOT identifier
+ * @param {string} value - Identifier
+ * @returns {string} Quoted identifier
+ */
+function quoteDot(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Creates a Graphviz DOT digraph (one cluster per layer)
+ * @param {Object} graph - Graph data from CodeReviewer.getGraphData()
+ * @returns {string} DOT source
+ */
+function createDotGraph(graph) {
+  const { layers, ungrouped } = groupNodesByLayer(graph);
+  const lines = [
+    'digraph dependencies {',
+    '  rankdir=LR;',
+    '  node [shape=box, fontname="Helvetica", fontsize=10];',
+  ];
+
+  layers.forEach((layer, index) => {
+    lines.push(`  subgraph cluster_${index} {`);
+    lines.push(`    label=${quoteDot(layer.name)};`);
+    layer.nodes.forEach(node => lines.push(`    ${quoteDot(node.id)};`));
+    lines.push('  }');
+  });
+  ungrouped.forEach(node => lines.push(`  ${quoteDot(node.id)};`));
+
+  for (const edge of graph.edges) {
+    let attributes = '';
+    if (edge.layerViolation) {
+      attributes = ` [color=${quoteDot(LAYER_VIOLATION_COLOR)}, penwidth=2, label="layer violation"]`;
+    } else if (edge.cycle) {
+      attributes = ` [color=${quoteDot(CYCLE_COLOR)}, style=dashed, label="cycle"]`;
+    }
+    lines.push(`  ${quoteDot(edge.from)} -> ${quoteDot(edge.to)}${attributes};`);
+  }
+
+  lines.push('}');
+  return lines.join('\n');
+}
+
+/**
+ * Escapes a Mermaid node label
+ * @param {string} value - Label text
+ * @returns {string} Escaped label
+ */
+function escapeMermaid(value) {
+  return String(value).replace(/"/g, '#quot;');
+}
+
+/**
+ * Creates a Mermaid flowchart (one subgraph per layer)
+ * Paste it into a ```mermaid block, e.g. in .dev/architecture.md
+ * @param {Object} graph - Graph data from CodeReviewer.getGraphData()
+ * @returns {string} Mermaid source
+ */
+function createMermaidGraph(graph) {
+  const { layers, ungrouped } = groupNodesByLayer(graph);
+  const ids = new Map(graph.nodes.map((node, index) => [node.id, `n${index}`]));
+  const declare = node => `${ids.get(node.id)}["${escapeMermaid(node.id)}"]`;
+  const lines = ['flowchart LR'];
+
+  layers.forEach((layer, index) => {
+    lines.push(`  subgraph layer${index}["${escapeMermaid(layer.name)}"]`);
+    layer.nodes.forEach(node => lines.push(`    ${declare(node)}`));
+    lines.push('  end');
+  });
+  ungrouped.forEach(node => lines.push(`  ${declare(node)}`));
+
+  const violationLinks = [];
+  const cycleLinks = [];
+  graph.edges.forEach((edge, index) => {
+    lines.push(`  ${ids.get(edge.from)} --> ${ids.get(edge.to)}`);
+    if (edge.layerViolation) violationLinks.push(index);
+    else if (edge.cycle) cycleLinks.push(index);
+  });
+
+  if (violationLinks.length > 0) {
+    lines.push(`  linkStyle ${violationLinks.join(',')} stroke:${LAYER_VIOLATION_COLOR},stroke-width:2px`);
+  }
+  if (cycleLinks.length > 0) {
+    lines.push(`  linkStyle ${cycleLinks.join(',')} stroke:${CYCLE_COLOR},stroke-dasharray:4`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Creates the versioned JSON graph document
+ * @param {Object} graph - Graph data from CodeReviewer.getGraphData()
+ * @returns {Object} JSON graph
+ */
+function createJsonGraph(graph) {
+  return {
+    version: GRAPH_VERSION,
+    tool: {
+      name: PACKAGE_JSON.name,
+      version: PACKAGE_JSON.version,
+    },
+    layers: groupNodesByLayer(graph).layers.map(layer => ({
+      name: layer.name,
+      files: layer.nodes.map(node => node.id),
+    })),
+    nodes: graph.nodes,
+    edges: graph.edges,
+  };
+}
+
+module.exports = {
+  GRAPH_VERSION,
+  groupNodesByLayer,
+  createDotGraph,
+  createMermaidGraph,
+  createJsonGraph,
+};
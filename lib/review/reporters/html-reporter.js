@@ -0,0 +1,232 @@
+/**
+ * HTML Reporter
+ * Builds a self-contained static review page for architecture reviews
+ * (no external assets; styles and filter script are inlined)
+ */
+
+const { getRuleMetadata } = require('../rules');
+const { flattenViolations } = require('./json-reporter');
+const PACKAGE_JSON = require('../../../package.json');
+
+const SNIPPET_CONTEXT = 3;
+const SEVERITIES = ['error', 'warning', 'info'];
+const NO_LAYER = 'other';
+
+/**
+ * Escapes text for safe inclusion in HTML
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Extracts the lines around a flagged line
+ * @param {string|null} content - File content
+ * @param {number|null} line - 1-based flagged line
+ * @returns {Array<{number: number, text: string, flagged: boolean}>} Snippet lines ([] if unavailable)
+ */
+function getSnippet(content, line) {
+  if (content === null || content === undefined || !line) return [];
+
+  const lines = content.replace(/\r?\n$/, '').split(/\r?\n/);
+  const start = Math.max(1, line - SNIPPET_CONTEXT);
+  const end = Math.min(lines.length, line + SNIPPET_CONTEXT);
+
+  const snippet = [];
+  for (let number = start; number <= end; number++) {
+    snippet.push({ number, text: lines[number - 1], flagged: number === line });
+  }
+  return snippet;
+}
+
+/**
+ * Groups violations by layer, then by file (both sorted)
+ * @param {Array<Object>} violations - Flattened violations
+ * @param {Function} getLayer - Maps a project-relative file to its layer (or null)
+ * @returns {Array<{layer: string, files: Array<{file: string, violations: Array<Object>}>}>}
+ */
+function groupViolations(violations, getLayer) {
+  const layers = new Map();
+
+  for (const violation of violations) {
+    const layer = getLayer(violation.location.file) || NO_LAYER;
+    if (!layers.has(layer)) layers.set(layer, new Map());
+
+    const files = layers.get(layer);
+    if (!files.has(violation.location.file)) files.set(violation.location.file, []);
+    files.get(violation.location.file).push(violation);
+  }
+
+  return [...layers.keys()].sort().map(layer => ({
+    layer,
+    files: [...layers.get(layer).keys()].sort().map(file => ({
+      file,
+      violations: layers.get(layer).get(file).sort((a, b) => (a.location.line || 0) - (b.location.line || 0)),
+    })),
+  }));
+}
+
+function renderSnippet(snippet) {
+  if (snippet.length === 0) return '';
+
+  const rows = snippet.map(line =>
+    `<tr class="${line.flagged ? 'flagged' : ''}"><td class="ln">${line.number}</td><td><code>${escapeHtml(line.text)}</code></td></tr>`
+  );
+  return `<table class="snippet">${rows.join('')}</table>`;
+}
+
+function renderViolation(violation, getSource) {
+  const location = violation.location.line ? `line ${violation.location.line}` : 'file';
+  const snippet = getSnippet(getSource(violation.location.file), violation.location.line);
+
+  return `
+        <li class="violation ${violation.severity}" data-severity="${violation.severity}" data-code="${escapeHtml(violation.code)}">
+          <div class="headline">
+            <span class="badge ${violation.severity}">${violation.severity}</span>
+            <span class="code">${escapeHtml(violation.code)}</span>
+            <span class="where">${location}</span>
+          </div>
+          <p>${escapeHtml(violation.message)}</p>
+          ${renderSnippet(snippet)}
+        </li>`;
+}
+
+const STYLES = `
+    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; margin: 0; color: #1f2328; background: #f6f8fa; }
+    header, main { max-width: 1100px; margin: 0 auto; padding: 16px 24px; }
+    h1 { margin: 8px 0; font-size: 24px; }
+    .meta { color: #656d76; font-size: 13px; }
+    .stats { display: flex; gap: 12px; flex-wrap: wrap; margin: 16px 0; }
+    .stat { background: #fff; border: 1px solid #d0d7de; border-radius: 6px; padding: 10px 16px; min-width: 110px; }
+    .stat strong { display: block; font-size: 22px; }
+    .filters { background: #fff; border: 1px solid #d0d7de; border-radius: 6px; padding: 10px 16px; display: flex; gap: 16px; flex-wrap: wrap; align-items: center; }
+    section.layer > h2 { text-transform: capitalize; border-bottom: 1px solid #d0d7de; padding-bottom: 4px; }
+    details.file { background: #fff; border: 1px solid #d0d7de; border-radius: 6px; margin: 10px 0; }
+    details.file > summary { cursor: pointer; padding: 8px 12px; font-family: ui-monospace, monospace; }
+    ul.violations { list-style: none; margin: 0; padding: 0 12px 8px; }
+    li.violation { border-top: 1px solid #eaeef2; padding: 8px 0; }
+    li.violation p { margin: 4px 0; }
+    .badge { display: inline-block; border-radius: 10px; padding: 0 8px; font-size: 12px; color: #fff; text-transform: uppercase; }
+    .badge.error { background: #cf222e; } .badge.warning { background: #9a6700; } .badge.info { background: #0969da; }
+    .code { font-family: ui-monospace, monospace; font-weight: 600; margin-left: 6px; }
+    .where { color: #656d76; font-size: 12px; margin-left: 6px; }
+    table.snippet { border-collapse: collapse; width: 100%; font-size: 12px; background: #f6f8fa; }
+    table.snippet td { padding: 0 6px; white-space: pre; }
+    table.snippet td.ln { color: #8c959f; text-align: right; width: 1%; user-select: none; }
+    table.snippet tr.flagged { background: #fff8c5; }
+    .hidden { display: none; }
+    .empty { color: #1a7f37; font-weight: 600; }`;
+
+const FILTER_SCRIPT = `
+    (function () {
+      var severityInputs = document.querySelectorAll('input[name="severity"]');
+      var codeSelect = document.getElementById('code-filter');
+
+      function applyFilters() {
+        var severities = {};
+        severityInputs.forEach(function (input) { severities[input.value] = input.checked; });
+        var code = codeSelect.value;
+
+        document.querySelectorAll('li.violation').forEach(function (item) {
+          var visible = severities[item.dataset.severity] && (!code || item.dataset.code === code);
+          item.classList.toggle('hidden', !visible);
+        });
+        document.querySelectorAll('details.file, section.layer').forEach(function (group) {
+          group.classList.toggle('hidden', !group.querySelector('li.violation:not(.hidden)'));
+        });
+      }
+
+      severityInputs.forEach(function (input) { input.addEventListener('change', applyFilters); });
+      codeSelect.addEventListener('change', applyFilters);
+      applyFilters();
+    })();`;
+
+/**
+ * Creates the HTML report page
+ * @param {Object} result - Review result from CodeReviewer.getReportData()
+ * @param {Object} sources - Lookups for per-file data
+ * @param {Function} sources.getSource - Maps a project-relative file to its content (or null)
+ * @param {Function} sources.getLayer - Maps a project-relative file to its layer (or null)
+ * @returns {string} HTML document
+ */
+function createHtmlReport(result, sources = {}) {
+  const getSource = sources.getSource || (() => null);
+  const getLayer = sources.getLayer || (() => null);
+  const { violations, stats } = result;
+
+  const flattened = flattenViolations(violations);
+  const codes = [...new Set(flattened.map(v => v.code))].sort();
+  const groups = groupViolations(flattened, getLayer);
+
+  const statCards = [
+    ['Files scanned', stats.filesScanned],
+    ['Errors', violations.errors.length],
+    ['Warnings', violations.warnings.length],
+    ['Info', violations.info.length],
+    ['Total', stats.totalViolations],
+  ].map(([label, value]) => `<div class="stat"><strong>${value}</strong>${label}</div>`).join('\n      ');
+
+  const severityFilters = SEVERITIES.map(severity =>
+    `<label><input type="checkbox" name="severity" value="${severity}" checked> ${severity}</label>`
+  ).join('\n      ');
+
+  const codeOptions = codes.map(code =>
+    `<option value="${escapeHtml(code)}">${escapeHtml(code)} - ${escapeHtml(getRuleMetadata(code, result.customRules).name)}</option>`
+  ).join('');
+
+  const body = groups.length === 0
+    ? '<p class="empty">✅ No violations found! Code looks good.</p>'
+    : groups.map(group => `
+    <section class="layer">
+      <h2>${escapeHtml(group.layer)} layer</h2>${group.files.map(fileGroup => `
+      <details class="file" open>
+        <summary>${escapeHtml(fileGroup.file)} (${fileGroup.violations.length})</summary>
+        <ul class="violations">${fileGroup.violations.map(v => renderViolation(v, getSource)).join('')}
+        </ul>
+      </details>`).join('')}
+    </section>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>Code Review Report</title>
+  <style>${STYLES}
+  </style>
+</head>
+<body>
+  <header>
+    <h1>📊 Code Review Report</h1>
+    <div class="meta">${escapeHtml(PACKAGE_JSON.name)} v${escapeHtml(PACKAGE_JSON.version)} · generated ${escapeHtml(new Date().toISOString())}</div>
+    <div class="stats">
+      ${statCards}
+    </div>
+    <div class="filters">
+      <strong>Filter:</strong>
+      ${severityFilters}
+      <label>Rule <select id="code-filter"><option value="">All rules</option>${codeOptions}</select></label>
+    </div>
+  </header>
+  <main>${body}
+  </main>
+  <script>${FILTER_SCRIPT}
+  </script>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  escapeHtml,
+  getSnippet,
+  groupViolations,
+  createHtmlReport,
+};
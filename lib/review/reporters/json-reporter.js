@@ -0,0 +1,81 @@
+/**
+ * JSON Reporter
+ * Builds the versioned, machine-readable review report (review --json)
+ */
+
+const { getRuleMetadata } = require('../rules');
+const PACKAGE_JSON = require('../../../package.json');
+
+/**
+ * Report schema version - bump when the document shape changes incompatibly
+ */
+const REPORT_VERSION = 1;
+
+const SEVERITY_GROUPS = [
+  ['error', 'errors'],
+  ['warning', 'warnings'],
+  ['info', 'info'],
+];
+
+/**
+ * Flattens grouped violations into a single list with explicit severities
+ * @param {Object} violations - Violations grouped as { errors, warnings, info }
+ * @returns {Array<Object>} Violations with severity and location
+ */
+function flattenViolations(violations) {
+  return SEVERITY_GROUPS.flatMap(([severity, group]) =>
+    violations[group].map(v => ({
+      severity,
+      code: v.code,
+      message: v.message,
+      location: { file: v.file, line: v.line ?? null, ...(v.column ? { column: v.column } : {}) },
+    }))
+  );
+}
+
+/**
+ * Creates the JSON report document
+ * @param {Object} result - Review result from CodeReviewer.getReportData()
+ * @param {Object} result.violations - Violations grouped by severity
+ * @param {Object} result.stats - Review statistics
+ * @param {string[]} result.rulesRun - Violation codes of the checks that ran
+ * @param {Object|null} result.baseline - Baseline comparison ({ path, suppressed, fixed }) if one is in use
+ * @param {Array<Object>} result.customRules - Metadata of custom rules loaded from the project
+ * @returns {Object} Report document
+ */
+function createJsonReport(result) {
+  const { violations, stats, rulesRun, baseline, customRules = [] } = result;
+
+  const report = {
+    version: REPORT_VERSION,
+    tool: {
+      name: PACKAGE_JSON.name,
+      version: PACKAGE_JSON.version,
+    },
+    generatedAt: new Date().toISOString(),
+    summary: {
+      filesScanned: stats.filesScanned,
+      errors: violations.errors.length,
+      warnings: violations.warnings.length,
+      info: violations.info.length,
+      totalViolations: stats.totalViolations,
+    },
+    rules: rulesRun.map(code => getRuleMetadata(code, customRules)),
+    violations: flattenViolations(violations),
+  };
+
+  if (baseline) {
+    report.baseline = {
+      path: baseline.path,
+      suppressed: baseline.suppressed,
+      fixed: baseline.fixed.map(({ fingerprint, code, file, message }) => ({ fingerprint, code, file, message })),
+    };
+  }
+  return report;
+}
+
+module.exports = {
+  REPORT_VERSION,
+  flattenViolations,
+  createJsonReport,
+};
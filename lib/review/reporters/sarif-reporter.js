@@ -0,0 +1,122 @@
+/**
+ * SARIF Reporter
+ * Builds a SARIF 2.1.0 log so review findings can be uploaded to code-scanning UIs
+ */
+
+const { pathToFileURL } = require('url');
+const { getRuleMetadata } = require('../rules');
+const { flattenViolations } = require('./json-reporter');
+const PACKAGE_JSON = require('../../../package.json');
+
+const SARIF_VERSION = '2.1.0';
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const SRCROOT = '%SRCROOT%';
+
+/**
+ * Maps reviewer severities to SARIF result levels
+ */
+const SEVERITY_TO_LEVEL = {
+  error: 'error',
+  warning: 'warning',
+  info: 'note',
+};
+
+/**
+ * Converts a violation code to a SARIF rule name (LAYER_VIOLATION -> LayerViolation)
+ * @param {string} code - Violation code
+ * @returns {string} Rule name
+ */
+function toRuleName(code) {
+  return code
+    .toLowerCase()
+    .split('_')
+    .map(part => part.charAt(0).toUpperCase() + part.slice(1))
+    .join('');
+}
+
+/**
+ * Builds a SARIF reportingDescriptor for a violation code
+ * @param {string} code - Violation code
+ * @param {Array<Object>} customRules - Metadata of custom rules loaded from the project
+ * @returns {Object} SARIF rule
+ */
+function createRuleDescriptor(code, customRules = []) {
+  const rule = getRuleMetadata(code, customRules);
+
+  return {
+    id: code,
+    name: toRuleName(code),
+    shortDescription: { text: rule.name },
+    fullDescription: { text: rule.description },
+    defaultConfiguration: { level: SEVERITY_TO_LEVEL[rule.severity] || 'warning' },
+    properties: { tags: ['architecture'] },
+  };
+}
+
+/**
+ * Builds a SARIF result for a violation
+ * @param {Object} violation - Flattened violation (see flattenViolations)
+ * @param {number} ruleIndex - Index of the rule in tool.driver.rules
+ * @param {string|null} baselineState - SARIF baselineState ('new' when a review baseline is in use)
+ * @returns {Object} SARIF result
+ */
+function createResult(violation, ruleIndex, baselineState = null) {
+  const physicalLocation = {
+    artifactLocation: { uri: violation.location.file, uriBaseId: SRCROOT },
+  };
+  if (violation.location.line) {
+    physicalLocation.region = { startLine: violation.location.line };
+    if (violation.location.column) {
+      physicalLocation.region.startColumn = violation.location.column;
+    }
+  }
+
+  const sarifResult = {
+    ruleId: violation.code,
+    ruleIndex,
+    level: SEVERITY_TO_LEVEL[violation.severity],
+    message: { text: violation.message },
+    locations: [{ physicalLocation }],
+  };
+  if (baselineState) {
+    sarifResult.baselineState = baselineState;
+  }
+  return sarifResult;
+}
+
+/**
+ * Creates the SARIF log
+ * @param {Object} result - Review result from CodeReviewer.getReportData()
+ * @returns {Object} SARIF log
+ */
+function createSarifReport(result) {
+  const violations = flattenViolations(result.violations);
+  const codes = [...new Set([...result.rulesRun, ...violations.map(v => v.code)])];
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: SARIF_VERSION,
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: PACKAGE_JSON.name,
+            version: PACKAGE_JSON.version,
+            informationUri: PACKAGE_JSON.homepage,
+            rules: codes.map(code => createRuleDescriptor(code, result.customRules)),
+          },
+        },
+        originalUriBaseIds: {
+          [SRCROOT]: { uri: pathToFileURL(`${result.projectRoot.replace(/[\\/]$/, '')}/`).href },
+        },
+        // Baselined violations are already filtered out, so every remaining result is new
+        results: violations.map(v => createResult(v, codes.indexOf(v.code), result.baseline ? 'new' : null)),
+      },
+    ],
+  };
+}
+
+module.exports = {
+  SARIF_VERSION,
+  createSarifReport,
+};
@@ -0,0 +1,121 @@
+/**
+ * Review Cache
+ * Persists per-file review results under .dev/.cache/review/ so unchanged files
+ * are neither reparsed nor rechecked. Entries are keyed by content hash; the
+ * whole cache is discarded when the tool version or review configuration changes
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const PACKAGE_JSON = require('../../package.json');
+
+const REVIEW_CACHE_DIR = '.dev/.cache/review';
+const CACHE_FILE = 'files.json';
+
+/**
+ * Cache format version - bump when entries change shape or checks change results
+ */
+const CACHE_VERSION = 6;
+
+/**
+ * Hashes file content
+ * @param {string} content - File content
+ * @returns {string} Hex digest
+ */
+function hashContent(content) {
+  return crypto.createHash('sha1').update(content).digest('hex');
+}
+
+/**
+ * Builds the cache key from everything that affects per-file results
+ * @param {Array<*>} inputs - JSON-serializable inputs (review config, compiler options, ...)
+ * @returns {string} Cache key
+ */
+function createCacheKey(inputs) {
+  return hashContent(JSON.stringify([CACHE_VERSION, PACKAGE_JSON.version, ...inputs]));
+}
+
+/**
+ * Loads cached file entries
+ * A missing, unreadable or outdated cache is treated as empty
+ * @param {string} projectRoot - Project root directory
+ * @param {string} key - Expected cache key (see createCacheKey)
+ * @param {Object} fsModule - File system module (for testing)
+ * @returns {Object<string, Object>} Entries keyed by project-relative path
+ */
+function loadReviewCache(projectRoot, key, fsModule = fs) {
+  const cachePath = path.join(projectRoot, REVIEW_CACHE_DIR, CACHE_FILE);
+  if (!fsModule.existsSync(cachePath)) return {};
+
+  try {
+    const cache = JSON.parse(fsModule.readFileSync(cachePath, 'utf-8'));
+    return cache && cache.key === key && cache.files && typeof cache.files === 'object' ? cache.files : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Writes cached file entries (and a .gitignore so the cache is never committed)
+ * @param {string} projectRoot - Project root directory
+ * @param {string} key - Cache key (see createCacheKey)
+ * @param {Object<string, Object>} files - Entries keyed by project-relative path
+ * @param {Object} fsModule - File system module (for testing)
+ * @returns {string} Path of the written cache file
+ */
+function writeReviewCache(projectRoot, key, files, fsModule = fs) {
+  const cacheDir = path.join(projectRoot, REVIEW_CACHE_DIR);
+  fsModule.mkdirSync(cacheDir, { recursive: true });
+
+  const gitignorePath = path.join(cacheDir, '.gitignore');
+  if (!fsModule.existsSync(gitignorePath)) {
+    fsModule.writeFileSync(gitignorePath, '*\n');
+  }
+
+  const cachePath = path.join(cacheDir, CACHE_FILE);
+  fsModule.writeFileSync(cachePath, JSON.stringify({ key, files }));
+  return cachePath;
+}
+
+/**
+ * Finds the files whose cross-file results (import resolution, layer checks) must be recomputed:
+ * changed files and the files that depend on them. Adding or removing a file can change how
+ * any import resolves, so it invalidates every file
+ * @param {string[]} files - Project-relative paths of the parsed files
+ * @param {Object<string, Object>} entries - Previous cache entries
+ * @param {Set<string>} changed - Project-relative paths of new or modified files
+ * @param {Object} options - Options
+ * @param {boolean} options.transitive - Also invalidate indirect dependents (type checker results,
+ *   which can depend on any file reachable through imports)
+ * @returns {Set<string>} Project-relative paths to recheck
+ */
+function findInvalidatedFiles(files, entries, changed, { transitive = false } = {}) {
+  const sameFiles = Object.keys(entries).length === files.length && files.every(file => entries[file]);
+  if (!sameFiles) return new Set(files);
+
+  const invalidated = new Set(changed);
+  let grown = true;
+  while (grown) {
+    grown = false;
+    const targets = transitive ? new Set(invalidated) : changed;
+    for (const file of files) {
+      if (invalidated.has(file)) continue;
+      if ((entries[file].dependencies || []).some(dependency => targets.has(dependency.to))) {
+        invalidated.add(file);
+        grown = transitive;
+      }
+    }
+  }
+  return invalidated;
+}
+
+module.exports = {
+  REVIEW_CACHE_DIR,
+  CACHE_VERSION,
+  hashContent,
+  createCacheKey,
+  loadReviewCache,
+  writeReviewCache,
+  findInvalidatedFiles,
+};
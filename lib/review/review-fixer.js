@@ -0,0 +1,539 @@
+/**
+ * Review Fixer
+ * Plans safe, mechanical rewrites for violations reported by CodeReviewer
+ * Works on an in-memory copy of the project so fixes can be previewed as a diff
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ts = require('typescript');
+const { createUnifiedDiff } = require('./text-diff');
+const { loadCompilerOptions } = require('./module-resolver');
+
+/**
+ * Violation codes this fixer knows how to rewrite, in the order they are applied
+ */
+const FIXABLE_CODES = ['INTERFACE_NAMING', 'FILE_NAMING', 'MULTIPLE_INTERFACES'];
+
+/**
+ * Files the fixer reads and rewrites; Python sources are left alone
+ */
+const SCRIPT_EXTENSIONS = ['.ts', '.tsx', '.mts', '.cts', '.js', '.jsx', '.mjs', '.cjs'];
+
+/**
+ * Identifier positions that name a member rather than reference a symbol
+ */
+const MEMBER_NAME_PARENTS = [
+  ts.SyntaxKind.PropertyAccessExpression,
+  ts.SyntaxKind.PropertySignature,
+  ts.SyntaxKind.PropertyDeclaration,
+  ts.SyntaxKind.MethodSignature,
+  ts.SyntaxKind.MethodDeclaration,
+  ts.SyntaxKind.PropertyAssignment,
+  ts.SyntaxKind.GetAccessor,
+  ts.SyntaxKind.SetAccessor,
+  ts.SyntaxKind.EnumMember,
+  ts.SyntaxKind.QualifiedName,
+];
+
+class ReviewFixer {
+  /**
+   * @param {Object} reviewer - CodeReviewer instance that has completed analysis
+   * @param {Object} options - Options
+   * @param {Object} options.fs - File system module (for dependency injection)
+   * @param {Object} options.compilerOptions - Compiler options (default: the project's tsconfig)
+   */
+  constructor(reviewer, options = {}) {
+    this.reviewer = reviewer;
+    this.projectRoot = reviewer.projectRoot;
+    this.fs = options.fs || fs;
+
+    this.fixes = [];
+    this.skipped = [];
+
+    // Workspace: current path -> { originalPath, originalContent, content, version }
+    // Reviewed files come from the cache; the rest of the project (tests, scripts) is
+    // read from disk so its imports are rewritten too
+    this.files = new Map();
+    for (const [file, cached] of reviewer.fileCache) {
+      if (!this.isScript(file)) continue;
+      this.files.set(file, { originalPath: file, originalContent: cached.content, content: cached.content, version: 0 });
+    }
+    for (const file of reviewer.collectSourceFiles(this.projectRoot)) {
+      if (this.files.has(file) || !this.isScript(file)) continue;
+      const content = this.fs.readFileSync(file, 'utf-8');
+      this.files.set(file, { originalPath: file, originalContent: content, content, version: 0 });
+    }
+    this.originalPaths = new Set(this.files.keys());
+
+    // Renames only need the project's own files, not the standard library or @types
+    this.compilerOptions = {
+      ...(options.compilerOptions || loadCompilerOptions(this.projectRoot, reviewer.config?.tsconfig)),
+      allowJs: true,
+      noEmit: true,
+      noLib: true,
+      types: [],
+    };
+    this.languageService = this.createLanguageService();
+  }
+
+  /**
+   * Plans fixes for every fixable violation and returns the resulting file changes
+   * @returns {Array<Object>} File changes ({ oldPath, newPath, oldContent, newContent })
+   */
+  plan() {
+    for (const code of FIXABLE_CODES) {
+      const files = this.getFilesWithViolation(code);
+      if (files.length === 0) continue;
+
+      switch (code) {
+        case 'INTERFACE_NAMING':
+          files.forEach(file => this.fixInterfaceNaming(file));
+          break;
+        case 'FILE_NAMING':
+          files.forEach(file => this.fixFileNaming(file));
+          break;
+        case 'MULTIPLE_INTERFACES':
+          files.forEach(file => this.splitInterfaces(file));
+          break;
+      }
+    }
+
+    return this.getChanges();
+  }
+
+  /**
+   * Collects the current workspace paths of files reported with a violation code
+   * @param {string} code - Violation code
+   * @returns {string[]} Absolute file paths
+   */
+  getFilesWithViolation(code) {
+    const { errors, warnings, info } = this.reviewer.violations;
+    const originals = new Set(
+      [...errors, ...warnings, ...info]
+        .filter(v => v.code === code)
+        .map(v => path.join(this.projectRoot, v.file))
+    );
+
+    const files = [];
+    for (const [current, entry] of this.files) {
+      if (originals.has(entry.originalPath)) files.push(current);
+    }
+    return files.sort();
+  }
+
+  /**
+   * Renames interfaces missing the 'I' prefix, along with their references
+   * @param {string} file - Declaring file
+   */
+  fixInterfaceNaming(file) {
+    const sourceFile = this.parse(file);
+
+    for (const node of this.findNodes(sourceFile, ts.isInterfaceDeclaration)) {
+      const oldName = node.name.text;
+      if (oldName.startsWith('I')) continue;
+      const newName = `I${oldName}`;
+
+      if (this.hasLocalReference(file, newName)) {
+        this.skip('INTERFACE_NAMING', file, `'${newName}' is already declared or referenced`);
+        continue;
+      }
+      if (this.hasOtherDeclaration(this.parse(file), oldName)) {
+        this.skip('INTERFACE_NAMING', file, `'${oldName}' is also declared as a value or type`);
+        continue;
+      }
+
+      const conflict = this.renameSymbol(file, oldName, newName);
+      if (conflict) {
+        this.skip('INTERFACE_NAMING', file, `'${newName}' is already declared or referenced in ${this.relative(conflict)}`);
+        continue;
+      }
+      this.record('INTERFACE_NAMING', file, `Renamed interface '${oldName}' to '${newName}'`);
+    }
+  }
+
+  /**
+   * Renames a file to match its single interface and updates the imports of it
+   * @param {string} file - File path
+   */
+  fixFileNaming(file) {
+    const interfaces = this.findNodes(this.parse(file), ts.isInterfaceDeclaration);
+    if (interfaces.length !== 1) return;
+
+    const ext = this.getExtension(file);
+    const baseName = path.basename(file, ext);
+    const name = interfaces[0].name.text;
+    if (baseName === name) return;
+
+    if (baseName === 'index') {
+      this.skip('FILE_NAMING', file, 'index files are imported by directory');
+      return;
+    }
+
+    const target = path.join(path.dirname(file), `${name}${ext}`);
+    if (this.files.has(target) || this.fs.existsSync(target)) {
+      this.skip('FILE_NAMING', file, `${this.relative(target)} already exists`);
+      return;
+    }
+
+    this.renameFile(file, target);
+    this.record('FILE_NAMING', target, `Renamed ${this.relative(file)} to ${this.relative(target)}`);
+  }
+
+  /**
+   * Splits a file that only declares interfaces into one file per interface
+   * The original file re-exports the moved interfaces so existing imports keep working
+   * @param {string} file - File path
+   */
+  splitInterfaces(file) {
+    const sourceFile = this.parse(file);
+    const content = this.files.get(file).content;
+    const imports = [];
+    const interfaces = [];
+
+    for (const statement of sourceFile.statements) {
+      if (ts.isImportDeclaration(statement) && statement.importClause) {
+        imports.push(statement);
+      } else if (ts.isInterfaceDeclaration(statement)) {
+        interfaces.push(statement);
+      } else {
+        this.skip('MULTIPLE_INTERFACES', file, 'file contains declarations other than interfaces');
+        return;
+      }
+    }
+
+    const names = interfaces.map(i => i.name.text);
+    if (interfaces.length < 2 || new Set(names).size !== names.length) return;
+    if (interfaces.some(i => !i.modifiers?.some(m => m.kind === ts.SyntaxKind.ExportKeyword))) {
+      this.skip('MULTIPLE_INTERFACES', file, 'file contains non-exported interfaces');
+      return;
+    }
+
+    const ext = this.getExtension(file);
+    const dir = path.dirname(file);
+    const baseName = path.basename(file, ext);
+    const kept = interfaces.find(i => i.name.text === baseName);
+    const moved = interfaces.filter(i => i !== kept);
+
+    const targets = moved.map(i => path.join(dir, `${i.name.text}${ext}`));
+    const existing = targets.find(t => this.files.has(t) || this.fs.existsSync(t));
+    if (existing) {
+      this.skip('MULTIPLE_INTERFACES', file, `${this.relative(existing)} already exists`);
+      return;
+    }
+
+    const importInfos = imports.map(decl => this.describeImport(decl, content));
+    const siblingSpecifier = (name) => `./${kept && kept.name.text === name ? baseName : name}`;
+    const header = imports.length > 0 ? content.slice(0, imports[0].getStart(sourceFile)) : '';
+
+    const renderFile = (iface, reexports = []) => {
+      const body = content.slice(iface.getFullStart(), iface.end).replace(/^\s*\n/, '').trimEnd();
+      const siblingImports = names
+        .filter(name => name !== iface.name.text && this.usesName(body, name))
+        .map(name => `import { ${name} } from '${siblingSpecifier(name)}';`);
+      const importLines = [...this.renderImports(importInfos, body), ...siblingImports];
+      const sections = [importLines, reexports].filter(lines => lines.length > 0).map(lines => lines.join('\n'));
+      return `${[...sections, body].join('\n\n')}\n`;
+    };
+
+    moved.forEach((iface, index) => {
+      this.files.set(targets[index], { originalPath: null, originalContent: '', content: renderFile(iface), version: 0 });
+    });
+
+    const reexports = moved.map(i => `export * from './${i.name.text}';`);
+    const original = kept ? renderFile(kept, reexports) : `${reexports.join('\n')}\n`;
+    this.setContent(file, `${header}${original}`);
+
+    this.record(
+      'MULTIPLE_INTERFACES',
+      file,
+      `Split ${moved.map(i => i.name.text).join(', ')} into separate files`
+    );
+  }
+
+  /**
+   * Renames an interface and every reference to it across the workspace
+   * References are resolved by the language service, so shadowing bindings, members
+   * and unrelated symbols with the same name are left alone; importers, barrels and
+   * aliased imports ('User as Person') follow the declaration
+   * @param {string} declaringFile - File declaring the interface
+   * @param {string} oldName - Current name
+   * @param {string} newName - New name
+   * @returns {string|null} A file where the new name is already used (nothing renamed), or null
+   */
+  renameSymbol(declaringFile, oldName, newName) {
+    const declaration = this.findNodes(this.parse(declaringFile), node =>
+      ts.isInterfaceDeclaration(node) && node.name.text === oldName
+    )[0];
+    const locations = this.languageService.findRenameLocations(
+      declaringFile, declaration.name.getStart(), false, false, { providePrefixAndSuffixTextForRename: false }
+    ) || [];
+
+    const edits = new Map();
+    for (const location of locations) {
+      if (!edits.has(location.fileName)) edits.set(location.fileName, []);
+      edits.get(location.fileName).push(location.textSpan);
+    }
+
+    const conflict = [...edits.keys()].find(file => file !== declaringFile && this.hasLocalReference(file, newName));
+    if (conflict) return conflict;
+
+    for (const [file, spans] of edits) {
+      // { User } is an object key as well as a reference: keep the key
+      const shorthands = new Set(this.findNodes(this.parse(file), ts.isShorthandPropertyAssignment)
+        .map(node => node.name.getStart()));
+      this.applyEdits(file, spans.map(span => ({
+        start: span.start,
+        end: span.start + span.length,
+        text: shorthands.has(span.start) ? `${oldName}: ${newName}` : newName,
+      })));
+    }
+    return null;
+  }
+
+  /**
+   * Checks whether an identifier references a local binding (not a member or foreign export)
+   * @param {ts.Identifier} node - Identifier node
+   * @returns {boolean}
+   */
+  isSymbolReference(node) {
+    const parent = node.parent;
+
+    if (MEMBER_NAME_PARENTS.includes(parent.kind) && parent.name === node) return false;
+    if (ts.isQualifiedName(parent) && parent.right === node) return false;
+    if (ts.isImportSpecifier(parent) && parent.propertyName === node) return false;
+    if (ts.isBindingElement(parent) && parent.propertyName === node) return false;
+    if (ts.isExportSpecifier(parent) && parent.parent.parent.moduleSpecifier) return false;
+
+    return true;
+  }
+
+  /**
+   * Moves a file in the workspace and rewrites the imports that point at it
+   * The language service computes the new specifiers, so relative imports and
+   * tsconfig path aliases ('@domain/types' -> '@domain/IOrder') keep their style
+   * @param {string} from - Current path
+   * @param {string} to - New path
+   */
+  renameFile(from, to) {
+    for (const change of this.languageService.getEditsForFileRename(from, to, {}, {})) {
+      if (!this.files.has(change.fileName)) continue;
+      this.applyEdits(change.fileName, change.textChanges.map(({ span, newText }) => ({
+        start: span.start,
+        end: span.start + span.length,
+        text: newText,
+      })));
+    }
+
+    const entry = this.files.get(from);
+    this.files.delete(from);
+    this.files.set(to, entry);
+  }
+
+  /**
+   * Creates a language service over the workspace
+   * Files moved or removed in the workspace no longer exist for it, even though
+   * they are still on disk
+   * @returns {ts.LanguageService}
+   */
+  createLanguageService() {
+    const exists = file => this.files.has(file) || (!this.originalPaths.has(file) && ts.sys.fileExists(file));
+    const read = file => (this.files.has(file) ? this.files.get(file).content : exists(file) ? ts.sys.readFile(file) : undefined);
+
+    return ts.createLanguageService({
+      getCompilationSettings: () => this.compilerOptions,
+      getScriptFileNames: () => [...this.files.keys()],
+      getScriptVersion: file => String(this.files.get(file)?.version ?? 0),
+      getScriptSnapshot: (file) => {
+        const content = read(file);
+        return content === undefined ? undefined : ts.ScriptSnapshot.fromString(content);
+      },
+      getCurrentDirectory: () => this.projectRoot,
+      getDefaultLibFileName: options => ts.getDefaultLibFilePath(options),
+      fileExists: exists,
+      readFile: read,
+    }, ts.createDocumentRegistry());
+  }
+
+  /**
+   * Summarises an import declaration so it can be re-rendered with a subset of names
+   * @param {ts.ImportDeclaration} decl - Import declaration
+   * @param {string} content - File content
+   * @returns {Object} Import description
+   */
+  describeImport(decl, content) {
+    const clause = decl.importClause;
+    const bindings = clause.namedBindings;
+    const quote = content[decl.moduleSpecifier.getStart()] === '"' ? '"' : "'";
+
+    return {
+      specifier: decl.moduleSpecifier.text,
+      quote,
+      typeOnly: clause.isTypeOnly,
+      defaultName: clause.name?.text || null,
+      namespace: bindings && ts.isNamespaceImport(bindings) ? bindings.name.text : null,
+      named: bindings && ts.isNamedImports(bindings)
+        ? bindings.elements.map(el => ({
+          name: el.name.text,
+          text: el.propertyName ? `${el.propertyName.text} as ${el.name.text}` : el.name.text,
+          typeOnly: el.isTypeOnly,
+        }))
+        : [],
+    };
+  }
+
+  /**
+   * Renders import statements keeping only the names referenced by a body of code
+   * @param {Array<Object>} importInfos - Import descriptions from describeImport
+   * @param {string} body - Code that will follow the imports
+   * @returns {string[]} Import lines
+   */
+  renderImports(importInfos, body) {
+    const lines = [];
+
+    for (const info of importInfos) {
+      const parts = [];
+      if (info.defaultName && this.usesName(body, info.defaultName)) parts.push(info.defaultName);
+      if (info.namespace && this.usesName(body, info.namespace)) parts.push(`* as ${info.namespace}`);
+
+      const named = info.named.filter(el => this.usesName(body, el.name));
+      if (named.length > 0) {
+        parts.push(`{ ${named.map(el => `${el.typeOnly ? 'type ' : ''}${el.text}`).join(', ')} }`);
+      }
+
+      if (parts.length > 0) {
+        const from = `${info.quote}${info.specifier}${info.quote}`;
+        lines.push(`import ${info.typeOnly ? 'type ' : ''}${parts.join(', ')} from ${from};`);
+      }
+    }
+
+    return lines;
+  }
+
+  /**
+   * Returns the file changes between the original project and the workspace
+   * @returns {Array<Object>} File changes
+   */
+  getChanges() {
+    const changes = [];
+
+    for (const [current, entry] of this.files) {
+      const renamed = entry.originalPath !== current;
+      if (!renamed && entry.content === entry.originalContent) continue;
+
+      changes.push({
+        oldPath: entry.originalPath ? this.relative(entry.originalPath) : null,
+        newPath: this.relative(current),
+        oldContent: entry.originalContent,
+        newContent: entry.content,
+      });
+    }
+
+    return changes.sort((a, b) => (a.oldPath || a.newPath).localeCompare(b.oldPath || b.newPath));
+  }
+
+  /**
+   * Formats file changes as a unified diff
+   * @param {Array<Object>} changes - File changes from plan()
+   * @returns {string} Unified diff
+   */
+  formatDiff(changes) {
+    return changes.map(change => createUnifiedDiff(change)).join('');
+  }
+
+  /**
+   * Writes planned changes to disk
+   * @param {Array<Object>} changes - File changes from plan()
+   */
+  apply(changes) {
+    for (const change of changes) {
+      const target = path.join(this.projectRoot, change.newPath);
+      this.fs.mkdirSync(path.dirname(target), { recursive: true });
+      this.fs.writeFileSync(target, change.newContent);
+
+      if (change.oldPath && change.oldPath !== change.newPath) {
+        this.fs.unlinkSync(path.join(this.projectRoot, change.oldPath));
+      }
+    }
+  }
+
+  // Helpers
+
+  parse(file) {
+    const scriptKind = file.endsWith('x') ? ts.ScriptKind.TSX : ts.ScriptKind.TS;
+    return ts.createSourceFile(file, this.files.get(file).content, ts.ScriptTarget.Latest, true, scriptKind);
+  }
+
+  findNodes(sourceFile, predicate) {
+    const nodes = [];
+    const visit = (node) => {
+      if (predicate(node)) nodes.push(node);
+      ts.forEachChild(node, visit);
+    };
+    visit(sourceFile);
+    return nodes;
+  }
+
+  hasLocalReference(file, name) {
+    return this.findNodes(this.parse(file), node =>
+      ts.isIdentifier(node) && node.text === name && this.isSymbolReference(node)
+    ).length > 0;
+  }
+
+  hasOtherDeclaration(sourceFile, name) {
+    return this.findNodes(sourceFile, node =>
+      !ts.isInterfaceDeclaration(node) &&
+      (ts.isClassDeclaration(node) || ts.isFunctionDeclaration(node) || ts.isTypeAliasDeclaration(node) ||
+        ts.isEnumDeclaration(node) || ts.isVariableDeclaration(node) || ts.isModuleDeclaration(node)) &&
+      node.name && ts.isIdentifier(node.name) && node.name.text === name
+    ).length > 0;
+  }
+
+  usesName(text, name) {
+    return new RegExp(`(^|[^\\w$])${this.escapeRegExp(name)}(?![\\w$])`).test(text);
+  }
+
+  applyEdits(file, edits) {
+    if (edits.length === 0) return;
+
+    let content = this.files.get(file).content;
+    for (const edit of [...edits].sort((a, b) => b.start - a.start)) {
+      content = content.slice(0, edit.start) + edit.text + content.slice(edit.end);
+    }
+    this.setContent(file, content);
+  }
+
+  setContent(file, content) {
+    const entry = this.files.get(file);
+    entry.content = content;
+    entry.version += 1;
+  }
+
+  isScript(file) {
+    return SCRIPT_EXTENSIONS.includes(path.extname(file)) && !/\.d\.[cm]?ts$/.test(file);
+  }
+
+  getExtension(file) {
+    return file.endsWith('.d.ts') ? '.d.ts' : path.extname(file);
+  }
+
+  escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  relative(file) {
+    return path.relative(this.projectRoot, file).replace(/\\/g, '/');
+  }
+
+  record(code, file, description) {
+    this.fixes.push({ code, file: this.relative(file), description });
+  }
+
+  skip(code, file, reason) {
+    this.skipped.push({ code, file: this.relative(file), reason });
+  }
+}
+
+ReviewFixer.FIXABLE_CODES = FIXABLE_CODES;
+
+module.exports = ReviewFixer;
@@ -0,0 +1,186 @@
+/**
+ * Review Watcher
+ * Keeps `review --watch` running: re-reviews the project when source files change
+ * and prints only the violations that appeared or were resolved since the last run.
+ * Each run uses a fresh CodeReviewer, so the incremental cache (.dev/.cache/review)
+ * limits the work to changed files and their dependents
+ */
+
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const { compareWithBaseline } = require('./baseline');
+
+/**
+ * Quiet period after the last file event before a run starts (editors often write several times)
+ */
+const WATCH_DEBOUNCE_MS = 200;
+
+/**
+ * Compares fingerprinted violations of two runs
+ * Fingerprints ignore line numbers, so violations that only moved are neither new nor resolved
+ * @param {Array<Object>} previous - Entries from CodeReviewer.getFingerprintedViolations()
+ * @param {Array<Object>} current - Entries from CodeReviewer.getFingerprintedViolations()
+ * @returns {{added: Array<Object>, resolved: Array<Object>}}
+ */
+function diffViolations(previous, current) {
+  const { newEntries, fixed } = compareWithBaseline(current, { violations: previous });
+  return { added: newEntries, resolved: fixed };
+}
+
+/**
+ * Formats the delta of one run
+ * @param {{added: Array<Object>, resolved: Array<Object>}} delta - Result of diffViolations()
+ * @param {Object} totals - Violation counts after the run ({ errors, warnings, info })
+ * @param {string[]} changedFiles - Project-relative paths that triggered the run
+ * @returns {string[]} Output lines
+ */
+function formatDelta(delta, totals, changedFiles) {
+  const trigger = changedFiles.length === 1 ? changedFiles[0] : `${changedFiles.length} files`;
+  const counts = `${totals.errors} error(s), ${totals.warnings} warning(s), ${totals.info} info`;
+  const lines = [
+    chalk.gray(`[${new Date().toLocaleTimeString()}] ${trigger} changed: `) +
+      `${chalk.red(`+${delta.added.length} new`)}, ${chalk.green(`-${delta.resolved.length} resolved`)} ` +
+      chalk.gray(`(${counts})`),
+  ];
+
+  for (const entry of delta.added) {
+    const { line, column } = entry.violation;
+    const location = line ? [entry.file, line, column].filter(Boolean).join(':') : entry.file;
+    lines.push(chalk.red(`  + ${entry.severity} [${entry.code}] ${location}: ${entry.message}`));
+  }
+  for (const entry of delta.resolved) {
+    lines.push(chalk.green(`  - [${entry.code}] ${entry.file}: ${entry.message}`));
+  }
+
+  return lines;
+}
+
+/**
+ * Counts violations by severity group
+ * @param {Object} violations - CodeReviewer violations ({ errors, warnings, info })
+ * @returns {{errors: number, warnings: number, info: number}}
+ */
+function countViolations(violations) {
+  return {
+    errors: violations.errors.length,
+    warnings: violations.warnings.length,
+    info: violations.info.length,
+  };
+}
+
+/**
+ * Watches the source root and re-reviews the project on changes
+ * @param {Function} createReviewer - Returns a new CodeReviewer for each run
+ * @param {Object} options - Options
+ * @param {Function} options.log - Output function (default: console.log)
+ * @param {Function} options.watch - fs.watch compatible function (for testing)
+ * @param {number} options.debounceMs - Quiet period before a run
+ * @returns {Promise<{close: Function, idle: Function}>} Resolves after the first run;
+ *   close() stops watching, idle() resolves when no run is pending
+ */
+async function watchReview(createReviewer, options = {}) {
+  const log = options.log || console.log;
+  const watch = options.watch || fs.watch;
+  const debounceMs = options.debounceMs ?? WATCH_DEBOUNCE_MS;
+
+  const probe = createReviewer();
+  const { projectRoot, srcPath } = probe;
+  if (!fs.existsSync(srcPath)) {
+    throw new Error(`Source directory not found at ${srcPath} (set "sourceRoot" in .dev/review.config.json)`);
+  }
+
+  let previous = null;
+  let timer = null;
+  let queue = Promise.resolve();
+  let recursive = true;
+  const changed = new Set();
+  const watchers = new Map();
+
+  const run = async () => {
+    const changedFiles = [...changed].sort();
+    changed.clear();
+
+    try {
+      const reviewer = createReviewer();
+      reviewer.resolveDiffScope();
+      const files = reviewer.collectSourceFiles(reviewer.srcPath);
+      await reviewer.parseFiles(files);
+      await reviewer.reviewFiles(files);
+
+      const current = reviewer.getFingerprintedViolations();
+      const totals = countViolations(reviewer.violations);
+      if (previous === null) {
+        log(chalk.blue(`👀 Watching ${path.relative(projectRoot, srcPath) || '.'} (${files.length} files): ` +
+          `${totals.errors} error(s), ${totals.warnings} warning(s), ${totals.info} info. Press Ctrl+C to stop.`));
+      } else {
+        formatDelta(diffViolations(previous, current), totals, changedFiles).forEach(line => log(line));
+      }
+      previous = current;
+      if (!recursive) watchDirectories();
+    } catch (error) {
+      // Keep watching: the next save may fix the problem (e.g. an invalid review config)
+      log(chalk.red(`❌ Review failed: ${error.message}`));
+    }
+  };
+
+  const schedule = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      timer = null;
+      queue = queue.then(run);
+    }, debounceMs);
+  };
+
+  // Events for other files are ignored; names without an extension may be new directories
+  const onEvent = dir => (eventType, filename) => {
+    const file = filename ? path.join(dir, filename.toString()) : null;
+    if (file && probe.isSourcePath(file)) {
+      changed.add(path.relative(projectRoot, file));
+    } else if (file && path.extname(file)) {
+      return;
+    }
+    schedule();
+  };
+
+  // Recursive fs.watch is unavailable on Linux before Node 20: watch every source
+  // directory instead, adding new ones after each run
+  function watchDirectories() {
+    const directories = new Set([srcPath]);
+    for (const file of probe.collectSourceFiles(srcPath)) {
+      for (let dir = path.dirname(file); dir.startsWith(srcPath) && !directories.has(dir); dir = path.dirname(dir)) {
+        directories.add(dir);
+      }
+    }
+    for (const dir of directories) {
+      if (!watchers.has(dir)) watchers.set(dir, watch(dir, onEvent(dir)));
+    }
+  }
+
+  try {
+    watchers.set(srcPath, watch(srcPath, { recursive: true }, onEvent(srcPath)));
+  } catch (error) {
+    if (error.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') throw error;
+    recursive = false;
+    watchDirectories();
+  }
+
+  queue = queue.then(run);
+  await queue;
+
+  return {
+    close() {
+      clearTimeout(timer);
+      for (const watcher of watchers.values()) watcher.close();
+      watchers.clear();
+    },
+    idle: () => queue,
+  };
+}
+
+module.exports = {
+  WATCH_DEBOUNCE_MS,
+  diffViolations,
+  formatDelta,
+  watchReview,
+};
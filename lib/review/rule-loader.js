@@ -0,0 +1,133 @@
+/**
+ * Custom Rule Loader
+ * Loads project review rules from .dev/review-rules/*.js and from npm packages
+ * listed in the review config's "plugins", so teams can add their own checks
+ * without forking the reviewer
+ *
+ * A rule module exports one rule, an array of rules, or { rules: [...] }:
+ *
+ *   module.exports = {
+ *     id: 'CONTROLLER_REPOSITORY',   // violation code (UPPER_SNAKE_CASE)
+ *     severity: 'error',             // default severity: error, warning or info
+ *     name: 'Controller uses repository',         // optional, shown in reports
+ *     description: 'Controllers must go through services.', // optional
+ *     check(context) {               // may be async
+ *       for (const file of context.files) { ... context.addViolation(file, line, message); }
+ *     },
+ *   };
+ *
+ * See CodeReviewer.createRuleContext() for the context passed to check()
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { BUILTIN_RULES } = require('./rules');
+
+const LOCAL_RULES_DIR = '.dev/review-rules';
+const RULE_SEVERITIES = ['error', 'warning', 'info'];
+const RULE_ID_PATTERN = /^[A-Z][A-Z0-9_]*$/;
+
+/**
+ * Requires a rule module, resolving package names from the project root
+ * @param {string} id - Absolute file path or package name
+ * @param {string} projectRoot - Project root directory
+ * @returns {*} Module exports
+ */
+function requireRuleModule(id, projectRoot) {
+  return require(require.resolve(id, { paths: [projectRoot] }));
+}
+
+/**
+ * Validates a rule exported by a rule module
+ * @param {*} rule - Exported rule
+ * @param {string} source - Where the rule came from (for error messages)
+ * @returns {{id: string, severity: string, name: string, description: string, check: Function, source: string}}
+ */
+function validateRule(rule, source) {
+  if (!rule || typeof rule !== 'object') {
+    throw new Error(`Invalid review rule in ${source}: expected an object with id, severity and check()`);
+  }
+  if (typeof rule.id !== 'string' || !RULE_ID_PATTERN.test(rule.id)) {
+    throw new Error(`Invalid review rule in ${source}: "id" must be an UPPER_SNAKE_CASE code (got ${JSON.stringify(rule.id)})`);
+  }
+  if (!RULE_SEVERITIES.includes(rule.severity)) {
+    throw new Error(`Invalid review rule in ${source}: rule ${rule.id} needs a "severity" of ${RULE_SEVERITIES.join(', ')}`);
+  }
+  if (typeof rule.check !== 'function') {
+    throw new Error(`Invalid review rule in ${source}: rule ${rule.id} needs a check(context) function`);
+  }
+
+  return {
+    id: rule.id,
+    severity: rule.severity,
+    name: typeof rule.name === 'string' ? rule.name : rule.id,
+    description: typeof rule.description === 'string' ? rule.description : rule.id,
+    check: rule.check,
+    source,
+  };
+}
+
+/**
+ * Normalizes a rule module's exports to a list of rules
+ * @param {*} exported - Module exports
+ * @returns {Array<*>} Exported rules (not yet validated)
+ */
+function getExportedRules(exported) {
+  if (Array.isArray(exported)) return exported;
+  if (exported && Array.isArray(exported.rules)) return exported.rules;
+  return [exported];
+}
+
+/**
+ * Loads custom rules: local rule files (sorted by name), then plugin packages in config order
+ * @param {string} projectRoot - Project root directory
+ * @param {Object} config - Review configuration (uses "plugins")
+ * @param {Object} options - Options
+ * @param {Object} options.fs - File system module (for testing)
+ * @param {Function} options.requireModule - Module loader (id, projectRoot) => exports (for testing)
+ * @returns {Array<Object>} Validated rules (see validateRule)
+ */
+function loadCustomRules(projectRoot, config, options = {}) {
+  const fsModule = options.fs || fs;
+  const requireModule = options.requireModule || requireRuleModule;
+
+  const sources = [];
+  const rulesDir = path.join(projectRoot, LOCAL_RULES_DIR);
+  if (fsModule.existsSync(rulesDir)) {
+    fsModule.readdirSync(rulesDir)
+      .filter(name => name.endsWith('.js'))
+      .sort()
+      .forEach(name => sources.push({ id: path.join(rulesDir, name), label: `${LOCAL_RULES_DIR}/${name}` }));
+  }
+  (config.plugins || []).forEach(name => sources.push({ id: name, label: name }));
+
+  const rules = [];
+  const definedBy = new Map(Object.keys(BUILTIN_RULES).map(code => [code, 'the built-in rules']));
+
+  for (const source of sources) {
+    let exported;
+    try {
+      exported = requireModule(source.id, projectRoot);
+    } catch (error) {
+      throw new Error(`Cannot load review rules from ${source.label}: ${error.message}`, { cause: error });
+    }
+
+    for (const candidate of getExportedRules(exported)) {
+      const rule = validateRule(candidate, source.label);
+      if (definedBy.has(rule.id)) {
+        throw new Error(`Invalid review rule in ${source.label}: ${rule.id} is already defined by ${definedBy.get(rule.id)}`);
+      }
+      definedBy.set(rule.id, source.label);
+      rules.push(rule);
+    }
+  }
+
+  return rules;
+}
+
+module.exports = {
+  LOCAL_RULES_DIR,
+  RULE_SEVERITIES,
+  validateRule,
+  loadCustomRules,
+};
@@ -0,0 +1,185 @@
+/**
+ * Review Rule Metadata
+ * Describes every violation code CodeReviewer can report
+ * Used by machine-readable reports (JSON, SARIF) and documentation
+ */
+
+/**
+ * Built-in rules keyed by violation code
+ * - check: CodeReviewer method that reports the code
+ * - severity: default severity (error, warning, info)
+ */
+const BUILTIN_RULES = {
+  PARSE_ERROR: {
+    check: 'parseFiles',
+    severity: 'error',
+    name: 'Parse error',
+    description: 'The file could not be parsed.',
+  },
+  LAYER_VIOLATION: {
+    check: 'checkLayerViolations',
+    severity: 'error',
+    name: 'Layer violation',
+    description: 'A layer imports from a layer it may not depend on (e.g. domain importing infrastructure).',
+  },
+  DOMAIN_IMPURITY: {
+    check: 'checkExternalDependencies',
+    severity: 'error',
+    name: 'Domain impurity',
+    description: 'A layer imports an npm package or Node built-in its externalDependencies allow/deny list forbids (by default, the domain may not import any).',
+  },
+  INTERFACE_NAMING: {
+    check: 'checkInterfaceConventions',
+    severity: 'warning',
+    name: 'Interface naming',
+    description: "Interfaces should be prefixed with 'I'.",
+  },
+  FILE_NAMING: {
+    check: 'checkInterfaceConventions',
+    severity: 'warning',
+    name: 'File naming',
+    description: 'A file declaring a single interface should be named after it.',
+  },
+  MULTIPLE_INTERFACES: {
+    check: 'checkInterfaceConventions',
+    severity: 'info',
+    name: 'Multiple interfaces',
+    description: 'A file declares several interfaces and could be split.',
+  },
+  REPOSITORY_LOCATION: {
+    check: 'checkRepositoryPattern',
+    severity: 'error',
+    name: 'Repository location',
+    description: 'Repository interfaces belong in domain/, implementations in infrastructure/repositories/.',
+  },
+  REPOSITORY_DI: {
+    check: 'checkRepositoryPattern',
+    severity: 'warning',
+    name: 'Repository dependency injection',
+    description: 'Repositories should receive dependencies through constructor injection.',
+  },
+  REPOSITORY_INTERFACE: {
+    check: 'checkTypeConformance',
+    severity: 'error',
+    name: 'Repository interface',
+    description: "A repository class should implement its domain interface (UserRepository implements IUserRepository) and match it.",
+  },
+  SERVICE_LOCATION: {
+    check: 'checkServicePattern',
+    severity: 'warning',
+    name: 'Service location',
+    description: 'Service interfaces typically belong in application/interfaces/.',
+  },
+  SERVICE_DI: {
+    check: 'checkServicePattern',
+    severity: 'warning',
+    name: 'Service dependency injection',
+    description: 'Services should receive dependencies through constructor injection.',
+  },
+  DI_NOT_REGISTERED: {
+    check: 'checkDiRegistration',
+    severity: 'warning',
+    name: 'DI registration missing',
+    description: 'A repository or service class is never referenced by the DI registration module (diRegistration).',
+  },
+  DI_TOKEN_ORPHAN: {
+    check: 'checkDiRegistration',
+    severity: 'warning',
+    name: 'Orphaned DI token',
+    description: 'A *_TOKEN constant in the DI registration module names a class that does not exist.',
+  },
+  CONCRETE_DEPENDENCY: {
+    check: 'checkTypeConformance',
+    severity: 'warning',
+    name: 'Concrete dependency',
+    description: 'A service constructor parameter is typed with a concrete project class instead of an interface.',
+  },
+  MISSING_TEST: {
+    check: 'checkTestCoverage',
+    severity: 'warning',
+    name: 'Missing test',
+    description: 'A class in an application or repository file has no test matching testConventions.patterns.',
+  },
+  LOW_COVERAGE: {
+    check: 'checkTestCoverage',
+    severity: 'warning',
+    name: 'Low coverage',
+    description: 'The coverage summary reports line coverage below testConventions.minCoverage for the file.',
+  },
+  ERROR_INHERITANCE: {
+    check: 'checkDomainErrors',
+    severity: 'error',
+    name: 'Error inheritance',
+    description: 'Error classes should extend DomainError or Error.',
+  },
+  USE_DOMAIN_ERROR: {
+    check: 'checkDomainErrors',
+    severity: 'warning',
+    name: 'Use DomainError',
+    description: 'Domain error classes should extend DomainError instead of Error.',
+  },
+  ANY_TYPE: {
+    check: 'checkTypeScriptQuality',
+    severity: 'warning',
+    name: 'Explicit any',
+    description: "Avoid the 'any' type; use specific types instead.",
+  },
+  UNEXPLAINED_TS_DIRECTIVE: {
+    check: 'checkTypeScriptQuality',
+    severity: 'warning',
+    name: 'Unexplained TypeScript directive',
+    description: 'A @ts-ignore or @ts-expect-error comment does not explain which error it suppresses and why.',
+  },
+  CIRCULAR_DEPENDENCY: {
+    check: 'checkCircularDependencies',
+    severity: 'warning',
+    name: 'Circular dependency',
+    description: 'Source files import each other in a cycle; cycles spanning several layers are errors.',
+  },
+  INVALID_SUPPRESSION: {
+    check: 'applySuppressions',
+    severity: 'warning',
+    name: 'Invalid suppression',
+    description: "An ai-dotfiles-disable comment lacks rule codes or a '-- reason' justification, so it is ignored.",
+  },
+  UNUSED_SUPPRESSION: {
+    check: 'applySuppressions',
+    severity: 'info',
+    name: 'Unused suppression',
+    description: 'An ai-dotfiles-disable comment does not match any violation and can be removed.',
+  },
+};
+
+/**
+ * Returns the violation codes reported by a CodeReviewer check method
+ * @param {string} check - Check method name
+ * @returns {string[]} Violation codes
+ */
+function getRuleCodesForCheck(check) {
+  return Object.keys(BUILTIN_RULES).filter(code => BUILTIN_RULES[code].check === check);
+}
+
+/**
+ * Returns metadata for a violation code, with a fallback for unknown codes
+ * @param {string} code - Violation code
+ * @param {Array<Object>} customRules - Metadata of loaded custom rules ({ code, severity, name, description })
+ * @returns {Object} Rule metadata ({ code, severity, name, description })
+ */
+function getRuleMetadata(code, customRules = []) {
+  const custom = customRules.find(rule => rule.code === code);
+  if (custom) {
+    return { code, severity: custom.severity, name: custom.name, description: custom.description };
+  }
+
+  const rule = BUILTIN_RULES[code];
+  if (!rule) {
+    return { code, severity: 'warning', name: code, description: code };
+  }
+  return { code, severity: rule.severity, name: rule.name, description: rule.description };
+}
+
+module.exports = {
+  BUILTIN_RULES,
+  getRuleCodesForCheck,
+  getRuleMetadata,
+};
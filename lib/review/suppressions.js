@@ -0,0 +1,119 @@
+/**
+ * Review Suppressions Module
+ * Parses inline suppression comments for CodeReviewer findings:
+ *
+ *   // ai-dotfiles-disable-next-line LAYER_VIOLATION -- reason
+ *   /* ai-dotfiles-disable ANY_TYPE, FILE_NAMING -- reason *\/
+ *
+ * `disable-next-line` covers the line after the comment, `disable` covers the whole
+ * file. Python files use `#` comments with the same syntax. A justification after
+ * `--` is required; suppressions without one are ignored and reported.
+ */
+
+const ts = require('typescript');
+
+const DIRECTIVE_PATTERN = /^ai-dotfiles-disable(-next-line)?(?=\s|$)(.*)$/;
+const CODE_PATTERN = /^[A-Z][A-Z0-9_]*$/;
+
+/**
+ * Parses a single comment body into a suppression
+ * @param {string} body - Comment text without comment markers
+ * @param {number} line - 1-based line where the comment starts
+ * @param {number} endLine - 1-based line where the comment ends
+ * @returns {Object|null} Suppression ({ scope, codes, reason, line, targetLine }) or null
+ */
+function parseDirective(body, line, endLine) {
+  const match = body.trim().match(DIRECTIVE_PATTERN);
+  if (!match) return null;
+
+  const separator = match[2].indexOf('--');
+  const codesText = separator === -1 ? match[2] : match[2].slice(0, separator);
+  const reason = separator === -1 ? '' : match[2].slice(separator + 2).trim();
+  const codes = codesText.split(/[\s,]+/).filter(Boolean);
+
+  return {
+    scope: match[1] ? 'next-line' : 'file',
+    codes,
+    reason,
+    line,
+    targetLine: match[1] ? endLine + 1 : null,
+    valid: reason.length > 0 && codes.length > 0 && codes.every(code => CODE_PATTERN.test(code)),
+    used: false,
+  };
+}
+
+/**
+ * Collects every comment in a TypeScript/JavaScript AST
+ * @param {ts.SourceFile} sourceFile - Parsed file
+ * @returns {Array<{text: string, pos: number, end: number}>} Comments in source order
+ */
+function collectComments(sourceFile) {
+  const text = sourceFile.getFullText();
+  const comments = new Map();
+
+  // Every comment is leading or trailing trivia of some token, so visiting all tokens finds them all
+  const visit = (node) => {
+    const ranges = [
+      ...(ts.getLeadingCommentRanges(text, node.getFullStart()) || []),
+      ...(ts.getTrailingCommentRanges(text, node.getEnd()) || []),
+    ];
+    for (const range of ranges) {
+      comments.set(range.pos, { text: text.slice(range.pos, range.end), pos: range.pos, end: range.end });
+    }
+    node.getChildren(sourceFile).forEach(visit);
+  };
+  visit(sourceFile);
+
+  return [...comments.values()].sort((a, b) => a.pos - b.pos);
+}
+
+/**
+ * Parses the suppressions declared in a cached file
+ * @param {Object} cached - CodeReviewer file cache entry ({ sourceFile, content })
+ * @returns {Array<Object>} Suppressions
+ */
+function parseSuppressions(cached) {
+  const suppressions = [];
+
+  if (cached.sourceFile) {
+    const { sourceFile } = cached;
+    const lineOf = position => sourceFile.getLineAndCharacterOfPosition(position).line + 1;
+
+    for (const comment of collectComments(sourceFile)) {
+      const body = comment.text.startsWith('//')
+        ? comment.text.slice(2)
+        : comment.text.slice(2, -2).replace(/^\s*\*/gm, ' ');
+      const suppression = parseDirective(body, lineOf(comment.pos), lineOf(comment.end));
+      if (suppression) suppressions.push(suppression);
+    }
+    return suppressions;
+  }
+
+  // Line comments for sources without an AST (Python)
+  (cached.content || '').split(/\r?\n/).forEach((text, index) => {
+    const match = text.match(/^\s*#(.*)$/);
+    const suppression = match && parseDirective(match[1], index + 1, index + 1);
+    if (suppression) suppressions.push(suppression);
+  });
+  return suppressions;
+}
+
+/**
+ * Finds the suppression that covers a violation
+ * @param {Array<Object>} suppressions - Valid suppressions of the violation's file
+ * @param {Object} violation - Violation ({ code, line })
+ * @returns {Object|null} Matching suppression
+ */
+function findSuppression(suppressions, violation) {
+  return suppressions.find(suppression =>
+    suppression.codes.includes(violation.code) &&
+    (suppression.scope === 'file' || (violation.line && suppression.targetLine === violation.line))
+  ) || null;
+}
+
+module.exports = {
+  parseDirective,
+  collectComments,
+  parseSuppressions,
+  findSuppression,
+};
@@ -0,0 +1,104 @@
+/**
+ * Test Coverage Module
+ * Maps source classes to the test paths the project's conventions allow
+ * (testConventions.patterns) and reads per-file line coverage from an
+ * Istanbul json-summary report (coverage/coverage-summary.json)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Source extensions per language, used to pick the conventions listed for a file
+ */
+const LANGUAGE_EXTENSIONS = {
+  typescript: ['.ts', '.tsx', '.mts', '.cts'],
+  javascript: ['.js', '.jsx', '.mjs', '.cjs'],
+  python: ['.py'],
+};
+
+/**
+ * Returns the language of a file or test path pattern from its extension
+ * @param {string} file - File path or pattern
+ * @returns {string|null} typescript, javascript or python; null for other extensions
+ *   and patterns ending in {ext}
+ */
+function getLanguage(file) {
+  const extension = path.extname(file);
+  return Object.keys(LANGUAGE_EXTENSIONS).find(language => LANGUAGE_EXTENSIONS[language].includes(extension)) || null;
+}
+
+/**
+ * Expands the placeholders of test path patterns for one class
+ * Other braces are left alone, so '{dir}/{name}.{test,spec}.ts' keeps its glob group
+ * @param {string[]} patterns - Patterns from testConventions.patterns
+ * @param {Object} target - Values for the placeholders
+ * @param {string} target.name - Class name
+ * @param {string} target.file - Source file name without extension
+ * @param {string} target.dir - Project-relative directory of the source file ('' for the root)
+ * @param {string} target.ext - Source file extension without the dot (ts, js, ...)
+ * @returns {string[]} Project-relative globs
+ */
+function expandTestPatterns(patterns, { name, file, dir, ext }) {
+  const values = { name, file, dir: dir || '.', ext };
+  return patterns.map(pattern => pattern
+    .replace(/\{(name|file|dir|ext)\}/g, (match, key) => values[key])
+    .replace(/^\.\//, ''));
+}
+
+/**
+ * Picks the patterns to list for a source file
+ * Patterns for the file's language come first; without them, patterns ending in {ext}
+ * (or another extension) apply, and without those, all patterns
+ * @param {string[]} patterns - Patterns from testConventions.patterns
+ * @param {string} sourceFile - Source file path
+ * @returns {string[]} Patterns for the file
+ */
+function selectTestPatterns(patterns, sourceFile) {
+  const language = getLanguage(sourceFile);
+  const own = patterns.filter(pattern => getLanguage(pattern) === language);
+  if (own.length > 0) return own;
+
+  const generic = patterns.filter(pattern => getLanguage(pattern) === null);
+  return generic.length > 0 ? generic : patterns;
+}
+
+/**
+ * Loads line coverage per file from an Istanbul json-summary report
+ * @param {string} projectRoot - Project root directory
+ * @param {string|null} summaryPath - Project-relative report path
+ * @param {Object} fsModule - File system module (for testing)
+ * @returns {Map<string, number>|null} Project-relative path -> line coverage percentage,
+ *   or null when there is no report
+ */
+function loadCoverageSummary(projectRoot, summaryPath, fsModule = fs) {
+  if (!summaryPath) return null;
+
+  const reportPath = path.resolve(projectRoot, summaryPath);
+  if (!fsModule.existsSync(reportPath)) return null;
+
+  let summary;
+  try {
+    summary = JSON.parse(fsModule.readFileSync(reportPath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Invalid coverage summary at ${reportPath}: ${error.message}`);
+  }
+  if (!summary || typeof summary !== 'object' || Array.isArray(summary)) {
+    throw new Error(`Invalid coverage summary at ${reportPath}: expected a JSON object`);
+  }
+
+  // Keys are absolute paths (Jest, nyc) or paths relative to the directory tests ran in
+  const coverage = new Map();
+  for (const [file, metrics] of Object.entries(summary)) {
+    if (file === 'total' || !metrics || !metrics.lines || typeof metrics.lines.pct !== 'number') continue;
+    const relative = path.relative(projectRoot, path.resolve(projectRoot, file)).replace(/\\/g, '/');
+    coverage.set(relative, metrics.lines.pct);
+  }
+  return coverage;
+}
+
+module.exports = {
+  expandTestPatterns,
+  selectTestPatterns,
+  loadCoverageSummary,
+};
@@ -0,0 +1,150 @@
+/**
+ * Text Diff Module
+ * Produces git-style unified diffs for reviewer autofix previews
+ * Pure functions with no side effects for easy testing
+ */
+
+const CONTEXT_LINES = 3;
+
+/**
+ * Computes a line-level edit script between two texts (LCS based)
+ * @param {string[]} oldLines - Original lines
+ * @param {string[]} newLines - Updated lines
+ * @returns {Array<{type: string, line: string}>} Operations (' ', '-', '+')
+ */
+function diffLines(oldLines, newLines) {
+  // Trim common prefix and suffix so the LCS table only covers the changed region
+  let prefix = 0;
+  while (prefix < oldLines.length && prefix < newLines.length && oldLines[prefix] === newLines[prefix]) {
+    prefix++;
+  }
+
+  let suffix = 0;
+  while (
+    suffix < oldLines.length - prefix &&
+    suffix < newLines.length - prefix &&
+    oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  const a = oldLines.slice(prefix, oldLines.length - suffix);
+  const b = newLines.slice(prefix, newLines.length - suffix);
+
+  const table = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      table[i][j] = a[i] === b[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+
+  const ops = oldLines.slice(0, prefix).map(line => ({ type: ' ', line }));
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      ops.push({ type: ' ', line: a[i] });
+      i++;
+      j++;
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      ops.push({ type: '-', line: a[i++] });
+    } else {
+      ops.push({ type: '+', line: b[j++] });
+    }
+  }
+  while (i < a.length) ops.push({ type: '-', line: a[i++] });
+  while (j < b.length) ops.push({ type: '+', line: b[j++] });
+  oldLines.slice(oldLines.length - suffix).forEach(line => ops.push({ type: ' ', line }));
+
+  return ops;
+}
+
+/**
+ * Groups edit operations into unified diff hunks
+ * @param {Array<{type: string, line: string}>} ops - Operations from diffLines
+ * @returns {string[]} Hunk text blocks
+ */
+function buildHunks(ops) {
+  const hunks = [];
+  let index = 0;
+
+  while (index < ops.length) {
+    // Find the next change
+    while (index < ops.length && ops[index].type === ' ') index++;
+    if (index >= ops.length) break;
+
+    const start = Math.max(0, index - CONTEXT_LINES);
+    let end = index;
+
+    // Extend the hunk while changes are within 2 * context lines of each other
+    let lastChange = index;
+    while (end < ops.length) {
+      if (ops[end].type !== ' ') {
+        lastChange = end;
+      } else if (end - lastChange > CONTEXT_LINES * 2) {
+        break;
+      }
+      end++;
+    }
+    end = Math.min(ops.length, lastChange + CONTEXT_LINES + 1);
+
+    // Line numbers at the hunk start
+    let oldStart = 1;
+    let newStart = 1;
+    for (let k = 0; k < start; k++) {
+      if (ops[k].type !== '+') oldStart++;
+      if (ops[k].type !== '-') newStart++;
+    }
+
+    const slice = ops.slice(start, end);
+    const oldCount = slice.filter(op => op.type !== '+').length;
+    const newCount = slice.filter(op => op.type !== '-').length;
+
+    const header = `@@ -${oldCount === 0 ? oldStart - 1 : oldStart},${oldCount} +${newCount === 0 ? newStart - 1 : newStart},${newCount} @@`;
+    hunks.push([header, ...slice.map(op => `${op.type}${op.line}`)].join('\n'));
+    index = end;
+  }
+
+  return hunks;
+}
+
+/**
+ * Creates a git-style unified diff for a single file change
+ * @param {Object} change - File change
+ * @param {string|null} change.oldPath - Original path (null for created files)
+ * @param {string|null} change.newPath - New path (null for deleted files)
+ * @param {string} change.oldContent - Original content ('' for created files)
+ * @param {string} change.newContent - New content ('' for deleted files)
+ * @returns {string} Unified diff ('' if nothing changed)
+ */
+function createUnifiedDiff({ oldPath, newPath, oldContent = '', newContent = '' }) {
+  const renamed = oldPath && newPath && oldPath !== newPath;
+  if (!renamed && oldContent === newContent) {
+    return '';
+  }
+
+  const displayOld = oldPath || newPath;
+  const displayNew = newPath || oldPath;
+  const lines = [`diff --git a/${displayOld} b/${displayNew}`];
+
+  if (!oldPath) lines.push('new file mode 100644');
+  if (!newPath) lines.push('deleted file mode 100644');
+  if (renamed) {
+    lines.push(`rename from ${oldPath}`);
+    lines.push(`rename to ${newPath}`);
+  }
+
+  if (oldContent !== newContent) {
+    const toLines = (text) => (text === '' ? [] : text.replace(/\n$/, '').split('\n'));
+    lines.push(`--- ${oldPath ? `a/${oldPath}` : '/dev/null'}`);
+    lines.push(`+++ ${newPath ? `b/${newPath}` : '/dev/null'}`);
+    lines.push(...buildHunks(diffLines(toLines(oldContent), toLines(newContent))));
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  diffLines,
+  createUnifiedDiff,
+};
@@ -0,0 +1,93 @@
+/**
+ * Type Program
+ * Builds a TypeScript Program over the reviewed files so checks can use the type
+ * checker across files (resolved heritage clauses, parameter types, implementation
+ * diagnostics). ASTs already parsed by the reviewer are reused instead of reparsed
+ */
+
+const path = require('path');
+const ts = require('typescript');
+
+/**
+ * Diagnostics of a class that does not satisfy the interfaces it implements:
+ * 2420 "Class 'X' incorrectly implements interface 'Y'" (missing members),
+ * 2416 "Property 'p' in type 'X' is not assignable to the same property in base type 'Y'"
+ * (mismatched signatures), and the assignability errors 2322, 2739 and 2741
+ */
+const IMPLEMENTATION_ERROR_CODES = new Set([2420, 2416, 2322, 2739, 2741]);
+
+/**
+ * Creates a Program for the given files
+ * Only the root files and what they import are loaded. Automatic @types packages are
+ * skipped unless the tsconfig lists "types", since the checks only need project types
+ * @param {string[]} rootNames - Absolute paths of the files to check
+ * @param {Object} compilerOptions - Compiler options from the project's tsconfig
+ * @param {Object} sources - Files the reviewer already holds in memory
+ * @param {string[]} sources.files - Absolute paths of the reviewed files
+ * @param {Function} sources.getSourceFile - Returns the reviewer's ts.SourceFile for a reviewed file
+ * @returns {ts.Program} Program (nothing is emitted)
+ */
+function createTypeProgram(rootNames, compilerOptions, sources) {
+  const options = { ...compilerOptions, types: compilerOptions.types || [], noEmit: true, skipLibCheck: true };
+  const host = ts.createCompilerHost(options, true);
+  const { fileExists, directoryExists, getSourceFile } = host;
+
+  const files = new Set(sources.files);
+  const directories = new Set();
+  for (const file of files) {
+    for (let dir = path.dirname(file); !directories.has(dir) && dir !== path.dirname(dir); dir = path.dirname(dir)) {
+      directories.add(dir);
+    }
+  }
+
+  host.fileExists = fileName => files.has(path.resolve(fileName)) || fileExists(fileName);
+  host.directoryExists = dir => directories.has(path.resolve(dir)) || directoryExists(dir);
+  host.getSourceFile = (fileName, ...args) => {
+    const file = path.resolve(fileName);
+    return files.has(file) ? sources.getSourceFile(file) : getSourceFile(fileName, ...args);
+  };
+
+  return ts.createProgram({ rootNames, options, host });
+}
+
+/**
+ * Resolves the symbol a type reference or heritage clause entry points at, following imports
+ * @param {ts.TypeChecker} checker - Type checker
+ * @param {ts.Node} node - TypeReferenceNode or ExpressionWithTypeArguments
+ * @returns {ts.Symbol|null} Declared symbol
+ */
+function resolveTypeSymbol(checker, node) {
+  const target = ts.isTypeReferenceNode(node) ? node.typeName : node.expression;
+  let symbol = target ? checker.getSymbolAtLocation(target) : null;
+  if (symbol && symbol.flags & ts.SymbolFlags.Alias) {
+    symbol = checker.getAliasedSymbol(symbol);
+  }
+  return symbol || null;
+}
+
+/**
+ * Returns the compiler's errors about how a class implements its interfaces
+ * Only diagnostics reported at the class name, its heritage clauses or a member name
+ * count, so type errors inside method bodies are left to the compiler
+ * @param {ts.Program} program - Program containing the class
+ * @param {ts.ClassDeclaration} classNode - Class declaration
+ * @returns {string[]} Flattened diagnostic messages
+ */
+function getImplementationErrors(program, classNode) {
+  const sourceFile = classNode.getSourceFile();
+  const anchors = new Set([
+    classNode.name,
+    ...(classNode.heritageClauses || []).flatMap(clause => clause.types),
+    ...classNode.members.map(member => member.name),
+  ].filter(Boolean).map(node => node.getStart(sourceFile)));
+
+  return program.getSemanticDiagnostics(sourceFile)
+    .filter(diagnostic => IMPLEMENTATION_ERROR_CODES.has(diagnostic.code) && anchors.has(diagnostic.start))
+    .map(diagnostic => ts.flattenDiagnosticMessageText(diagnostic.messageText, ' ').replace(/\s+/g, ' '));
+}
+
+module.exports = {
+  createTypeProgram,
+  resolveTypeSymbol,
+  getImplementationErrors,
+};
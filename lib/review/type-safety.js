@@ -0,0 +1,146 @@
+/**
+ * Type Safety Module
+ * AST helpers for checkTypeScriptQuality: explicit `any` types with the position
+ * they appear in, and @ts-ignore / @ts-expect-error comments
+ */
+
+const ts = require('typescript');
+
+/**
+ * Type nodes that only combine other types: `any[]`, `any | null`, `(any)`, `readonly any[]`, ...
+ * The context of an `any` inside them is that of the outermost combined type
+ */
+const COMPOSITE_TYPE_KINDS = new Set([
+  ts.SyntaxKind.ArrayType,
+  ts.SyntaxKind.UnionType,
+  ts.SyntaxKind.IntersectionType,
+  ts.SyntaxKind.ParenthesizedType,
+  ts.SyntaxKind.TypeOperator,
+  ts.SyntaxKind.TupleType,
+  ts.SyntaxKind.OptionalType,
+  ts.SyntaxKind.RestType,
+  ts.SyntaxKind.NamedTupleMember,
+]);
+
+/**
+ * Directive comments TypeScript honours: `// @ts-ignore`, `/* @ts-expect-error *\/`
+ * The text after the directive is the explanation
+ */
+const TS_DIRECTIVE_PATTERN = /^(?:\/\/\/?|\/\*+)\s*@(ts-ignore|ts-expect-error)\b(.*?)(?:\*\/)?$/s;
+
+/**
+ * Returns the name of a declaration for messages
+ * @param {ts.Node} node - Declaration
+ * @returns {string|null} Name, or null for anonymous declarations and binding patterns
+ */
+function getDeclarationName(node) {
+  return node.name && ts.isIdentifier(node.name) ? node.name.text : null;
+}
+
+/**
+ * Describes where an `any` keyword is used
+ * @param {ts.Node} node - AnyKeyword node
+ * @returns {{kind: string, name: string|null}} kind: parameter, return type, assertion,
+ *   generic argument, variable, property, index signature, type alias or type
+ */
+function getAnyContext(node) {
+  let child = node;
+  while (COMPOSITE_TYPE_KINDS.has(child.parent.kind)) {
+    child = child.parent;
+  }
+  const parent = child.parent;
+
+  if (parent.typeArguments && parent.typeArguments.includes(child)) {
+    return { kind: 'generic argument', name: null };
+  }
+  if (ts.isParameter(parent) && parent.type === child) {
+    return { kind: 'parameter', name: getDeclarationName(parent) };
+  }
+  // Index signatures count as function-like, so they are matched first
+  if (ts.isIndexSignatureDeclaration(parent)) {
+    return { kind: 'index signature', name: null };
+  }
+  if (ts.isFunctionLike(parent) && parent.type === child) {
+    return { kind: 'return type', name: getDeclarationName(parent) };
+  }
+  if (ts.isAsExpression(parent) || ts.isTypeAssertionExpression(parent) || ts.isSatisfiesExpression(parent)) {
+    return { kind: 'assertion', name: null };
+  }
+  if (ts.isVariableDeclaration(parent)) {
+    return { kind: 'variable', name: getDeclarationName(parent) };
+  }
+  if (ts.isPropertyDeclaration(parent) || ts.isPropertySignature(parent)) {
+    return { kind: 'property', name: getDeclarationName(parent) };
+  }
+  if (ts.isTypeAliasDeclaration(parent)) {
+    return { kind: 'type alias', name: getDeclarationName(parent) };
+  }
+  return { kind: 'type', name: null };
+}
+
+/**
+ * Returns the 1-based line and column of a position
+ * @param {ts.SourceFile} sourceFile - Source file
+ * @param {number} position - Character offset
+ * @returns {{line: number, column: number}}
+ */
+function getLocation(sourceFile, position) {
+  const { line, character } = sourceFile.getLineAndCharacterOfPosition(position);
+  return { line: line + 1, column: character + 1 };
+}
+
+/**
+ * Finds every explicit `any` type in a file
+ * @param {ts.SourceFile} sourceFile - Parsed TypeScript file
+ * @returns {Array<{line: number, column: number, kind: string, name: string|null}>} In source order
+ */
+function findExplicitAny(sourceFile) {
+  const found = [];
+
+  const visit = (node) => {
+    if (node.kind === ts.SyntaxKind.AnyKeyword) {
+      found.push({ ...getLocation(sourceFile, node.getStart(sourceFile)), ...getAnyContext(node) });
+    }
+    ts.forEachChild(node, visit);
+  };
+  visit(sourceFile);
+
+  return found;
+}
+
+/**
+ * Finds @ts-ignore and @ts-expect-error comments
+ * Comments are read as leading trivia of the AST nodes, so directive-like text in
+ * strings and template literals is not mistaken for one
+ * @param {ts.SourceFile} sourceFile - Parsed TypeScript file
+ * @returns {Array<{directive: string, explanation: string, line: number, column: number}>} In source order
+ */
+function findTsDirectives(sourceFile) {
+  const text = sourceFile.getFullText();
+  const seen = new Set();
+  const found = [];
+
+  const visit = (node) => {
+    for (const range of ts.getLeadingCommentRanges(text, node.getFullStart()) || []) {
+      if (seen.has(range.pos)) continue;
+      seen.add(range.pos);
+
+      const match = TS_DIRECTIVE_PATTERN.exec(text.slice(range.pos, range.end));
+      if (match) {
+        // "-- reason" and ": reason" both count; separators alone do not
+        const explanation = match[2].replace(/^[\s\-:]+/, '').trim();
+        found.push({ directive: `@${match[1]}`, explanation, ...getLocation(sourceFile, range.pos) });
+      }
+    }
+    ts.forEachChild(node, visit);
+  };
+  // The end of file token is visited too, so trailing comments are included
+  visit(sourceFile);
+
+  return found.sort((a, b) => a.line - b.line || a.column - b.column);
+}
+
+module.exports = {
+  findExplicitAny,
+  findTsDirectives,
+};
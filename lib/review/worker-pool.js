@@ -0,0 +1,88 @@
+/**
+ * Worker Pool
+ * Runs batches of work on worker_threads and returns the results in batch order,
+ * independent of which worker finished first
+ */
+
+const os = require('os');
+const { Worker } = require('worker_threads');
+
+/**
+ * Number of workers to use when --concurrency is not given
+ * @returns {number} Available CPU parallelism
+ */
+function getDefaultConcurrency() {
+  return typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length;
+}
+
+/**
+ * Splits items into batches of a given size
+ * @param {Array<*>} items - Items to split
+ * @param {number} size - Batch size
+ * @returns {Array<Array<*>>} Batches
+ */
+function createBatches(items, size) {
+  const batches = [];
+  for (let i = 0; i < items.length; i += size) {
+    batches.push(items.slice(i, i + size));
+  }
+  return batches;
+}
+
+/**
+ * Sends each batch to the next idle worker; a worker answers every message with one result
+ * @param {string} workerFile - Worker script (receives batches via parentPort messages)
+ * @param {Array<*>} batches - Batches to process (structured-cloneable)
+ * @param {Object} options - Options
+ * @param {number} options.concurrency - Maximum number of workers
+ * @param {*} options.workerData - Data passed to every worker
+ * @returns {Promise<Array<*>>} Results, in batch order
+ */
+async function runInWorkers(workerFile, batches, options = {}) {
+  const workerCount = Math.max(1, Math.min(options.concurrency || 1, batches.length));
+  const results = new Array(batches.length);
+  const workers = [];
+  let next = 0;
+
+  try {
+    await new Promise((resolve, reject) => {
+      let idle = 0;
+
+      for (let i = 0; i < workerCount; i++) {
+        const worker = new Worker(workerFile, { workerData: options.workerData });
+        workers.push(worker);
+        let current = -1;
+
+        const dispatch = () => {
+          if (next >= batches.length) {
+            idle++;
+            if (idle === workerCount) resolve();
+            return;
+          }
+          current = next++;
+          worker.postMessage(batches[current]);
+        };
+
+        worker.on('message', (result) => {
+          results[current] = result;
+          dispatch();
+        });
+        worker.on('error', reject);
+        worker.on('exit', (code) => {
+          if (code !== 0) reject(new Error(`Worker ${workerFile} exited with code ${code}`));
+        });
+        dispatch();
+      }
+    });
+  } finally {
+    await Promise.all(workers.map(worker => worker.terminate()));
+  }
+
+  return results;
+}
+
+module.exports = {
+  getDefaultConcurrency,
+  createBatches,
+  runInWorkers,
+};
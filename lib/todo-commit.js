@@ -0,0 +1,220 @@
+/**
+ * Todo Commit Policy Module
+ * Single source of truth for committing completed `.dev/todo.md` tasks
+ * Git access is injectable (options.exec) for easy testing
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execSync } = require('child_process');
+
+const TODO_RELATIVE_PATH = '.dev/todo.md';
+const COMMIT_TRAILER = '[ai-dotfiles-manager]';
+
+/**
+ * Extracts pending (`- [ ]`) task titles from todo markdown
+ * @param {string} content - Todo file content
+ * @returns {string[]} Pending task titles
+ */
+function parsePendingTasks(content = '') {
+  return (content.match(/- \[ \] .+/g) || []).map(t => t.replace('- [ ] ', '').trim());
+}
+
+/**
+ * Extracts completed (`- [x]`) task titles from todo markdown
+ * @param {string} content - Todo file content
+ * @returns {string[]} Completed task titles
+ */
+function parseCompletedTasks(content = '') {
+  return (content.match(/- \[x\] .+/gi) || []).map(t => t.replace(/- \[x\] /i, '').trim());
+}
+
+/**
+ * Finds tasks that were pending in the old content and are completed in the new content
+ * @param {string} oldContent - Previous todo content (e.g. HEAD or session start)
+ * @param {string} newContent - Current todo content
+ * @returns {string[]} Newly completed task titles
+ */
+function findCompletedTasks(oldContent = '', newContent = '') {
+  const oldPending = parsePendingTasks(oldContent);
+  const newCompleted = parseCompletedTasks(newContent);
+
+  return oldPending.filter(task => newCompleted.includes(task));
+}
+
+/**
+ * Builds the conventional commit message for completed tasks
+ * @param {string[]} tasks - Completed task titles
+ * @returns {string} Commit message
+ */
+function buildCommitMessage(tasks) {
+  if (tasks.length === 1) {
+    return `chore: complete task - ${tasks[0]}\n\n${COMMIT_TRAILER}`;
+  }
+
+  const taskList = tasks.map(task => `  - ${task}`).join('\n');
+  return `chore: complete ${tasks.length} tasks\n\n${taskList}\n\n${COMMIT_TRAILER}`;
+}
+
+/**
+ * Checks whether the project root is inside a git repository
+ * @param {string} projectRoot - Project root directory
+ * @param {Function} exec - execSync-compatible function
+ * @returns {boolean}
+ */
+function isGitRepository(projectRoot, exec = execSync) {
+  try {
+    exec('git rev-parse --git-dir', { cwd: projectRoot, stdio: 'ignore' });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Reads the committed version of `.dev/todo.md` from HEAD
+ * @param {string} projectRoot - Project root directory
+ * @param {Function} exec - execSync-compatible function
+ * @returns {string} Todo content at HEAD ('' if not committed yet)
+ */
+function readCommittedTodo(projectRoot, exec = execSync) {
+  try {
+    return exec(`git show HEAD:${TODO_RELATIVE_PATH}`, {
+      cwd: projectRoot,
+      encoding: 'utf-8',
+      stdio: ['ignore', 'pipe', 'ignore'],
+    });
+  } catch (error) {
+    // No HEAD yet, or todo.md has never been committed
+    return '';
+  }
+}
+
+/**
+ * Lists uncommitted files reported by `git status --porcelain`
+ * @param {string} projectRoot - Project root directory
+ * @param {Function} exec - execSync-compatible function
+ * @returns {Array<{status: string, path: string}>} Uncommitted files
+ */
+function getUncommittedFiles(projectRoot, exec = execSync) {
+  const output = exec('git status --porcelain', { cwd: projectRoot, encoding: 'utf-8' });
+
+  return output
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => ({
+      status: line.slice(0, 2).trim(),
+      path: line.slice(3).trim(),
+    }));
+}
+
+/**
+ * Diffs `.dev/todo.md` against HEAD and collects uncommitted work
+ * @param {string} projectRoot - Project root directory
+ * @param {Object} options - Options
+ * @param {Object} options.fs - File system module (for dependency injection)
+ * @param {Function} options.exec - execSync-compatible function (for dependency injection)
+ * @returns {Object} Check result
+ */
+function checkUncommittedWork(projectRoot, options = {}) {
+  const fsModule = options.fs || fs;
+  const exec = options.exec || execSync;
+
+  if (!isGitRepository(projectRoot, exec)) {
+    return { isGitRepo: false, completedTasks: [], uncommittedFiles: [], todoChanged: false, hasWork: false };
+  }
+
+  const todoPath = path.join(projectRoot, TODO_RELATIVE_PATH);
+  const currentTodo = fsModule.existsSync(todoPath) ? fsModule.readFileSync(todoPath, 'utf-8') : '';
+  const completedTasks = findCompletedTasks(readCommittedTodo(projectRoot, exec), currentTodo);
+  const uncommittedFiles = getUncommittedFiles(projectRoot, exec);
+  const todoChanged = uncommittedFiles.some(file => file.path === TODO_RELATIVE_PATH);
+
+  return {
+    isGitRepo: true,
+    completedTasks,
+    uncommittedFiles,
+    todoChanged,
+    hasWork: completedTasks.length > 0 || uncommittedFiles.length > 0,
+  };
+}
+
+/**
+ * Stages `.dev/todo.md` and creates the `chore: complete task` commit
+ * Only todo.md is committed; files the user already staged stay staged
+ * @param {string} projectRoot - Project root directory
+ * @param {string[]} tasks - Completed task titles
+ * @param {Object} options - Options
+ * @param {Function} options.exec - execSync-compatible function (for dependency injection)
+ * @param {Function} options.log - Logging function
+ * @returns {boolean} True if a commit was created
+ */
+function commitCompletedTasks(projectRoot, tasks, options = {}) {
+  const exec = options.exec || execSync;
+  const log = options.log || console.log;
+
+  if (tasks.length === 0) {
+    log('ℹ️  No new completed tasks to commit');
+    return false;
+  }
+
+  try {
+    // Check if we're in a git repository
+    exec('git rev-parse --git-dir', { cwd: projectRoot, stdio: 'ignore' });
+
+    // Check if todo.md has changes
+    const status = exec(`git status --porcelain ${TODO_RELATIVE_PATH}`, { cwd: projectRoot, encoding: 'utf-8' });
+    if (!status.trim()) {
+      log('ℹ️  No changes to commit in todo.md');
+      return false;
+    }
+
+    exec(`git add ${TODO_RELATIVE_PATH}`, { cwd: projectRoot, stdio: 'ignore' });
+    exec(`git commit -F - -- ${TODO_RELATIVE_PATH}`, {
+      cwd: projectRoot,
+      input: buildCommitMessage(tasks),
+      stdio: ['pipe', 'ignore', 'ignore'],
+    });
+
+    log(`✅ Committed ${tasks.length} completed task(s)`);
+    tasks.forEach(task => log(`   ✓ ${task}`));
+    return true;
+  } catch (error) {
+    if (error.status === 128) {
+      log('⚠️  Not a git repository - skipping auto-commit');
+    } else {
+      log(`⚠️  Failed to commit tasks: ${error.message}`);
+    }
+    return false;
+  }
+}
+
+/**
+ * Commits tasks completed since HEAD, following the todo commit policy
+ * @param {string} projectRoot - Project root directory
+ * @param {Object} options - Options (see checkUncommittedWork and commitCompletedTasks)
+ * @returns {Object} Enforcement result
+ */
+function enforceCommitPolicy(projectRoot, options = {}) {
+  const result = checkUncommittedWork(projectRoot, options);
+  if (!result.isGitRepo) {
+    return { ...result, committed: false };
+  }
+
+  const committed = commitCompletedTasks(projectRoot, result.completedTasks, options);
+  return { ...result, committed };
+}
+
+module.exports = {
+  TODO_RELATIVE_PATH,
+  parsePendingTasks,
+  parseCompletedTasks,
+  findCompletedTasks,
+  buildCommitMessage,
+  isGitRepository,
+  readCommittedTodo,
+  getUncommittedFiles,
+  checkUncommittedWork,
+  commitCompletedTasks,
+  enforceCommitPolicy,
+};
@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+/**
+ * Review Benchmark
+ * Generates a large Clean Architecture project in a temp directory and times
+ * parsing plus checks with --concurrency 1 against the default (one worker per CPU)
+ *
+ * Usage: node scripts/benchmark-review.js [files]   (default: 2000)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CodeReviewer = require('./review');
+const { getDefaultConcurrency } = require('../lib/review/worker-pool');
+
+const LAYERS = ['domain', 'application', 'infrastructure', 'utils'];
+
+/**
+ * Writes a generated project with `count` files spread across the layers
+ * @param {string} root - Project root
+ * @param {number} count - Number of source files
+ */
+function generateProject(root, count) {
+  for (let i = 0; i < count; i++) {
+    const layer = LAYERS[i % LAYERS.length];
+    const dir = path.join(root, 'src', layer, `module${Math.floor(i / 100)}`);
+    fs.mkdirSync(dir, { recursive: true });
+
+    // Import a few earlier files of the same layer so the graph has edges
+    const imports = [1, 2, 3]
+      .map(offset => i - offset * LAYERS.length)
+      .filter(index => index >= 0)
+      .map(index => `import { Service${index} } from '../module${Math.floor(index / 100)}/Service${index}';`);
+
+    fs.writeFileSync(path.join(dir, `Service${i}.ts`), [
+      ...imports,
+      '',
+      `export interface IService${i} {`,
+      '  run(input: string): Promise<string>;',
+      '}',
+      '',
+      `export class Service${i} implements IService${i} {`,
+      '  private readonly cache = new Map<string, string>();',
+      '',
+      '  async run(input: string): Promise<string> {',
+      '    const cached = this.cache.get(input);',
+      '    if (cached) return cached;',
+      '    const result = input.split("").reverse().join("");',
+      '    this.cache.set(input, result);',
+      '    return result;',
+      '  }',
+      '}',
+      '',
+    ].join('\n'));
+  }
+}
+
+/**
+ * Times parsing and checks for one concurrency setting
+ * @param {string} root - Project root
+ * @param {number} concurrency - Worker threads
+ * @returns {Promise<{ms: number, violations: number}>}
+ */
+async function run(root, concurrency) {
+  const reviewer = new CodeReviewer(root, { format: 'json', cache: false, concurrency });
+  reviewer.progress = () => {};
+
+  const start = process.hrtime.bigint();
+  const files = reviewer.collectSourceFiles(reviewer.srcPath);
+  await reviewer.parseFiles(files);
+  await reviewer.runChecks(files);
+  reviewer.sortViolations();
+  const ms = Number(process.hrtime.bigint() - start) / 1e6;
+
+  return { ms, violations: reviewer.stats.totalViolations };
+}
+
+async function main() {
+  const count = Number(process.argv[2]) || 2000;
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'review-bench-'));
+
+  try {
+    generateProject(root, count);
+    const parallel = getDefaultConcurrency();
+
+    console.log(`Review benchmark: ${count} files, ${os.cpus().length} CPUs`);
+    const serial = await run(root, 1);
+    console.log(`  --concurrency 1: ${serial.ms.toFixed(0)} ms (${serial.violations} violations)`);
+    const threaded = await run(root, parallel);
+    console.log(`  --concurrency ${parallel}: ${threaded.ms.toFixed(0)} ms (${threaded.violations} violations)`);
+    console.log(`  Speedup: ${(serial.ms / threaded.ms).toFixed(2)}x`);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -3,10 +3,133 @@
 const fs = require('fs');
 const path = require('path');
 const ts = require('typescript');
+const ReviewFixer = require('../lib/review/review-fixer');
+const { BUILTIN_RULES, getRuleCodesForCheck } = require('../lib/review/rules');
+const {
+  REVIEW_CONFIG_PATH,
+  loadReviewConfig,
+  findLayer,
+  isDependencyAllowed,
+  findExternalDependencyViolation,
+  getRuleLevel,
+  getConfiguredRuleCodes,
+} = require('../lib/review/config');
+const { createModuleResolver, loadCompilerOptions } = require('../lib/review/module-resolver');
+const {
+  REVIEW_CACHE_DIR,
+  hashContent,
+  createCacheKey,
+  loadReviewCache,
+  writeReviewCache,
+  findInvalidatedFiles,
+} = require('../lib/review/review-cache');
+const {
+  BASELINE_PATH,
+  fingerprintViolation,
+  createBaseline,
+  loadBaseline,
+  writeBaseline,
+  compareWithBaseline,
+} = require('../lib/review/baseline');
+const { parseSuppressions, findSuppression } = require('../lib/review/suppressions');
+const { getChangedLines, isChanged } = require('../lib/review/git-diff');
+const { findCycles } = require('../lib/review/dependency-graph');
+const { createTypeProgram, resolveTypeSymbol, getImplementationErrors } = require('../lib/review/type-program');
+const { findExplicitAny, findTsDirectives } = require('../lib/review/type-safety');
+const { expandTestPatterns, selectTestPatterns, loadCoverageSummary } = require('../lib/review/test-coverage');
+const { matchesGlob } = require('../lib/review/glob');
+const { getDefaultConcurrency, createBatches, runInWorkers } = require('../lib/review/worker-pool');
+const { RULE_SEVERITIES, loadCustomRules } = require('../lib/review/rule-loader');
+const {
+  extractPythonImports,
+  extractPythonClasses,
+  getPythonModuleCandidates,
+} = require('../lib/review/python-parser');
+const { createJsonReport } = require('../lib/review/reporters/json-reporter');
+const { createSarifReport } = require('../lib/review/reporters/sarif-reporter');
+const { createHtmlReport } = require('../lib/review/reporters/html-reporter');
+const {
+  createDotGraph,
+  createMermaidGraph,
+  createJsonGraph,
+} = require('../lib/review/reporters/graph-reporter');
+
+/**
+ * Source file extensions the reviewer parses (TypeScript, JavaScript and Python)
+ */
+const TYPESCRIPT_EXTENSIONS = ['.ts', '.tsx', '.mts', '.cts'];
+const JAVASCRIPT_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs'];
+const PYTHON_EXTENSIONS = ['.py'];
+const SOURCE_EXTENSIONS = [...TYPESCRIPT_EXTENSIONS, ...JAVASCRIPT_EXTENSIONS, ...PYTHON_EXTENSIONS];
+
+/**
+ * Directories never scanned for sources
+ */
+const SKIPPED_DIRECTORIES = [
+  'node_modules', 'dist', 'build', '.git', 'coverage',
+  '__pycache__', '.venv', 'venv', '.tox', '.mypy_cache', '.pytest_cache',
+];
+
+/**
+ * Python's built-in exceptions; domain errors should not derive from them directly
+ */
+const PYTHON_BUILTIN_EXCEPTIONS = new Set([
+  'BaseException', 'Exception', 'ArithmeticError', 'AssertionError', 'AttributeError', 'BufferError',
+  'EOFError', 'FloatingPointError', 'ImportError', 'ModuleNotFoundError', 'IndexError', 'KeyError',
+  'LookupError', 'MemoryError', 'NameError', 'NotImplementedError', 'OSError', 'IOError',
+  'EnvironmentError', 'ConnectionError', 'FileExistsError', 'FileNotFoundError', 'PermissionError',
+  'TimeoutError', 'OverflowError', 'RecursionError', 'ReferenceError', 'RuntimeError', 'SyntaxError',
+  'SystemError', 'TypeError', 'UnboundLocalError', 'UnicodeError', 'UnicodeDecodeError',
+  'UnicodeEncodeError', 'ValueError', 'ZeroDivisionError',
+]);
+
+/**
+ * Parsing moves to worker threads only for at least this many uncached files;
+ * below that, starting workers (each loads TypeScript) costs more than it saves
+ */
+const PARALLEL_MIN_FILES = 200;
+const PARSE_WORKER = path.join(__dirname, '../lib/review/parse-worker.js');
+
+/**
+ * Fields of extracted exports, classes and interfaces that hold AST nodes;
+ * they are not written to the on-disk cache (restored entries parse lazily instead)
+ */
+const AST_FIELDS = ['node', 'constructor', 'implements', 'extends'];
+
+/**
+ * Test files and mocks; their classes need no DI registration
+ */
+const TEST_FILE_PATTERN = /(\.(test|spec)\.[cm]?[jt]sx?$)|([\\/](__tests__|__mocks__)[\\/])/;
+const PYTHON_TEST_FILE_PATTERN = /(^|[\\/])(test_\w*|\w*_test|conftest)\.py$/;
+
+/**
+ * Reduces a recorded violation to the fields stored per file
+ */
+const stripViolation = ({ severity, line, column, code, message }) => ({ severity, line, column, code, message });
+
+/**
+ * Formats a violation's location for console output (file, file:line or file:line:column)
+ */
+const formatLocation = (v) => {
+  if (!v.line) return v.file;
+  return v.column ? `${v.file}:${v.line}:${v.column}` : `${v.file}:${v.line}`;
+};
+
+/**
+ * Labels for module dependency edge kinds in violation messages
+ */
+const EDGE_LABELS = {
+  import: 'import',
+  export: 'export from',
+  'import-equals': 'import = require',
+  require: 'require',
+  'dynamic-import': 'dynamic import',
+  from: 'from import',
+};
 
 /**
  * Code Review Analysis Engine
- * Analyzes TypeScript projects for Clean Architecture violations
+ * Analyzes TypeScript, JavaScript and Python projects for Clean Architecture violations
  */
 
 class CodeReviewer {
@@ -15,9 +138,33 @@ class CodeReviewer {
     this.options = {
       detailed: options.detailed || false,
       fix: options.fix || false,
-      format: options.format || 'console', // console, json, html
+      apply: options.apply || false, // Write --fix changes instead of printing a diff
+      format: options.format || 'console', // console, json, sarif, html
+      output: options.output || null, // Write the report to this file instead of stdout
+      updateBaseline: options.updateBaseline || false, // Record current violations as the baseline
+      since: options.since || null, // Only report changes since this git ref
+      staged: options.staged || false, // Only report staged changes
+      graph: options.graph || null, // Export the dependency graph (dot, mermaid, json) instead of reviewing
+      cache: options.cache !== false, // Reuse per-file results from .dev/.cache/review
+      concurrency: options.concurrency || getDefaultConcurrency(), // Worker threads for parsing (1 = main thread only)
+      silent: options.silent || false, // No progress output (watch mode prints its own)
     };
 
+    // Layer model from .dev/review.config.json (or the built-in defaults)
+    this.config = options.config || loadReviewConfig(projectRoot);
+
+    // Project rules from .dev/review-rules/*.js and config "plugins"
+    this.customRules = options.customRules || loadCustomRules(projectRoot, this.config);
+
+    // Catch typos in "rules"/"overrides" - they would silently change nothing
+    const unknownCodes = getConfiguredRuleCodes(this.config)
+      .filter(code => !BUILTIN_RULES[code] && !this.customRules.some(rule => rule.id === code));
+    if (unknownCodes.length > 0) {
+      throw new Error(
+        `Invalid review config at ${path.join(projectRoot, REVIEW_CONFIG_PATH)}: unknown rule code(s): ${unknownCodes.join(', ')}`
+      );
+    }
+
     this.violations = {
       errors: [],
       warnings: [],
@@ -27,44 +174,118 @@ class CodeReviewer {
     this.stats = {
       filesScanned: 0,
       totalViolations: 0,
+      suppressed: 0, // Violations hidden by inline suppression comments
     };
 
-    this.srcPath = path.join(projectRoot, 'src');
+    this.srcPath = path.resolve(projectRoot, this.config.sourceRoot);
     this.fileCache = new Map(); // Cache parsed files
+    this.moduleResolver = null; // Created from tsconfig.json on first use
+    this.rulesRun = []; // Violation codes covered by the checks that ran
+    this.baseline = null; // { path, updated, suppressed, fixed } when a baseline is in use
+    this.diffScope = null; // { label, changes, hidden } for --since/--staged
+    this.reviewCache = null; // { key, changed, invalidated, typeInvalidated } when the on-disk cache is in use
+    this.violationRecorder = null; // Collects raw violations of cached checks
   }
 
   /**
    * Main entry point for code review
    */
   async analyze() {
-    console.log('🔍 Starting code review analysis...\n');
+    this.progress('🔍 Starting code review analysis...\n');
 
-    // Check if src directory exists
+    // Check if the source root exists
     if (!fs.existsSync(this.srcPath)) {
-      console.error(`❌ Error: src directory not found at ${this.srcPath}`);
+      console.error(`❌ Error: source directory not found at ${this.srcPath}`);
+      console.error('   Set "sourceRoot" in .dev/review.config.json if sources live elsewhere.');
       process.exit(1);
     }
 
-    // Step 1: Traverse and collect all TypeScript files
-    const files = this.collectTypeScriptFiles(this.srcPath);
-    console.log(`📁 Found ${files.length} TypeScript files\n`);
+    // Resolve the diff up front so a bad ref fails before the analysis
+    this.resolveDiffScope();
+
+    // Step 1: Traverse and collect all TypeScript/JavaScript files
+    const files = this.collectSourceFiles(this.srcPath);
+    this.progress(`📁 Found ${files.length} source files\n`);
 
     // Step 2: Parse all files and build AST cache
     await this.parseFiles(files);
 
-    // Step 3: Run all checks
-    await this.runChecks(files);
+    // --graph exports the dependency graph instead of reviewing
+    if (this.options.graph) {
+      this.exportGraph(files);
+      return this.violations;
+    }
+
+    // Steps 3-6: Run all checks and filter the results
+    await this.reviewFiles(files);
 
-    // Step 4: Generate report
+    // Step 7: Generate report
     this.generateReport();
 
+    // Step 8: Plan (and optionally apply) autofixes
+    if (this.options.fix) {
+      this.runFixes();
+    }
+
     return this.violations;
   }
 
   /**
-   * Recursively collect all TypeScript files
+   * Run all checks on parsed files, then drop suppressed, baselined and out-of-diff violations
+   * (steps 3-6 of analyze(), shared with watch mode)
+   */
+  async reviewFiles(files) {
+    // Step 3: Run all checks
+    await this.runChecks(files);
+    this.sortViolations();
+    if (this.reviewCache) {
+      this.saveReviewCache();
+    }
+
+    // Step 4: Drop violations suppressed by ai-dotfiles-disable comments
+    this.applySuppressions();
+
+    // Step 5: Hide violations recorded in the baseline (or record them with --update-baseline)
+    this.applyBaseline();
+
+    // Step 6: Limit reporting to the diff (the whole project was still analyzed)
+    this.applyDiffScope();
+  }
+
+  /**
+   * Read the changed lines for --since and --staged
    */
-  collectTypeScriptFiles(dir) {
+  resolveDiffScope() {
+    const { since, staged } = this.options;
+    if (!since && !staged) return;
+
+    this.diffScope = {
+      label: staged ? `staged changes${since ? ` since ${since}` : ''}` : `changes since ${since}`,
+      changes: getChangedLines(this.projectRoot, { since, staged }),
+      hidden: 0,
+    };
+  }
+
+  /**
+   * Check whether a path is a source file collectSourceFiles() would pick up
+   */
+  isSourcePath(file) {
+    const relativePath = path.relative(this.srcPath, file);
+    if (relativePath.startsWith('..') || path.isAbsolute(relativePath)) return false;
+
+    const segments = relativePath.split(path.sep);
+    const name = segments.pop();
+    return (
+      SOURCE_EXTENSIONS.includes(path.extname(name)) &&
+      !/\.d\.[cm]?ts$/.test(name) &&
+      !segments.some(segment => SKIPPED_DIRECTORIES.includes(segment))
+    );
+  }
+
+  /**
+   * Recursively collect all TypeScript and JavaScript source files
+   */
+  collectSourceFiles(dir) {
     const files = [];
 
     const traverse = (currentDir) => {
@@ -74,13 +295,13 @@ class CodeReviewer {
         const fullPath = path.join(currentDir, entry.name);
 
         if (entry.isDirectory()) {
-          // Skip node_modules, dist, build, etc.
-          if (!['node_modules', 'dist', 'build', '.git', 'coverage'].includes(entry.name)) {
+          // Skip node_modules, dist, build, virtualenvs, etc.
+          if (!SKIPPED_DIRECTORIES.includes(entry.name)) {
             traverse(fullPath);
           }
-        } else if (entry.isFile() && entry.name.endsWith('.ts')) {
+        } else if (entry.isFile() && SOURCE_EXTENSIONS.includes(path.extname(entry.name))) {
           // Skip declaration files
-          if (!entry.name.endsWith('.d.ts')) {
+          if (!/\.d\.[cm]?ts$/.test(entry.name)) {
             files.push(fullPath);
           }
         }
@@ -92,51 +313,317 @@ class CodeReviewer {
   }
 
   /**
-   * Parse all TypeScript files and cache their ASTs
+   * Parse all source files and cache their ASTs
+   * The script kind (TS, TSX, JS, JSX) follows the file extension;
+   * Python files go through the Python parser (no AST, sourceFile is null)
    */
   async parseFiles(files) {
-    console.log('🔧 Parsing TypeScript files...\n');
+    this.progress('🔧 Parsing source files...\n');
+    this.rulesRun.push(...getRuleCodesForCheck('parseFiles'));
+
+    const cacheKey = this.options.cache ? this.getCacheKey() : null;
+    const entries = cacheKey ? loadReviewCache(this.projectRoot, cacheKey) : {};
+    const changed = new Set();
+    const parsed = new Map();
+    const pending = [];
 
     for (const file of files) {
+      let content;
       try {
-        const content = fs.readFileSync(file, 'utf-8');
-        const sourceFile = ts.createSourceFile(
-          file,
-          content,
-          ts.ScriptTarget.Latest,
-          true
-        );
+        content = fs.readFileSync(file, 'utf-8');
+      } catch (error) {
+        this.addViolation('error', file, null, 'PARSE_ERROR', `Failed to parse file: ${error.message}`);
+        continue;
+      }
 
-        this.fileCache.set(file, {
-          sourceFile,
-          content,
-          imports: this.extractImports(sourceFile),
-          exports: this.extractExports(sourceFile),
-          classes: this.extractClasses(sourceFile),
-          interfaces: this.extractInterfaces(sourceFile),
-        });
+      const entry = entries[this.toProjectPath(file)];
+      if (entry && entry.hash === hashContent(content)) {
+        parsed.set(file, this.restoreCachedFile(file, content, entry));
+        continue;
+      }
+      changed.add(this.toProjectPath(file));
+      pending.push({ file, content });
+    }
+
+    for (const result of await this.parsePending(pending)) {
+      if (result.error) {
+        this.addViolation('error', result.file, null, 'PARSE_ERROR', `Failed to parse file: ${result.error}`);
+      } else {
+        parsed.set(result.file, result.cached);
+      }
+    }
+
+    // Insert in traversal order so results do not depend on the cache or worker scheduling
+    for (const file of files) {
+      if (!parsed.has(file)) continue;
+      this.fileCache.set(file, parsed.get(file));
+      this.stats.filesScanned++;
+    }
+
+    if (cacheKey) {
+      this.useCachedDependencies(entries, changed, cacheKey);
+    }
+  }
+
+  /**
+   * Parse files that are not in the on-disk cache, on worker threads for large batches
+   * Worker results already include the file-local check results (see parseBatch)
+   * @returns {Promise<Array<{file: string, cached?: Object, error?: string}>>}
+   */
+  async parsePending(pending) {
+    const { concurrency } = this.options;
+    if (concurrency <= 1 || pending.length < PARALLEL_MIN_FILES) {
+      return pending.map(({ file, content }) => {
+        try {
+          return { file, cached: this.parseSource(file, content) };
+        } catch (error) {
+          return { file, error: error.message };
+        }
+      });
+    }
 
-        this.stats.filesScanned++;
+    // Several batches per worker keep workers busy when some files are slower to parse
+    const batches = createBatches(pending, Math.ceil(pending.length / (concurrency * 4)));
+    this.progress(`🧵 Parsing ${pending.length} files on ${Math.min(concurrency, batches.length)} worker threads\n`);
+    const results = await runInWorkers(PARSE_WORKER, batches, {
+      concurrency,
+      workerData: { projectRoot: this.projectRoot, config: this.config },
+    });
+
+    const contents = new Map(pending.map(({ file, content }) => [file, content]));
+    return results.flat().map(({ file, entry, error }) => (
+      error ? { file, error } : { file, cached: this.restoreCachedFile(file, contents.get(file), entry) }
+    ));
+  }
+
+  /**
+   * Parse a batch of files and run the file-local checks on them (used by worker threads)
+   * @returns {Array<{file: string, entry?: Object, error?: string}>} Plain entries in the on-disk cache format
+   */
+  parseBatch(batch) {
+    const results = [];
+    const files = [];
+
+    for (const { file, content } of batch) {
+      try {
+        this.fileCache.set(file, this.parseSource(file, content));
+        files.push(file);
       } catch (error) {
-        this.addViolation('error', file, null, 'PARSE_ERROR', `Failed to parse file: ${error.message}`);
+        results.push({ file, error: error.message });
       }
     }
+
+    this.runFileChecks(files);
+    for (const file of files) {
+      results.push({ file, entry: this.toCacheEntry(file) });
+    }
+    return results;
+  }
+
+  /**
+   * Parse a source file into a fileCache entry
+   * The script kind (TS, TSX, JS, JSX) follows the file extension;
+   * Python files go through the Python parser (no AST, sourceFile is null)
+   */
+  parseSource(file, content) {
+    const hash = hashContent(content);
+
+    if (this.isPythonFile(file)) {
+      return {
+        sourceFile: null,
+        content,
+        hash,
+        language: 'python',
+        imports: extractPythonImports(content),
+        exports: [],
+        ...extractPythonClasses(content),
+        fileViolations: [],
+        dependencyViolations: [],
+        typeViolations: [],
+      };
+    }
+
+    const sourceFile = this.createSourceFile(file, content);
+
+    return {
+      sourceFile,
+      content,
+      hash,
+      imports: this.extractImports(sourceFile),
+      exports: this.extractExports(sourceFile),
+      classes: this.extractClasses(sourceFile),
+      interfaces: this.extractInterfaces(sourceFile),
+      fileViolations: [],
+      dependencyViolations: [],
+      typeViolations: [],
+    };
+  }
+
+  /**
+   * Parse TypeScript/JavaScript source into an AST
+   */
+  createSourceFile(file, content) {
+    return ts.createSourceFile(
+      file,
+      content,
+      ts.ScriptTarget.Latest,
+      true
+    );
+  }
+
+  /**
+   * Build the on-disk cache key from the inputs per-file results depend on
+   */
+  getCacheKey() {
+    return createCacheKey([this.config, loadCompilerOptions(this.projectRoot, this.config.tsconfig)]);
+  }
+
+  /**
+   * Rebuild a fileCache entry from the on-disk cache (or a worker thread result)
+   * The AST is only parsed if something asks for it (suppressions, baseline anchors, fixes);
+   * the file-local check results come with the entry, so those checks are not rerun
+   */
+  restoreCachedFile(file, content, entry) {
+    const cached = {
+      content,
+      hash: entry.hash,
+      imports: entry.imports,
+      exports: entry.exports,
+      classes: entry.classes,
+      interfaces: entry.interfaces,
+      checked: true,
+      fileViolations: entry.violations,
+      dependencyViolations: [],
+      typeViolations: [],
+    };
+
+    if (entry.language === 'python') {
+      return { sourceFile: null, language: 'python', ...cached };
+    }
+
+    let sourceFile = null;
+    Object.defineProperty(cached, 'sourceFile', {
+      enumerable: true,
+      get: () => {
+        sourceFile = sourceFile || this.createSourceFile(file, content);
+        return sourceFile;
+      },
+    });
+    return cached;
+  }
+
+  /**
+   * Reuse cached import resolution and layer results for files that did not change
+   * and do not depend on a changed file, and type checker results for files that
+   * reach no changed file through their imports
+   */
+  useCachedDependencies(entries, changed, key) {
+    const parsed = [...this.fileCache.keys()].map(file => this.toProjectPath(file));
+    const invalidated = findInvalidatedFiles(parsed, entries, changed);
+    const typeInvalidated = findInvalidatedFiles(parsed, entries, changed, { transitive: true });
+
+    for (const [file, cached] of this.fileCache) {
+      const entry = entries[this.toProjectPath(file)];
+      if (!entry) continue;
+
+      if (!typeInvalidated.has(this.toProjectPath(file))) {
+        cached.typeViolations = entry.typeViolations || [];
+      }
+      if (invalidated.has(this.toProjectPath(file))) continue;
+
+      cached.dependencies = entry.dependencies.map(dependency => ({
+        ...dependency,
+        to: path.join(this.projectRoot, dependency.to),
+      }));
+      cached.dependencyViolations = entry.dependencyViolations;
+    }
+
+    this.reviewCache = { key, changed, invalidated, typeInvalidated };
+    this.progress(`♻️  Reused cached results for ${parsed.length - changed.size} of ${parsed.length} files\n`);
+  }
+
+  /**
+   * Write per-file results to .dev/.cache/review for the next run
+   */
+  saveReviewCache() {
+    const entries = {};
+
+    for (const [file, cached] of this.fileCache) {
+      entries[this.toProjectPath(file)] = {
+        ...this.toCacheEntry(file),
+        dependencies: this.getDependencies(file).map(dependency => ({
+          ...dependency,
+          to: this.toProjectPath(dependency.to),
+        })),
+        dependencyViolations: cached.dependencyViolations.map(stripViolation),
+        typeViolations: cached.typeViolations.map(stripViolation),
+      };
+    }
+
+    writeReviewCache(this.projectRoot, this.reviewCache.key, entries);
+  }
+
+  /**
+   * Convert a fileCache entry to plain data (no AST) with its file-local check results
+   */
+  toCacheEntry(file) {
+    const cached = this.fileCache.get(file);
+    const plain = items => items.map(item =>
+      Object.fromEntries(Object.entries(item).filter(([field]) => !AST_FIELDS.includes(field)))
+    );
+
+    return {
+      hash: cached.hash,
+      language: cached.language,
+      imports: cached.imports,
+      exports: plain(cached.exports),
+      classes: plain(cached.classes),
+      interfaces: plain(cached.interfaces),
+      violations: cached.fileViolations.map(stripViolation),
+    };
   }
 
   /**
-   * Extract import statements from AST
+   * Extract module dependency edges from AST
+   * Kinds: import, export (export ... from), import-equals (import x = require()),
+   * require (require() calls) and dynamic-import (import() calls).
+   * Edges erased at compile time (import type, export type, only type specifiers) are typeOnly
    */
   extractImports(sourceFile) {
     const imports = [];
 
+    const addEdge = (node, specifier, kind, typeOnly = false) => {
+      if (!specifier || !ts.isStringLiteralLike(specifier)) return;
+      imports.push({
+        module: specifier.text,
+        line: sourceFile.getLineAndCharacterOfPosition(node.getStart()).line + 1,
+        kind,
+        typeOnly,
+      });
+    };
+
+    const onlyTypeSpecifiers = (elements) => elements.length > 0 && elements.every(element => element.isTypeOnly);
+
     const visit = (node) => {
       if (ts.isImportDeclaration(node)) {
-        const moduleSpecifier = node.moduleSpecifier;
-        if (ts.isStringLiteral(moduleSpecifier)) {
-          imports.push({
-            module: moduleSpecifier.text,
-            line: sourceFile.getLineAndCharacterOfPosition(node.getStart()).line + 1,
-          });
+        const clause = node.importClause;
+        const typeOnly = Boolean(clause && (clause.isTypeOnly || (
+          !clause.name && clause.namedBindings && ts.isNamedImports(clause.namedBindings) &&
+          onlyTypeSpecifiers(clause.namedBindings.elements)
+        )));
+        addEdge(node, node.moduleSpecifier, 'import', typeOnly);
+      } else if (ts.isExportDeclaration(node)) {
+        const typeOnly = node.isTypeOnly || Boolean(
+          node.exportClause && ts.isNamedExports(node.exportClause) && onlyTypeSpecifiers(node.exportClause.elements)
+        );
+        addEdge(node, node.moduleSpecifier, 'export', typeOnly);
+      } else if (ts.isImportEqualsDeclaration(node) && ts.isExternalModuleReference(node.moduleReference)) {
+        addEdge(node, node.moduleReference.expression, 'import-equals', node.isTypeOnly);
+      } else if (ts.isCallExpression(node) && node.arguments.length === 1) {
+        if (node.expression.kind === ts.SyntaxKind.ImportKeyword) {
+          addEdge(node, node.arguments[0], 'dynamic-import');
+        } else if (ts.isIdentifier(node.expression) && node.expression.text === 'require') {
+          addEdge(node, node.arguments[0], 'require');
         }
       }
       ts.forEachChild(node, visit);
@@ -164,6 +651,13 @@ class CodeReviewer {
           name,
           line: sourceFile.getLineAndCharacterOfPosition(node.getStart()).line + 1,
         });
+      } else if (this.isCommonJsExport(node)) {
+        // module.exports = X, module.exports.name = X, exports.name = X
+        const target = node.left.getText(sourceFile);
+        exports.push({
+          name: target === 'module.exports' ? 'default' : target.split('.').pop(),
+          line: sourceFile.getLineAndCharacterOfPosition(node.getStart()).line + 1,
+        });
       }
       ts.forEachChild(node, visit);
     };
@@ -172,26 +666,48 @@ class CodeReviewer {
     return exports;
   }
 
+  /**
+   * Check whether a node assigns to module.exports or exports (CommonJS)
+   */
+  isCommonJsExport(node) {
+    if (!ts.isBinaryExpression(node) || node.operatorToken.kind !== ts.SyntaxKind.EqualsToken) {
+      return false;
+    }
+    const target = node.left.getText();
+    return target === 'module.exports' || /^(module\.)?exports\.[\w$]+$/.test(target);
+  }
+
   /**
    * Extract class declarations from AST
+   * Includes class expressions such as `module.exports = class UserRepository {}`
    */
   extractClasses(sourceFile) {
     const classes = [];
 
     const visit = (node) => {
-      if (ts.isClassDeclaration(node)) {
-        const name = node.name?.getText(sourceFile) || 'anonymous';
+      if (ts.isClassDeclaration(node) || ts.isClassExpression(node)) {
+        const name = this.getClassName(node, sourceFile);
         const hasConstructor = node.members.some(m => ts.isConstructorDeclaration(m));
+        const isAbstract = (ts.getModifiers(node) || []).some(m => m.kind === ts.SyntaxKind.AbstractKeyword);
         const constructor = node.members.find(m => ts.isConstructorDeclaration(m));
+        const extendsTypes = node.heritageClauses?.find(c => c.token === ts.SyntaxKind.ExtendsKeyword)?.types || [];
+        const implementsTypes = node.heritageClauses?.find(c => c.token === ts.SyntaxKind.ImplementsKeyword)?.types || [];
 
         classes.push({
           name,
           node,
           line: sourceFile.getLineAndCharacterOfPosition(node.getStart()).line + 1,
           hasConstructor,
+          isAbstract,
           constructor,
-          implements: node.heritageClauses?.find(c => c.token === ts.SyntaxKind.ImplementsKeyword)?.types || [],
-          extends: node.heritageClauses?.find(c => c.token === ts.SyntaxKind.ExtendsKeyword)?.types || [],
+          implements: implementsTypes,
+          extends: extendsTypes,
+          baseNames: extendsTypes.map(type => type.expression.getText(sourceFile)),
+          implementsNames: implementsTypes.map(type => type.expression.getText(sourceFile)),
+          // Constructor parameter types that may name a class (checkTypeConformance)
+          constructorTypes: (constructor?.parameters || [])
+            .filter(parameter => parameter.type && ts.isTypeReferenceNode(parameter.type))
+            .map(parameter => parameter.type.typeName.getText(sourceFile)),
         });
       }
       ts.forEachChild(node, visit);
@@ -201,6 +717,30 @@ class CodeReviewer {
     return classes;
   }
 
+  /**
+   * Name of a class declaration or expression
+   * Unnamed class expressions take the name they are assigned to
+   * (const UserService = class {}, exports.UserService = class {})
+   */
+  getClassName(node, sourceFile) {
+    if (node.name) return node.name.getText(sourceFile);
+
+    const parent = node.parent;
+    if (ts.isClassExpression(node) && parent) {
+      if (ts.isVariableDeclaration(parent) && ts.isIdentifier(parent.name)) {
+        return parent.name.text;
+      }
+      if (
+        ts.isBinaryExpression(parent) &&
+        ts.isPropertyAccessExpression(parent.left) &&
+        parent.left.getText(sourceFile) !== 'module.exports'
+      ) {
+        return parent.left.name.text;
+      }
+    }
+    return 'anonymous';
+  }
+
   /**
    * Extract interface declarations from AST
    */
@@ -228,31 +768,158 @@ class CodeReviewer {
    * Run all architecture checks
    */
   async runChecks(files) {
-    console.log('✅ Running architecture checks...\n');
+    this.progress('✅ Running architecture checks...\n');
+
+    // File-local results restored from the on-disk cache or computed on worker threads
+    // are replayed; with the cache, layer checks only rerun for changed files and their dependents
+    const cache = this.reviewCache;
+    const uncheckedFiles = files.filter(file => !this.fileCache.get(file)?.checked);
+    const dependentFiles = cache ? files.filter(file => cache.invalidated.has(this.toProjectPath(file))) : files;
+    const typeCheckedFiles = cache ? files.filter(file => cache.typeInvalidated.has(this.toProjectPath(file))) : files;
 
     // Check 1: Layer violations
-    this.checkLayerViolations(files);
+    this.runCachedCheck('checkLayerViolations', dependentFiles, 'dependencyViolations');
+
+    // Checks 2-6: File-local checks
+    this.runFileChecks(uncheckedFiles);
+    this.replayCachedViolations(files);
+
+    // Check 8: Circular dependencies (whole graph; unchanged edges come from the cache)
+    this.runCheck('checkCircularDependencies', files);
+
+    // Check 9: DI registration (all classes against the registration module)
+    this.runCheck('checkDiRegistration', files);
 
+    // Check 10: Interface conformance (type checker; with the cache, only files that reach
+    // a changed file through their imports are rechecked)
+    this.runCachedCheck('checkTypeConformance', typeCheckedFiles, 'typeViolations');
+
+    // Check 11: Tests and coverage (test files may live outside the source root)
+    this.runCheck('checkTestCoverage', files);
+
+    // Custom rules run after the built-in checks, in load order
+    for (const rule of this.customRules) {
+      await this.runCustomRule(rule, files);
+    }
+
+    this.progress('✅ Analysis complete\n');
+  }
+
+  /**
+   * Run a single check method and record the rule codes it covers
+   */
+  runCheck(check, files) {
+    this[check](files);
+    this.rulesRun.push(...getRuleCodesForCheck(check));
+  }
+
+  /**
+   * Run the checks that only look at one file at a time
+   */
+  runFileChecks(files) {
     // Check 2: Interface conventions
-    this.checkInterfaceConventions(files);
+    this.runCachedCheck('checkInterfaceConventions', files, 'fileViolations');
 
     // Check 3: Repository pattern
-    this.checkRepositoryPattern(files);
+    this.runCachedCheck('checkRepositoryPattern', files, 'fileViolations');
 
     // Check 4: Service pattern
-    this.checkServicePattern(files);
+    this.runCachedCheck('checkServicePattern', files, 'fileViolations');
 
     // Check 5: Domain errors
-    this.checkDomainErrors(files);
+    this.runCachedCheck('checkDomainErrors', files, 'fileViolations');
 
     // Check 6: TypeScript quality
-    this.checkTypeScriptQuality(files);
+    this.runCachedCheck('checkTypeScriptQuality', files, 'fileViolations');
+
+    // Check 7: External dependencies (npm packages, Node built-ins)
+    this.runCachedCheck('checkExternalDependencies', files, 'fileViolations');
+  }
+
+  /**
+   * Run a check whose per-file results can be cached, recording them on the
+   * fileCache entry field ('fileViolations', 'dependencyViolations' or 'typeViolations')
+   */
+  runCachedCheck(check, files, field) {
+    const recorded = [];
+    this.violationRecorder = recorded;
+    try {
+      this.runCheck(check, files);
+    } finally {
+      this.violationRecorder = null;
+    }
+
+    for (const violation of recorded) {
+      const cached = this.fileCache.get(violation.file);
+      if (cached && cached[field]) cached[field].push(violation);
+    }
+  }
+
+  /**
+   * Report cached results of files the cached checks skipped
+   */
+  replayCachedViolations(files) {
+    const cache = this.reviewCache;
 
-    console.log('✅ Analysis complete\n');
+    for (const file of files) {
+      const cached = this.fileCache.get(file);
+      if (!cached) continue;
+
+      const replayed = [
+        ...(cached.checked ? cached.fileViolations : []),
+        ...(cache && !cache.invalidated.has(this.toProjectPath(file)) ? cached.dependencyViolations : []),
+        ...(cache && !cache.typeInvalidated.has(this.toProjectPath(file)) ? cached.typeViolations : []),
+      ];
+      for (const violation of replayed) {
+        this.addViolation(violation.severity, file, violation.line, violation.code, violation.message, violation.column);
+      }
+    }
+  }
+
+  /**
+   * Run a custom rule and record its code
+   */
+  async runCustomRule(rule, files) {
+    this.rulesRun.push(rule.id);
+    try {
+      await rule.check(this.createRuleContext(rule, files));
+    } catch (error) {
+      throw new Error(`Review rule ${rule.id} (${rule.source}) failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Build the context passed to a custom rule's check()
+   * - files: absolute paths of the reviewed source files
+   * - fileCache: Map of file -> { content, language, sourceFile (TypeScript AST; null for Python),
+   *   imports, exports, classes, interfaces }; use sourceFile for AST nodes, entries restored
+   *   from the on-disk cache do not carry them
+   * - config: review configuration (sourceRoot, layers, plugins, ...)
+   * - getLayer(file): layer name of a file, or null
+   * - resolveImport(specifier, fromFile): imported source file, or null (packages, unresolved)
+   * - addViolation(file, line, message, severity): report under the rule's id;
+   *   file may be absolute or project-relative, severity defaults to the rule's
+   */
+  createRuleContext(rule, files) {
+    return {
+      projectRoot: this.projectRoot,
+      config: this.config,
+      files,
+      fileCache: this.fileCache,
+      getLayer: (file) => this.getLayer(path.resolve(this.projectRoot, file)),
+      resolveImport: (specifier, fromFile) => this.resolveImportToFile(specifier, path.resolve(this.projectRoot, fromFile)),
+      addViolation: (file, line, message, severity = rule.severity) => {
+        if (!RULE_SEVERITIES.includes(severity)) {
+          throw new Error(`unknown severity '${severity}' (expected one of: ${RULE_SEVERITIES.join(', ')})`);
+        }
+        this.addViolation(severity, path.resolve(this.projectRoot, file), line || null, rule.id, message);
+      },
+    };
   }
 
   /**
    * Check for layer violations (domain importing infrastructure, etc.)
+   * Allowed directions come from the layer model in the review config
    */
   checkLayerViolations(files) {
     for (const file of files) {
@@ -264,39 +931,60 @@ class CodeReviewer {
 
       for (const imp of cached.imports) {
         const importedLayer = this.getLayerFromImport(imp.module, file);
+        if (!importedLayer || isDependencyAllowed(this.config, layer, importedLayer)) continue;
 
-        // Domain cannot import from application or infrastructure
-        if (layer === 'domain' && (importedLayer === 'application' || importedLayer === 'infrastructure')) {
-          this.addViolation(
-            'error',
-            file,
-            imp.line,
-            'LAYER_VIOLATION',
-            `Domain layer cannot import from ${importedLayer} layer (import: ${imp.module})`
-          );
-        }
+        const layerTitle = layer.charAt(0).toUpperCase() + layer.slice(1);
+        const edge = EDGE_LABELS[imp.kind] || 'import';
+        this.addViolation(
+          'error',
+          file,
+          imp.line,
+          'LAYER_VIOLATION',
+          `${layerTitle} layer cannot import from ${importedLayer} layer (${edge}: ${imp.module})`
+        );
+      }
+    }
+  }
 
-        // Application cannot import from infrastructure
-        if (layer === 'application' && importedLayer === 'infrastructure') {
-          this.addViolation(
-            'error',
-            file,
-            imp.line,
-            'LAYER_VIOLATION',
-            `Application layer cannot import from infrastructure layer (import: ${imp.module})`
-          );
-        }
+  /**
+   * Check imports of npm packages and Node built-ins against the layer's externalDependencies
+   * Python imports are not checked: the standard library cannot be told apart from packages
+   */
+  checkExternalDependencies(files) {
+    for (const file of files) {
+      const cached = this.fileCache.get(file);
+      if (!cached || cached.language === 'python') continue;
+
+      const layer = this.getLayer(file);
+      if (!layer) continue;
+
+      for (const imp of cached.imports) {
+        if (!this.isExternalImport(imp.module, file)) continue;
+
+        const offending = findExternalDependencyViolation(this.config, layer, imp.module);
+        if (!offending) continue;
+
+        const layerTitle = layer.charAt(0).toUpperCase() + layer.slice(1);
+        const edge = EDGE_LABELS[imp.kind] || 'import';
+        this.addViolation(
+          'error',
+          file,
+          imp.line,
+          'DOMAIN_IMPURITY',
+          `${layerTitle} layer cannot depend on ${offending.builtin ? 'Node built-in' : 'package'} '${offending.name}' (${edge}: ${imp.module})`
+        );
       }
     }
   }
 
   /**
    * Check interface naming conventions
+   * Python protocols follow their own naming rules and are skipped
    */
   checkInterfaceConventions(files) {
     for (const file of files) {
       const cached = this.fileCache.get(file);
-      if (!cached) continue;
+      if (!cached || cached.language === 'python') continue;
 
       for (const iface of cached.interfaces) {
         // Check if interface starts with 'I'
@@ -311,14 +999,15 @@ class CodeReviewer {
         }
 
         // Check if file name matches interface name
-        const fileName = path.basename(file, '.ts');
+        const ext = path.extname(file);
+        const fileName = path.basename(file, ext);
         if (cached.interfaces.length === 1 && fileName !== iface.name) {
           this.addViolation(
             'warning',
             file,
             iface.line,
             'FILE_NAMING',
-            `File name '${fileName}.ts' should match interface name '${iface.name}.ts'`
+            `File name '${fileName}${ext}' should match interface name '${iface.name}${ext}'`
           );
         }
 
@@ -341,10 +1030,8 @@ class CodeReviewer {
    * Check repository pattern implementation
    */
   checkRepositoryPattern(files) {
-    const repositoryInterfaces = [];
-    const repositoryImplementations = [];
-
     // Find all repository interfaces and implementations
+    // (checkTypeConformance compares them using the type checker)
     for (const file of files) {
       const cached = this.fileCache.get(file);
       if (!cached) continue;
@@ -352,8 +1039,6 @@ class CodeReviewer {
       // Find repository interfaces
       for (const iface of cached.interfaces) {
         if (iface.name.includes('Repository')) {
-          repositoryInterfaces.push({ file, interface: iface });
-
           // Check if repository interface is in domain layer
           if (!file.includes('/domain/')) {
             this.addViolation(
@@ -370,8 +1055,6 @@ class CodeReviewer {
       // Find repository implementations
       for (const cls of cached.classes) {
         if (cls.name.includes('Repository')) {
-          repositoryImplementations.push({ file, class: cls });
-
           // Check if repository implementation is in infrastructure layer
           if (!file.includes('/infrastructure/repositories/')) {
             this.addViolation(
@@ -448,15 +1131,22 @@ class CodeReviewer {
       const cached = this.fileCache.get(file);
       if (!cached) continue;
 
+      // Python errors derive from Exception rather than Error
+      const baseError = cached.language === 'python' ? 'Exception' : 'Error';
+
       for (const cls of cached.classes) {
         if (cls.name.includes('Error')) {
           // Check if error extends DomainError or Error
-          const extendsDomainError = cls.extends.some(e =>
-            e.expression?.getText(cached.sourceFile)?.includes('DomainError')
-          );
-          const extendsError = cls.extends.some(e =>
-            e.expression?.getText(cached.sourceFile) === 'Error'
-          );
+          let extendsDomainError = cls.baseNames.some(name => name.includes('DomainError'));
+          let extendsError = cls.baseNames.includes(baseError);
+          let builtinBase = baseError;
+
+          if (cached.language === 'python') {
+            const kinds = cls.baseNames.map(name => this.resolvePythonErrorBase(name, cached.classes));
+            extendsDomainError = kinds.includes('domain');
+            extendsError = kinds.includes('builtin') || kinds.includes('error');
+            builtinBase = kinds.includes('builtin') ? cls.baseNames[kinds.indexOf('builtin')] : null;
+          }
 
           if (!extendsDomainError && !extendsError) {
             this.addViolation(
@@ -464,18 +1154,18 @@ class CodeReviewer {
               file,
               cls.line,
               'ERROR_INHERITANCE',
-              `Error class '${cls.name}' should extend DomainError or Error`
+              `Error class '${cls.name}' should extend DomainError or ${baseError}`
             );
           }
 
           // Recommend using DomainError instead of Error
-          if (extendsError && !extendsDomainError && file.includes('/domain/')) {
+          if (builtinBase && extendsError && !extendsDomainError && file.includes('/domain/')) {
             this.addViolation(
               'warning',
               file,
               cls.line,
               'USE_DOMAIN_ERROR',
-              `Error class '${cls.name}' should extend DomainError instead of Error`
+              `Error class '${cls.name}' should extend DomainError instead of ${builtinBase}`
             );
           }
         }
@@ -484,78 +1174,908 @@ class CodeReviewer {
   }
 
   /**
-   * Check TypeScript code quality
+   * Resolve a Python error base class through the classes of its file
+   * Only the file itself is looked at, so the check stays file-local (cached, worker threads)
+   * @returns {string|null} 'domain' (DomainError or a class of the file extending it), 'builtin'
+   *   (a built-in exception, directly or through classes of the file), 'error' (another class
+   *   named *Error or *Exception, e.g. imported) or null
+   */
+  resolvePythonErrorBase(base, classes, seen = new Set()) {
+    const name = base.split('.').pop();
+    if (name.includes('DomainError')) return 'domain';
+
+    const local = !base.includes('.') && !seen.has(name) && classes.find(cls => cls.name === name);
+    if (local) {
+      seen.add(name);
+      const kinds = local.baseNames.map(parent => this.resolvePythonErrorBase(parent, classes, seen));
+      const kind = ['domain', 'builtin', 'error'].find(candidate => kinds.includes(candidate));
+      if (kind) return kind;
+    }
+
+    if (PYTHON_BUILTIN_EXCEPTIONS.has(name)) return 'builtin';
+    return /(Error|Exception)$/.test(name) ? 'error' : null;
+  }
+
+  /**
+   * Check TypeScript code quality (skipped for JavaScript and Python files)
+   * - ANY_TYPE: every explicit `any`, with where it is used (parameter, return type, ...)
+   * - UNEXPLAINED_TS_DIRECTIVE: @ts-ignore / @ts-expect-error without a reason after it
    */
   checkTypeScriptQuality(files) {
     for (const file of files) {
       const cached = this.fileCache.get(file);
-      if (!cached) continue;
+      if (!cached || !TYPESCRIPT_EXTENSIONS.includes(path.extname(file))) continue;
 
-      // Check for usage of 'any' type
-      const anyMatches = cached.content.match(/:\s*any(\s|;|,|\))/g);
-      if (anyMatches) {
+      for (const usage of findExplicitAny(cached.sourceFile)) {
+        const where = usage.name ? `${usage.kind} '${usage.name}'` : usage.kind;
         this.addViolation(
           'warning',
           file,
-          null,
+          usage.line,
           'ANY_TYPE',
-          `Found ${anyMatches.length} usage(s) of 'any' type. Consider using specific types.`
+          `Explicit 'any' in ${where}. Consider using a specific type or 'unknown'.`,
+          usage.column
+        );
+      }
+
+      for (const directive of findTsDirectives(cached.sourceFile)) {
+        if (/\w/.test(directive.explanation)) continue;
+        this.addViolation(
+          'warning',
+          file,
+          directive.line,
+          'UNEXPLAINED_TS_DIRECTIVE',
+          `${directive.directive} needs an explanation of the suppressed error (e.g. // ${directive.directive} -- reason)`,
+          directive.column
         );
       }
     }
   }
 
+  /**
+   * Check for import cycles between source files
+   * Reports one violation per strongly connected component, at its first file;
+   * cycles spanning several layers are errors. Type-only imports are erased at
+   * compile time, so they cannot form a runtime cycle and are left out
+   */
+  checkCircularDependencies(files) {
+    const graph = this.buildDependencyGraph(files);
+    const edges = graph.edges.filter(edge => !edge.typeOnly);
+
+    for (const cycle of findCycles(graph.nodes, edges)) {
+      const [from, to] = cycle.path;
+      const edge = edges.find(candidate => candidate.from === from && candidate.to === to);
+      const layers = [...new Set(cycle.members.map(file => this.getLayer(file)).filter(Boolean))].sort();
+      const crossLayer = layers.length > 1;
+
+      const route = cycle.path.map(file => path.relative(this.projectRoot, file).replace(/\\/g, '/')).join(' → ');
+      const scope = crossLayer ? ` across layers ${layers.join(', ')}` : '';
+      const extra = cycle.members.length > cycle.path.length - 1
+        ? ` (${cycle.members.length} files are in this cycle)`
+        : '';
+
+      this.addViolation(
+        crossLayer ? 'error' : 'warning',
+        from,
+        edge.line,
+        'CIRCULAR_DEPENDENCY',
+        `Circular dependency${scope}: ${route}${extra}`
+      );
+    }
+  }
+
   /**
    * Determine which layer a file belongs to
    */
   getLayer(file) {
     const relativePath = path.relative(this.srcPath, file).replace(/\\/g, '/');
-    if (relativePath.startsWith('domain/')) return 'domain';
-    if (relativePath.startsWith('application/')) return 'application';
-    if (relativePath.startsWith('infrastructure/')) return 'infrastructure';
-    if (relativePath.startsWith('utils/')) return 'utils';
-    return null;
+    if (relativePath.startsWith('../') || path.isAbsolute(relativePath)) return null;
+    return findLayer(this.config, relativePath);
   }
 
   /**
    * Determine layer from import path
    */
   getLayerFromImport(importPath, currentFile) {
+    if (this.isPythonFile(currentFile)) {
+      return this.getLayerFromPythonImport(importPath, currentFile);
+    }
+
+    // Resolve through tsconfig (baseUrl, paths) like the compiler does
+    const resolved = this.resolveImport(importPath, currentFile);
+    if (resolved) {
+      return resolved.external ? null : this.getLayer(resolved.path);
+    }
+
+    // Unresolved modules fall back to path heuristics
     // Handle relative imports
     if (importPath.startsWith('.')) {
       const currentDir = path.dirname(currentFile);
       const resolvedPath = path.resolve(currentDir, importPath);
-      return this.getLayer(resolvedPath);
+
+      // Extensionless specifiers may only match patterns like 'domain/**/*.ts' once resolved
+      for (const candidate of [resolvedPath, `${resolvedPath}.ts`, path.join(resolvedPath, 'index.ts')]) {
+        const layer = this.getLayer(candidate);
+        if (layer) return layer;
+      }
+      return null;
+    }
+
+    // Handle absolute imports from src (e.g. '@/domain/User')
+    const layer = this.config.layers.find(candidate => importPath.includes(`/${candidate.name}/`));
+    return layer ? layer.name : null; // null: external package
+  }
+
+  /**
+   * Check whether an import refers to an npm package or Node built-in
+   * Unresolved specifiers count only if they look like package names, so
+   * unknown aliases such as '@/shared' or '~/lib' are not reported
+   */
+  isExternalImport(importPath, currentFile) {
+    if (importPath.startsWith('.') || path.isAbsolute(importPath)) return false;
+    if (importPath.startsWith('node:')) return true;
+
+    const resolved = this.resolveImport(importPath, currentFile);
+    if (resolved) return resolved.external;
+
+    return (
+      /^(@[a-z0-9][\w.-]*\/)?[a-z0-9][\w.-]*(\/|$)/i.test(importPath) &&
+      this.getLayerFromImport(importPath, currentFile) === null
+    );
+  }
+
+  /**
+   * Determine layer from a Python module import ('src.domain.user', '..infrastructure.db')
+   */
+  getLayerFromPythonImport(importPath, currentFile) {
+    const candidates = getPythonModuleCandidates(importPath, currentFile, [this.srcPath, this.projectRoot]);
+    const existing = candidates.find(candidate => fs.existsSync(candidate));
+    if (existing) return this.getLayer(existing);
+
+    // Unresolved relative imports still point inside the project
+    if (importPath.startsWith('.')) {
+      for (const candidate of candidates) {
+        const layer = this.getLayer(candidate);
+        if (layer) return layer;
+      }
+      return null;
+    }
+
+    // Handle absolute module paths (e.g. 'app.domain.user')
+    const modulePath = `/${importPath.split('.').join('/')}/`;
+    const layer = this.config.layers.find(candidate => modulePath.includes(`/${candidate.name}/`));
+    return layer ? layer.name : null; // null: third-party package
+  }
+
+  /**
+   * Path relative to the project root, with forward slashes
+   */
+  toProjectPath(file) {
+    return path.relative(this.projectRoot, file).replace(/\\/g, '/');
+  }
+
+  /**
+   * Check whether a file is a Python source
+   */
+  isPythonFile(file) {
+    return PYTHON_EXTENSIONS.includes(path.extname(file));
+  }
+
+  /**
+   * Resolve an import specifier to a file using the project's tsconfig
+   * @returns {{path: string, external: boolean}|null} Resolved module, or null if unresolved
+   */
+  resolveImport(importPath, currentFile) {
+    if (!this.moduleResolver) {
+      this.moduleResolver = createModuleResolver(this.projectRoot, { tsconfig: this.config.tsconfig });
+    }
+    return this.moduleResolver(importPath, currentFile);
+  }
+
+  /**
+   * Check that repository and service classes are registered with the DI container
+   * A class counts as registered when the registration module references it outside
+   * its imports (new X(), register(TOKEN, X), useClass: X, ...). *_TOKEN constants must
+   * name an existing class: 'UserRepository', Symbol('UserRepository') or, without a
+   * value, USER_REPOSITORY_TOKEN itself. The check is skipped without a registration module
+   */
+  checkDiRegistration(files) {
+    const modules = (this.config.diRegistration || [])
+      .map(modulePath => path.resolve(this.projectRoot, modulePath))
+      .filter(file => fs.existsSync(file));
+    if (modules.length === 0) return;
+
+    const referenced = new Set();
+    const tokens = [];
+    for (const file of modules) {
+      const sourceFile = this.fileCache.get(file)?.sourceFile ||
+        this.createSourceFile(file, fs.readFileSync(file, 'utf-8'));
+      const registration = this.extractDiRegistration(sourceFile);
+      registration.referenced.forEach(name => referenced.add(name));
+      tokens.push(...registration.tokens.map(token => ({ ...token, file })));
     }
 
-    // Handle absolute imports from src
-    if (importPath.includes('/domain/')) return 'domain';
-    if (importPath.includes('/application/')) return 'application';
-    if (importPath.includes('/infrastructure/')) return 'infrastructure';
-    if (importPath.includes('/utils/')) return 'utils';
+    const classNames = new Set();
+    const registrationLabel = this.config.diRegistration.join(', ');
+    for (const file of files) {
+      const cached = this.fileCache.get(file);
+      if (!cached || cached.language === 'python') continue;
+
+      for (const cls of cached.classes) {
+        classNames.add(cls.name);
+
+        const kind = /Repository$/.test(cls.name) ? 'Repository' : /Service$/.test(cls.name) ? 'Service' : null;
+        if (!kind || cls.isAbstract || modules.includes(file) || TEST_FILE_PATTERN.test(file)) continue;
+        if (referenced.has(cls.name)) continue;
+
+        this.addViolation(
+          'warning',
+          file,
+          cls.line,
+          'DI_NOT_REGISTERED',
+          `${kind} '${cls.name}' is not registered in ${registrationLabel}`
+        );
+      }
+    }
 
-    return null; // External package
+    for (const token of tokens) {
+      // Tokens may be named after the interface ('IUserRepository')
+      const candidates = [token.target, token.target.replace(/^I(?=[A-Z])/, '')];
+      if (candidates.some(name => classNames.has(name))) continue;
+
+      this.addViolation(
+        'warning',
+        token.file,
+        token.line,
+        'DI_TOKEN_ORPHAN',
+        `DI token '${token.name}' points at missing class '${token.target}'`
+      );
+    }
+  }
+
+  /**
+   * Check repositories and services with the type checker
+   * - REPOSITORY_INTERFACE: XRepository must implement an I*Repository it ends with (IXRepository,
+   *   or IUserRepository for PostgresUserRepository) declared in the domain
+   *   layer, and the compiler must accept the implementation
+   * - CONCRETE_DEPENDENCY: service constructor parameters typed with a non-abstract project class
+   * TypeScript files only. Repositories without an implements clause are reported from the
+   * parsed metadata; the Program is only built from files whose classes need the type checker
+   * (and their imports)
+   */
+  checkTypeConformance(files) {
+    const isRepository = cls => /Repository$/.test(cls.name);
+    const isTarget = cls => /(Repository|Service)$/.test(cls.name) && !cls.isAbstract;
+    const needsChecker = cls => (isRepository(cls) ? cls.implementsNames : cls.constructorTypes).length > 0;
+    const typedFiles = [];
+
+    for (const file of files) {
+      const cached = this.fileCache.get(file);
+      if (!cached || !TYPESCRIPT_EXTENSIONS.includes(path.extname(file)) || TEST_FILE_PATTERN.test(file)) continue;
+
+      const classes = cached.classes.filter(isTarget);
+      for (const cls of classes.filter(candidate => isRepository(candidate) && !needsChecker(candidate))) {
+        this.addViolation('error', file, cls.line, 'REPOSITORY_INTERFACE', `Repository '${cls.name}' should implement its domain interface (e.g. 'I${cls.name}')`);
+      }
+      if (classes.some(needsChecker)) typedFiles.push(file);
+    }
+    if (typedFiles.length === 0) return;
+
+    const program = createTypeProgram(typedFiles, loadCompilerOptions(this.projectRoot, this.config.tsconfig), {
+      files: [...this.fileCache.keys()].filter(file => !this.isPythonFile(file)),
+      getSourceFile: file => this.fileCache.get(file).sourceFile,
+    });
+    const checker = program.getTypeChecker();
+
+    for (const file of typedFiles) {
+      const sourceFile = program.getSourceFile(file);
+      if (!sourceFile) continue;
+
+      const visit = (node) => {
+        if (ts.isClassDeclaration(node) && node.name && !(ts.getCombinedModifierFlags(node) & ts.ModifierFlags.Abstract)) {
+          const implementsClause = (node.heritageClauses || []).some(clause => clause.token === ts.SyntaxKind.ImplementsKeyword);
+          if (/Repository$/.test(node.name.text)) {
+            // Repositories without an implements clause were reported above
+            if (implementsClause) this.checkRepositoryInterface(program, checker, file, node);
+          } else if (/Service$/.test(node.name.text)) {
+            this.checkConcreteDependencies(checker, file, node);
+          }
+        }
+        ts.forEachChild(node, visit);
+      };
+      visit(sourceFile);
+    }
+  }
+
+  /**
+   * Report a repository class that does not implement (or match) its domain interface
+   * Any implemented I*Repository interface whose name without the 'I' ends the class
+   * name counts, so PostgresUserRepository and InMemoryUserRepository may implement
+   * IUserRepository
+   */
+  checkRepositoryInterface(program, checker, file, classNode) {
+    const name = classNode.name.text;
+    const sourceFile = classNode.getSourceFile();
+    const line = sourceFile.getLineAndCharacterOfPosition(classNode.getStart(sourceFile)).line + 1;
+    const implemented = (classNode.heritageClauses || [])
+      .filter(clause => clause.token === ts.SyntaxKind.ImplementsKeyword)
+      .flatMap(clause => clause.types)
+      .map(type => resolveTypeSymbol(checker, type))
+      .filter(symbol => symbol && /^I[A-Z]\w*Repository$/.test(symbol.name) && name.endsWith(symbol.name.slice(1)));
+
+    if (implemented.length === 0) {
+      this.addViolation('error', file, line, 'REPOSITORY_INTERFACE', `Repository '${name}' should implement its domain interface (e.g. 'I${name}')`);
+      return;
+    }
+
+    const declarationFileOf = symbol => {
+      const declaration = (symbol.declarations || [])[0];
+      return declaration ? path.resolve(declaration.getSourceFile().fileName) : null;
+    };
+    // Interfaces without a declaration (unresolved) are not blamed on their location
+    const domainInterface = implemented.find((symbol) => {
+      const declarationFile = declarationFileOf(symbol);
+      return !declarationFile || this.getLayer(declarationFile) === 'domain';
+    });
+    if (!domainInterface) {
+      const declarationFile = declarationFileOf(implemented[0]);
+      this.addViolation(
+        'error',
+        file,
+        line,
+        'REPOSITORY_INTERFACE',
+        `Repository '${name}' implements '${implemented[0].name}' from ${this.toProjectPath(declarationFile)}; it should come from the domain layer`
+      );
+    }
+
+    const expected = (domainInterface || implemented[0]).name;
+    for (const error of getImplementationErrors(program, classNode)) {
+      this.addViolation('error', file, line, 'REPOSITORY_INTERFACE', `Repository '${name}' does not match '${expected}': ${error}`);
+    }
+  }
+
+  /**
+   * Report service constructor parameters typed with concrete project classes
+   */
+  checkConcreteDependencies(checker, file, classNode) {
+    const constructor = classNode.members.find(member => ts.isConstructorDeclaration(member));
+    if (!constructor) return;
+
+    for (const parameter of constructor.parameters) {
+      if (!parameter.type || !ts.isTypeReferenceNode(parameter.type)) continue;
+
+      const symbol = resolveTypeSymbol(checker, parameter.type);
+      const declaration = symbol && (symbol.declarations || []).find(candidate => ts.isClassDeclaration(candidate));
+      if (!declaration || ts.getCombinedModifierFlags(declaration) & ts.ModifierFlags.Abstract) continue;
+      if (!this.fileCache.has(path.resolve(declaration.getSourceFile().fileName))) continue;
+
+      const sourceFile = classNode.getSourceFile();
+      this.addViolation(
+        'warning',
+        file,
+        sourceFile.getLineAndCharacterOfPosition(parameter.getStart(sourceFile)).line + 1,
+        'CONCRETE_DEPENDENCY',
+        `Service '${classNode.name.text}' depends on the concrete class '${symbol.name}' ` +
+          `(constructor parameter '${parameter.name.getText(sourceFile)}'); depend on an interface instead`
+      );
+    }
+  }
+
+  /**
+   * Check that application classes and repositories have tests
+   * Every non-abstract class in a testConventions.include file needs a project file matching
+   * one of testConventions.patterns (MISSING_TEST). When the coverage summary exists, files
+   * below testConventions.minCoverage line coverage are reported as well (LOW_COVERAGE)
+   */
+  checkTestCoverage(files) {
+    const conventions = this.config.testConventions;
+    if (!conventions) return;
+
+    const targets = files.filter((file) => {
+      const relativePath = path.relative(this.srcPath, file).replace(/\\/g, '/');
+      return this.fileCache.has(file) && !relativePath.startsWith('../') &&
+        !TEST_FILE_PATTERN.test(file) && !PYTHON_TEST_FILE_PATTERN.test(file) &&
+        matchesGlob(relativePath, conventions.include);
+    });
+    if (targets.length === 0) return;
+
+    const projectFiles = this.collectSourceFiles(this.projectRoot).map(file => this.toProjectPath(file));
+    const coverage = loadCoverageSummary(this.projectRoot, conventions.coverageSummary);
+
+    for (const file of targets) {
+      const projectPath = this.toProjectPath(file);
+      const lineCoverage = coverage ? coverage.get(projectPath) : undefined;
+      // Messages only list the conventions for the file's language
+      const listedPatterns = selectTestPatterns(conventions.patterns, file);
+
+      for (const cls of this.fileCache.get(file).classes) {
+        if (cls.isAbstract) continue;
+
+        const target = {
+          name: cls.name,
+          file: path.basename(file, path.extname(file)),
+          dir: path.dirname(projectPath),
+          ext: path.extname(file).slice(1),
+        };
+        const expected = expandTestPatterns(conventions.patterns, target);
+        if (projectFiles.some(candidate => matchesGlob(candidate, expected))) continue;
+
+        const examples = expandTestPatterns(listedPatterns, target);
+        this.addViolation(
+          'warning',
+          file,
+          cls.line,
+          'MISSING_TEST',
+          `Class '${cls.name}' has no test (expected ${examples.join(' or ')})` +
+            (lineCoverage !== undefined ? `; line coverage ${lineCoverage}%` : '')
+        );
+      }
+
+      if (lineCoverage !== undefined && lineCoverage < conventions.minCoverage) {
+        this.addViolation(
+          'warning',
+          file,
+          null,
+          'LOW_COVERAGE',
+          `Line coverage of ${projectPath} is ${lineCoverage}% (minimum ${conventions.minCoverage}%)`
+        );
+      }
+    }
+  }
+
+  /**
+   * Extract identifiers referenced outside import declarations, and *_TOKEN constants
+   * @returns {{referenced: Set<string>, tokens: Array<{name: string, target: string, line: number}>}}
+   */
+  extractDiRegistration(sourceFile) {
+    const referenced = new Set();
+    const tokens = [];
+
+    const visit = (node) => {
+      if (ts.isImportDeclaration(node) || ts.isImportEqualsDeclaration(node)) return;
+
+      if (ts.isVariableDeclaration(node) && ts.isIdentifier(node.name) && /_TOKEN$/.test(node.name.text)) {
+        tokens.push({
+          name: node.name.text,
+          target: this.getDiTokenTarget(node.name.text, node.initializer, sourceFile),
+          line: sourceFile.getLineAndCharacterOfPosition(node.getStart(sourceFile)).line + 1,
+        });
+      }
+      if (ts.isIdentifier(node)) {
+        referenced.add(node.text);
+      }
+      ts.forEachChild(node, visit);
+    };
+
+    visit(sourceFile);
+    return { referenced, tokens };
+  }
+
+  /**
+   * Class a DI token stands for: its string or Symbol() description, else the
+   * PascalCase constant name without _TOKEN (USER_REPOSITORY_TOKEN -> UserRepository)
+   */
+  getDiTokenTarget(name, initializer, sourceFile) {
+    let value = initializer;
+    if (value && ts.isCallExpression(value) && /^Symbol(\.for)?$/.test(value.expression.getText(sourceFile))) {
+      value = value.arguments[0];
+    }
+    if (value && (ts.isStringLiteral(value) || ts.isNoSubstitutionTemplateLiteral(value))) {
+      return value.text;
+    }
+
+    return name
+      .replace(/_TOKEN$/, '')
+      .split('_')
+      .map(part => part.charAt(0) + part.slice(1).toLowerCase())
+      .join('');
+  }
+
+  /**
+   * Resolve an import specifier to one of the parsed source files
+   * @returns {string|null} Absolute path of the imported file, or null if it is not a parsed source
+   */
+  resolveImportToFile(importPath, currentFile) {
+    let candidates;
+    if (this.isPythonFile(currentFile)) {
+      candidates = getPythonModuleCandidates(importPath, currentFile, [this.srcPath, this.projectRoot]);
+    } else {
+      const resolved = this.resolveImport(importPath, currentFile);
+      if (resolved && resolved.external) return null;
+
+      candidates = resolved ? [resolved.path] : [];
+      // JavaScript sources are not resolved by the compiler without allowJs
+      if (importPath.startsWith('.')) {
+        const resolvedPath = path.resolve(path.dirname(currentFile), importPath);
+        candidates.push(resolvedPath);
+        for (const ext of SOURCE_EXTENSIONS) candidates.push(`${resolvedPath}${ext}`);
+        for (const ext of SOURCE_EXTENSIONS) candidates.push(path.join(resolvedPath, `index${ext}`));
+      }
+    }
+
+    return candidates.find(candidate => this.fileCache.has(candidate)) || null;
+  }
+
+  /**
+   * Build the module dependency graph of the parsed source files
+   * @returns {{nodes: string[], edges: Array<{from: string, to: string, module: string, line: number, kind: string, typeOnly: boolean}>}}
+   */
+  buildDependencyGraph(files) {
+    const nodes = files.filter(file => this.fileCache.has(file));
+    const edges = [];
+
+    for (const file of nodes) {
+      for (const { module, line, kind, typeOnly, to } of this.getDependencies(file)) {
+        edges.push({ from: file, to, module, line, kind, typeOnly: Boolean(typeOnly) });
+      }
+    }
+
+    return { nodes, edges };
+  }
+
+  /**
+   * Resolve a file's imports to parsed source files (memoized on its fileCache entry)
+   * @returns {Array<{module: string, line: number, kind: string, typeOnly: boolean, to: string}>}
+   */
+  getDependencies(file) {
+    const cached = this.fileCache.get(file);
+    if (!cached.dependencies) {
+      cached.dependencies = [];
+      for (const imp of cached.imports) {
+        const target = this.resolveImportToFile(imp.module, file);
+        if (target) {
+          cached.dependencies.push({ module: imp.module, line: imp.line, kind: imp.kind, typeOnly: imp.typeOnly, to: target });
+        }
+      }
+    }
+    return cached.dependencies;
+  }
+
+  /**
+   * Collect the dependency graph for export: project-relative files with their
+   * layer, and one edge per imported file flagged when it breaks a layer rule
+   * or is part of an import cycle
+   */
+  getGraphData(files) {
+    const graph = this.buildDependencyGraph(files);
+    const relative = (file) => path.relative(this.projectRoot, file).replace(/\\/g, '/');
+
+    const cycleOf = new Map();
+    findCycles(graph.nodes, graph.edges.filter(edge => !edge.typeOnly)).forEach((cycle, index) => {
+      cycle.members.forEach(member => cycleOf.set(member, index));
+    });
+
+    const edges = new Map();
+    for (const edge of graph.edges) {
+      const key = `${edge.from}\0${edge.to}`;
+      if (!edges.has(key)) {
+        const fromLayer = this.getLayer(edge.from);
+        const toLayer = this.getLayer(edge.to);
+        edges.set(key, {
+          from: relative(edge.from),
+          to: relative(edge.to),
+          imports: [],
+          layerViolation: Boolean(fromLayer && toLayer && !isDependencyAllowed(this.config, fromLayer, toLayer)),
+          cycle: cycleOf.has(edge.from) && cycleOf.get(edge.from) === cycleOf.get(edge.to),
+        });
+      }
+      edges.get(key).imports.push({ module: edge.module, line: edge.line, kind: edge.kind });
+    }
+
+    return {
+      layers: this.config.layers.map(layer => layer.name),
+      nodes: graph.nodes
+        .map(file => ({ id: relative(file), layer: this.getLayer(file) }))
+        .sort((a, b) => a.id.localeCompare(b.id)),
+      edges: [...edges.values()].sort((a, b) => a.from.localeCompare(b.from) || a.to.localeCompare(b.to)),
+    };
+  }
+
+  /**
+   * Render the dependency graph in the --graph format (dot, mermaid, json)
+   */
+  exportGraph(files) {
+    const graph = this.getGraphData(files);
+    this.progress(`🕸️  Dependency graph: ${graph.nodes.length} files, ${graph.edges.length} edges\n`);
+
+    switch (this.options.graph) {
+      case 'dot':
+        this.writeReport(createDotGraph(graph));
+        break;
+      case 'mermaid':
+        this.writeReport(createMermaidGraph(graph));
+        break;
+      default:
+        this.writeReport(JSON.stringify(createJsonGraph(graph), null, 2));
+        break;
+    }
   }
 
   /**
    * Add a violation to the report
+   * The severity a check reports is a default; "rules"/"overrides" in the
+   * review config can change it per file or turn the rule off. The 1-based column
+   * is optional and only kept when a check knows it
    */
-  addViolation(severity, file, line, code, message) {
+  addViolation(severity, file, line, code, message, column = null) {
+    if (this.violationRecorder) {
+      this.violationRecorder.push({ severity, file, line, column, code, message });
+    }
+
     const violation = {
       file: path.relative(this.projectRoot, file).replace(/\\/g, '/'),
       line,
       code,
       message,
     };
+    if (column) violation.column = column;
+
+    severity = getRuleLevel(this.config, code, violation.file, severity);
+    if (severity === 'off') return;
 
     this.violations[severity === 'error' ? 'errors' : severity === 'warning' ? 'warnings' : 'info'].push(violation);
     this.stats.totalViolations++;
   }
 
   /**
-   * Generate and display the report
+   * Order violations by file, line, column and code so reports are stable regardless of
+   * cache hits and worker scheduling
+   */
+  sortViolations() {
+    const compare = (a, b) =>
+      a.file.localeCompare(b.file) ||
+      (a.line || 0) - (b.line || 0) ||
+      (a.column || 0) - (b.column || 0) ||
+      a.code.localeCompare(b.code) ||
+      a.message.localeCompare(b.message);
+
+    for (const group of ['errors', 'warnings', 'info']) {
+      this.violations[group].sort(compare);
+    }
+  }
+
+  /**
+   * Drop violations covered by inline suppression comments
+   * Suppressions need a justification (`-- reason`); unjustified and unused
+   * suppressions are reported so they don't rot
+   */
+  applySuppressions() {
+    this.rulesRun.push(...getRuleCodesForCheck('applySuppressions'));
+
+    const suppressionsByFile = new Map();
+    for (const [file, cached] of this.fileCache) {
+      if (!cached.content || !cached.content.includes('ai-dotfiles-disable')) continue;
+
+      const suppressions = parseSuppressions(cached);
+      if (suppressions.length > 0) {
+        const relativePath = path.relative(this.projectRoot, file).replace(/\\/g, '/');
+        suppressionsByFile.set(relativePath, { file, suppressions });
+      }
+    }
+
+    for (const group of ['errors', 'warnings', 'info']) {
+      this.violations[group] = this.violations[group].filter(violation => {
+        const entry = suppressionsByFile.get(violation.file);
+        const suppression = entry && findSuppression(entry.suppressions.filter(s => s.valid), violation);
+        if (!suppression) return true;
+
+        suppression.used = true;
+        this.stats.suppressed++;
+        this.stats.totalViolations--;
+        return false;
+      });
+    }
+
+    for (const { file, suppressions } of suppressionsByFile.values()) {
+      for (const suppression of suppressions) {
+        const codes = suppression.codes.join(', ') || '(no rule codes)';
+
+        if (!suppression.valid) {
+          const problem = suppression.reason
+            ? 'must list rule codes such as LAYER_VIOLATION'
+            : "needs a justification: add '-- <reason>'";
+          this.addViolation('warning', file, suppression.line, 'INVALID_SUPPRESSION', `Suppression of ${codes} ${problem}`);
+        } else if (!suppression.used) {
+          this.addViolation(
+            'info',
+            file,
+            suppression.line,
+            'UNUSED_SUPPRESSION',
+            `Suppression of ${codes} does not match any violation and can be removed`
+          );
+        }
+      }
+    }
+  }
+
+  /**
+   * Compare violations with .dev/review-baseline.json
+   * Baselined violations are removed from the report so only new ones fail the review;
+   * baseline entries that no longer occur are reported as fixed
+   */
+  applyBaseline() {
+    const entries = this.getFingerprintedViolations();
+
+    let baseline;
+    if (this.options.updateBaseline) {
+      baseline = createBaseline(entries);
+      writeBaseline(this.projectRoot, baseline);
+      this.progress(`📌 Baseline updated: ${baseline.violations.length} violation(s) recorded in ${BASELINE_PATH}\n`);
+    } else {
+      baseline = loadBaseline(this.projectRoot);
+      if (!baseline) return;
+    }
+
+    const { baselined, fixed } = compareWithBaseline(entries, baseline);
+    const hidden = new Set(baselined.map(entry => entry.violation));
+    for (const group of ['errors', 'warnings', 'info']) {
+      this.violations[group] = this.violations[group].filter(violation => !hidden.has(violation));
+    }
+    this.stats.totalViolations -= hidden.size;
+
+    this.baseline = {
+      path: BASELINE_PATH,
+      updated: this.options.updateBaseline,
+      suppressed: hidden.size,
+      fixed,
+    };
+  }
+
+  /**
+   * Fingerprint the current violations (see lib/review/baseline.js)
+   * @returns {Array<{fingerprint: string, severity: string, code: string, file: string, message: string, violation: Object}>}
+   */
+  getFingerprintedViolations() {
+    const severities = { errors: 'error', warnings: 'warning', info: 'info' };
+    return Object.entries(severities).flatMap(([group, severity]) => this.violations[group].map(violation => {
+      const cached = this.fileCache.get(path.join(this.projectRoot, violation.file));
+      const { code, file, message } = violation;
+      return { fingerprint: fingerprintViolation(violation, cached), severity, code, file, message, violation };
+    }));
+  }
+
+  /**
+   * Keep only violations on changed files/lines for --since and --staged
+   * All files are parsed and checked first, so cross-file checks such as layer
+   * rules still see the whole dependency graph
+   */
+  applyDiffScope() {
+    if (!this.diffScope) return;
+
+    for (const group of ['errors', 'warnings', 'info']) {
+      this.violations[group] = this.violations[group].filter(violation => {
+        if (isChanged(this.diffScope.changes, violation.file, violation.line)) return true;
+
+        this.diffScope.hidden++;
+        this.stats.totalViolations--;
+        return false;
+      });
+    }
+  }
+
+  /**
+   * Plan autofixes for mechanical violations and print them as a diff (or apply them)
+   * @returns {Array<Object>} Planned file changes
+   */
+  runFixes() {
+    const chalk = require('chalk');
+    const fixer = new ReviewFixer(this);
+    const changes = fixer.plan();
+
+    this.progress(chalk.blue.bold('\n🔧 Autofix\n'));
+
+    if (changes.length === 0) {
+      this.progress(chalk.gray(`  No fixable violations (${ReviewFixer.FIXABLE_CODES.join(', ')})\n`));
+    }
+
+    for (const fix of fixer.fixes) {
+      this.progress(chalk.green(`  ✓ [${fix.code}] ${fix.file}: ${fix.description}`));
+    }
+    for (const skipped of fixer.skipped) {
+      this.progress(chalk.yellow(`  ⚠ [${skipped.code}] ${skipped.file}: skipped, ${skipped.reason}`));
+    }
+
+    if (changes.length === 0) {
+      return changes;
+    }
+
+    if (this.options.apply) {
+      fixer.apply(changes);
+      this.progress(chalk.green.bold(`\n✅ Applied changes to ${changes.length} file(s)\n`));
+      return changes;
+    }
+
+    this.progress('');
+    for (const line of fixer.formatDiff(changes).split('\n')) {
+      if (line.startsWith('+') && !line.startsWith('+++')) {
+        this.progress(chalk.green(line));
+      } else if (line.startsWith('-') && !line.startsWith('---')) {
+        this.progress(chalk.red(line));
+      } else if (line.startsWith('@@')) {
+        this.progress(chalk.cyan(line));
+      } else {
+        this.progress(line);
+      }
+    }
+    this.progress(chalk.yellow.bold('Dry run: no files were changed. Re-run with --fix --apply to write these changes.\n'));
+
+    return changes;
+  }
+
+  /**
+   * Write a progress message
+   * Machine-readable formats send progress to stderr so stdout only carries the report
+   */
+  progress(message) {
+    if (this.options.silent) return;
+    if (this.options.format === 'console' && !this.options.graph) {
+      console.log(message);
+    } else {
+      console.error(message);
+    }
+  }
+
+  /**
+   * Collect the data reporters need to render a review result
+   */
+  getReportData() {
+    return {
+      projectRoot: this.projectRoot,
+      violations: this.violations,
+      stats: this.stats,
+      rulesRun: [...new Set(this.rulesRun)],
+      baseline: this.baseline,
+      customRules: this.customRules.map(rule => ({
+        code: rule.id,
+        severity: rule.severity,
+        name: rule.name,
+        description: rule.description,
+      })),
+    };
+  }
+
+  /**
+   * Generate and display the report in the configured format
    */
   generateReport() {
+    switch (this.options.format) {
+      case 'json':
+        this.writeReport(JSON.stringify(createJsonReport(this.getReportData()), null, 2));
+        break;
+      case 'sarif':
+        this.writeReport(JSON.stringify(createSarifReport(this.getReportData()), null, 2));
+        break;
+      case 'html':
+        this.writeReport(createHtmlReport(this.getReportData(), {
+          getSource: (file) => this.fileCache.get(path.join(this.projectRoot, file))?.content ?? null,
+          getLayer: (file) => this.getLayer(path.join(this.projectRoot, file)),
+        }));
+        break;
+      default:
+        this.printConsoleReport();
+        break;
+    }
+  }
+
+  /**
+   * Write a rendered report to the --output file, or stdout when no output is set
+   */
+  writeReport(content) {
+    if (!this.options.output) {
+      console.log(content);
+      return;
+    }
+
+    const outputPath = path.resolve(this.projectRoot, this.options.output);
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    fs.writeFileSync(outputPath, content.endsWith('\n') ? content : `${content}\n`);
+    this.progress(`📝 Report written to ${path.relative(this.projectRoot, outputPath) || outputPath}`);
+  }
+
+  /**
+   * Display the human-readable console report
+   */
+  printConsoleReport() {
     const chalk = require('chalk');
 
     console.log(chalk.blue.bold('\n📊 Code Review Report\n'));
@@ -569,13 +2089,32 @@ class CodeReviewer {
     console.log(chalk.yellow(`  Warnings: ${this.violations.warnings.length}`));
     console.log(chalk.blue(`  Info: ${this.violations.info.length}`));
     console.log(chalk.gray(`  Total violations: ${this.stats.totalViolations}`));
+    if (this.stats.suppressed > 0) {
+      console.log(chalk.gray(`  Suppressed inline: ${this.stats.suppressed}`));
+    }
+    if (this.baseline) {
+      console.log(chalk.gray(`  Baselined (hidden): ${this.baseline.suppressed} (${this.baseline.path})`));
+    }
+    if (this.diffScope) {
+      console.log(chalk.gray(`  Scope: ${this.diffScope.label} (${this.diffScope.changes.size} file(s), ${this.diffScope.hidden} violation(s) outside the diff)`));
+    }
     console.log('');
 
+    // Display baseline entries that no longer occur
+    if (this.baseline && this.baseline.fixed.length > 0) {
+      console.log(chalk.green.bold(`✨ Fixed since baseline: ${this.baseline.fixed.length}\n`));
+      for (const entry of this.baseline.fixed) {
+        console.log(chalk.green(`  ${entry.file}`));
+        console.log(chalk.gray(`    [${entry.code}] ${entry.message}`));
+      }
+      console.log(chalk.gray('\n  Run "ai-dotfiles-manager review --update-baseline" to shrink the baseline.\n'));
+    }
+
     // Display errors
     if (this.violations.errors.length > 0) {
       console.log(chalk.red.bold('❌ Errors:\n'));
       for (const v of this.violations.errors) {
-        const location = v.line ? `${v.file}:${v.line}` : v.file;
+        const location = formatLocation(v);
         console.log(chalk.red(`  ${location}`));
         console.log(chalk.gray(`    [${v.code}] ${v.message}`));
         console.log('');
@@ -586,7 +2125,7 @@ class CodeReviewer {
     if (this.violations.warnings.length > 0) {
       console.log(chalk.yellow.bold('⚠️  Warnings:\n'));
       for (const v of this.violations.warnings) {
-        const location = v.line ? `${v.file}:${v.line}` : v.file;
+        const location = formatLocation(v);
         console.log(chalk.yellow(`  ${location}`));
         console.log(chalk.gray(`    [${v.code}] ${v.message}`));
         console.log('');
@@ -597,7 +2136,7 @@ class CodeReviewer {
     if (this.options.detailed && this.violations.info.length > 0) {
       console.log(chalk.blue.bold('ℹ️  Info:\n'));
       for (const v of this.violations.info) {
-        const location = v.line ? `${v.file}:${v.line}` : v.file;
+        const location = formatLocation(v);
         console.log(chalk.blue(`  ${location}`));
         console.log(chalk.gray(`    [${v.code}] ${v.message}`));
         console.log('');
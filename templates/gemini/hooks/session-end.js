@@ -50,10 +50,27 @@ function findCompletedTasks(oldContent, newContent) {
   return completedThisSession;
 }
 
+/**
+ * Load the shared todo commit policy from ai-dotfiles-manager, if installed locally
+ */
+function loadTodoCommitPolicy() {
+  try {
+    return require('ai-dotfiles-manager/lib/todo-commit');
+  } catch (error) {
+    return null;
+  }
+}
+
 /**
  * Commit completed tasks to git
  */
 function commitCompletedTasks(tasks) {
+  // Prefer the package policy (same as "ai-dotfiles-manager commit-todo enforce")
+  const policy = loadTodoCommitPolicy();
+  if (policy) {
+    return policy.commitCompletedTasks(PROJECT_ROOT, tasks);
+  }
+
   if (tasks.length === 0) {
     console.log('ℹ️  No new completed tasks to commit');
     return false;
@@ -82,7 +99,7 @@ function commitCompletedTasks(tasks) {
       : `chore: complete ${tasks.length} tasks\n\n${taskList}\n\n[ai-dotfiles-manager]`
 
     // Commit changes
-    execSync('git commit -F -', {
+    execSync('git commit -F - -- .dev/todo.md', {
       input: commitMessage,
       stdio: ['pipe', 'ignore', 'ignore']
     });